@@ -5,14 +5,59 @@ import * as POGOProtos from 'node-pogo-protos';
  */
 declare namespace pogobuf {
 
+    /**
+     * Serializable session state as returned by Client.getSession().
+     */
+    export interface Session {
+        authTicket: {
+            start: string,
+            expire_timestamp_ms: number,
+            end: string
+        } | null,
+        endpoint: string,
+        ptr8: string,
+        lehmerSeed: number,
+        rpcId: number
+    }
+
+    /**
+     * Options for the Client constructor, see the Client documentation for their meaning.
+     */
+    export interface ClientOptions {
+        authToken?: string,
+        authType?: 'ptc' | 'google',
+        downloadSettings?: boolean,
+        mapObjectsThrottling?: boolean,
+        mapObjectsMinDelay?: number,
+        proxy?: string,
+        maxTries?: number,
+        maxThrottleRetries?: number,
+        automaticLongConversion?: boolean,
+        includeRequestTypeInResponse?: boolean,
+        version?: number,
+        useHashingServer?: boolean,
+        hashingServer?: string,
+        hashingKey?: string | string[],
+        deviceId?: string,
+        transport?: Transport,
+        authProvider?: ((client: Client) => string | Promise<string>) | PTCLogin | GoogleLogin,
+        credentials?: { username: string, password: string },
+        authExpiryWarning?: number,
+        checkChallenges?: boolean,
+        challengeSolver?: (url: string, client: Client) => string | Promise<string>,
+        pauseOnChallenge?: boolean,
+        includeStandardRequests?: boolean,
+        cooldownGuard?: boolean | 'delay' | 'reject'
+    }
+
     /**
      * Pokémon Go RPC client.
      */
     export class Client {
         /**
-         * @param {Object} options Client options (see pogobuf wiki for documentation)
+         * @param {ClientOptions} options Client options
          */
-        constructor(options?: Object);
+        constructor(options?: ClientOptions);
 
          /**
           * Sets the specified client option to the given value.
@@ -31,8 +76,15 @@ declare namespace pogobuf {
          * @param {number} longitude The player's longitude
          * @param {number} accuracy The location accuracy in m (optional) (default value is 0)
          * @param {number} altitude The player's altitude (optional) (default value is 0)
+         * @param {number} timestamp Time of the location fix in ms (optional) (default value is now)
          */
-        setPosition(latitude: number | Object, longitude?: number, accuracy?: number, altitude?: number): void;
+        setPosition(
+            latitude: number | Object,
+            longitude?: number,
+            accuracy?: number,
+            altitude?: number,
+            timestamp?: number
+        ): void;
 
         /**
          * Performs client initialization and downloads needed settings from the API.
@@ -59,6 +111,40 @@ declare namespace pogobuf {
          */
         getSignatureRateInfo(): Object;
 
+        /**
+         * Gets a fresh auth token from the authProvider option and discards the current auth ticket.
+         */
+        refreshAuth(): Promise<string>;
+
+        /**
+         * Encounters a wild, lured or incense Pokémon and tries to catch it. Cannot be used in batch mode.
+         * @param {EncounterTarget} target Pokémon to encounter
+         * @param {Object} strategy Catch strategy (see Catcher for the options) (optional)
+         */
+        catchEncounter(target: EncounterTarget, strategy?: Object): Promise<CatchOutcome>;
+
+        /**
+         * Returns how long to wait before actions can be performed at the current position without risking a soft ban.
+         */
+        getCooldown(): number;
+
+        /**
+         * Returns the current session state as a plain object that can be serialized to JSON.
+         */
+        getSession(): Session;
+
+        /**
+         * Verifies a captcha challenge with the given token and resumes requests paused because of the challenge.
+         * @param {string} token Captcha response token
+         */
+        solveChallenge(token: string): Promise<POGOProtos.Networking.Responses.VerifyChallengeResponse>;
+
+        /**
+         * Restores a session previously saved with getSession().
+         * @param {Session} session Session object as returned by getSession()
+         */
+        restoreSession(session: Session): void;
+
         // Pokémon Go API methods
 
         addFortModifier(
@@ -337,6 +423,16 @@ declare namespace pogobuf {
         verifyChallenge(
             token: string
         ): Promise<POGOProtos.Networking.Responses.VerifyChallengeResponse>;
+
+        /**
+         * Events emitted with the responses to the requests added by the includeStandardRequests option.
+         */
+        on(event: 'hatched-eggs', listener: (response: POGOProtos.Networking.Responses.GetHatchedEggsResponse) => void): this;
+        on(event: 'inventory', listener: (response: POGOProtos.Networking.Responses.GetInventoryResponse) => void): this;
+        on(event: 'awarded-badges', listener: (response: POGOProtos.Networking.Responses.CheckAwardedBadgesResponse) => void): this;
+        on(event: 'settings', listener: (response: POGOProtos.Networking.Responses.DownloadSettingsResponse) => void): this;
+        on(event: 'buddy-walked', listener: (response: POGOProtos.Networking.Responses.GetBuddyWalkedResponse) => void): this;
+        on(event: string, listener: Function): this;
     }
 
     /**
@@ -384,84 +480,1421 @@ declare namespace pogobuf {
     }
 
     /**
-     * Various utilities for dealing with Pokémon Go API requests.
+     * Account credentials for AccountPool.
      */
-    export module Utils {
+    export interface PoolAccount {
+        username: string,
+        password: string,
+        authType?: 'ptc' | 'google',
+        proxy?: string
+    }
 
-        interface Inventory {
-            pokemon: POGOProtos.Data.PokemonData[],
-            removed_pokemon: number[],
-            items: POGOProtos.Inventory.Item.ItemData[],
-            pokedex: POGOProtos.Data.PokedexEntry[],
-            player: POGOProtos.Data.Player.PlayerStats,
-            currency: POGOProtos.Data.Player.PlayerCurrency[],
-            camera: POGOProtos.Data.Player.PlayerCamera,
-            inventory_upgrades: POGOProtos.Inventory.InventoryUpgrades[],
-            applied_items: POGOProtos.Inventory.AppliedItems[],
-            egg_incubators: POGOProtos.Inventory.EggIncubators[],
-            candies: POGOProtos.Inventory.Candy[],
-            quests: POGOProtos.Data.Quests.Quest[]
-        }
+    /**
+     * Health information about an account in an AccountPool.
+     */
+    export interface AccountHealth {
+        username: string,
+        authType: string,
+        status: 'ready' | 'backoff' | 'banned' | 'challenge' | 'failed' | 'disabled' | string,
+        inUse: boolean,
+        loggedIn: boolean,
+        uses: number,
+        failures: number,
+        lastError: string | null,
+        retryAt: number | null
+    }
 
-        interface ItemTemplates {
-            pokemon_settings: POGOProtos.Settings.Master.PokemonSettings[],
-            item_settings: POGOProtos.Settings.Master.ItemSettings[],
-            move_settings: POGOProtos.Settings.Master.MoveSettings[],
-            move_sequence_settings: POGOProtos.Settings.Master.MoveSequenceSettings[],
-            type_effective_settings: POGOProtos.Settings.Master.TypeEffectiveSettings[],
-            badge_settings: POGOProtos.Settings.Master.BadgeSettings[],
-            camera_settings: POGOProtos.Settings.Master.CameraSettings,
-            player_level_settings: POGOProtos.Settings.Master.PlayerLevelSettings,
-            gym_level_settings: POGOProtos.Settings.Master.GymLevelSettings,
-            battle_settings: POGOProtos.Settings.Master.GymBattleSettings,
-            encounter_settings: POGOProtos.Settings.Master.EncounterSettings,
-            iap_item_display: POGOProtos.Settings.Master.IapItemDisplay[],
-            iap_settings: POGOProtos.Settings.Master.IapSettings,
-            pokemon_upgrade_settings: POGOProtos.Settings.Master.PokemonUpgradeSettings,
-            equipped_badge_settings: POGOProtos.Settings.Master.EquippedBadgeSettings
-        }
+    /**
+     * Manages a pool of accounts, logging them in on demand and handing out initialized clients.
+     */
+    export class AccountPool {
+        /**
+         * @param {PoolAccount[]} accounts Accounts to manage
+         * @param {Object} options Pool options
+         */
+        constructor(accounts: PoolAccount[], options?: Object);
 
-        interface Stats {
-            attack: number,
-            defend: number,
-            stamina: number,
-            percent: number
-        }
+        /**
+         * Resolves with an initialized client as soon as an account is available.
+         */
+        acquire(): Promise<Client>;
 
         /**
-         * Provides cell IDs of nearby cells based on the given coords and radius
-         * @param {number} latitude Latitude
-         * @param {number} longitude Longitude
-         * @param {number} radius Radius of the square in cells (optional) (default value is 3)
-         * @param {number} level S2 cell level (default value is 15)
+         * Hands a client back to the pool.
+         * @param {Client} client Client obtained from acquire()
+         * @param {Error} err Error that occurred while using the client (optional)
          */
-        function getCellIDs(latitude: number, longitude: number, radius?: number, level?: number): string[];
+        release(client: Client, err?: Error): void;
 
         /**
-         * Takes a getInventory() response and separates it into pokemon, items, candies, player data, eggs, quests, and pokedex.
-         * @param {object} inventory API response message as returned by getInventory()
+         * Acquires a client, calls the given function with it and releases the client afterwards.
+         * @param {Function} fn Function that takes a client and returns a Promise
          */
-        function splitInventory(inventory: POGOProtos.Networking.Responses.GetInventoryResponse): Inventory;
+        use<T>(fn: (client: Client) => T | Promise<T>): Promise<T>;
 
         /**
-         * Takes a downloadItemTemplates() response and separates it into the individual settings objects.
-         * @param {object} templates API response message as returned by downloadItemTemplates()
+         * Takes an account out of rotation.
+         * @param {string} username Account username
+         * @param {string} status Status to record for the account (optional) (default value is disabled)
          */
-        function splitItemTemplates(templates: POGOProtos.Networking.Responses.DownloadItemTemplatesResponse): ItemTemplates;
+        disable(username: string, status?: string): void;
 
         /**
-         * Utility method that finds the name of the key for a given enum value and makes it look a little nicer.
-         * @param {object} enumObjekt
-         * @param {number} value
+         * Puts an account back into rotation.
+         * @param {string} username Account username
          */
-        function getEnumKeyByValue(enumObjekt: Object, value: number): string;
+        enable(username: string): void;
 
         /**
-         * Utility method to get the Individual Values from Pokémon
-         * @param {object} pokemon A pokemon_data structure
-         * @param {number} decimals Amount of decimals, negative values do not round, max 20
+         * Returns the health of all accounts in the pool.
          */
-        function getIVsFromPokemon(pokemon: Object, decimals: number): Stats;
+        getHealth(): AccountHealth[];
+
+        on(event: string, listener: Function): this;
+    }
+
+    /**
+     * Keeps track of a player's inventory by applying successive getInventory() responses.
+     */
+    export class InventoryState {
+        /**
+         * @param {Client} client Client to attach to (optional)
+         */
+        constructor(client?: Client);
+
+        /**
+         * Applies a getInventory() response to the current state.
+         * @param {POGOProtos.Networking.Responses.GetInventoryResponse} response Response as returned by getInventory()
+         */
+        apply(response: POGOProtos.Networking.Responses.GetInventoryResponse): boolean;
+
+        /**
+         * Starts applying the inventory updates received by a client through its standard request bundle.
+         * @param {Client} client Client to attach to
+         */
+        attach(client: Client): this;
+
+        /**
+         * Stops applying inventory updates from the attached client.
+         */
+        detach(): void;
+
+        /**
+         * Clears the state.
+         */
+        reset(): void;
+
+        /**
+         * Returns the timestamp to pass to the next getInventory() call.
+         */
+        getLastTimestamp(): string | number | Long;
+
+        /**
+         * Returns all Pokémon in the inventory, not including eggs.
+         */
+        getPokemon(): POGOProtos.Data.PokemonData[];
+
+        /**
+         * Returns the Pokémon or egg with the given ID.
+         * @param {string|number|Long} pokemonID Pokémon ID
+         */
+        getPokemonById(pokemonID: string | number | Long): POGOProtos.Data.PokemonData | null;
+
+        /**
+         * Returns all eggs in the inventory.
+         */
+        getEggs(): POGOProtos.Data.PokemonData[];
+
+        /**
+         * Returns all items in the inventory.
+         */
+        getItems(): POGOProtos.Inventory.Item.ItemData[];
+
+        /**
+         * Returns how many of an item the player has.
+         * @param {POGOProtos.Inventory.Item.ItemId} itemID Item ID
+         */
+        getItemCount(itemID: POGOProtos.Inventory.Item.ItemId): number;
+
+        /**
+         * Returns the candies of all Pokémon families.
+         */
+        getCandies(): POGOProtos.Inventory.Candy[];
+
+        /**
+         * Returns how many candies the player has for a Pokémon family.
+         * @param {POGOProtos.Enums.PokemonFamilyId} familyID Family ID
+         */
+        getCandy(familyID: POGOProtos.Enums.PokemonFamilyId): number;
+
+        /**
+         * Returns the player's egg incubators.
+         */
+        getIncubators(): POGOProtos.Inventory.EggIncubator[];
+
+        /**
+         * Returns the player's stats.
+         */
+        getPlayer(): POGOProtos.Data.Player.PlayerStats | null;
+
+        /**
+         * Returns the player's Pokédex entries.
+         */
+        getPokedex(): POGOProtos.Data.PokedexEntry[];
+
+        on(event: string, listener: Function): this;
+    }
+
+    /**
+     * Items and Pokémon an InventoryCleaner would throw away.
+     */
+    export interface CleanupPlan {
+        items: {
+            item_id: POGOProtos.Inventory.Item.ItemId,
+            count: number,
+            current: number,
+            cap: number
+        }[],
+        pokemon: {
+            id: string | number | Long,
+            pokemon_id: POGOProtos.Enums.PokemonId,
+            cp: number,
+            iv: number,
+            rank: number
+        }[]
+    }
+
+    /**
+     * Results of executing a cleanup plan.
+     */
+    export interface CleanupReport {
+        items: {
+            item_id: POGOProtos.Inventory.Item.ItemId,
+            count: number,
+            success: boolean,
+            result?: POGOProtos.Networking.Responses.RecycleInventoryItemResponse.Result,
+            error?: Error
+        }[],
+        pokemon: {
+            id: string | number | Long,
+            pokemon_id: POGOProtos.Enums.PokemonId,
+            success: boolean,
+            result?: POGOProtos.Networking.Responses.ReleasePokemonResponse.Result,
+            error?: Error
+        }[],
+        candy: number
+    }
+
+    /**
+     * Decides which items to recycle and which Pokémon to release according to a declarative policy.
+     */
+    export class InventoryCleaner {
+        /**
+         * @param {Client} client Client to clean the inventory with
+         * @param {Object} policy Cleanup policy
+         */
+        constructor(client: Client, policy?: Object);
+
+        /**
+         * Computes what the policy would throw away without changing anything.
+         * @param {InventoryState|Object} inventory InventoryState, getInventory() response or splitInventory() result
+         * @param {POGOProtos.Data.PlayerData} playerData Player data, required to protect the buddy when Pokémon are to be released (optional)
+         */
+        plan(inventory: InventoryState | Object, playerData?: POGOProtos.Data.PlayerData): CleanupPlan;
+
+        /**
+         * Carries out a plan: recycles items one type at a time and releases Pokémon in batches.
+         * @param {CleanupPlan} plan Plan as returned by plan()
+         */
+        execute(plan: CleanupPlan): Promise<CleanupReport>;
+
+        /**
+         * Computes a plan and executes it.
+         * @param {InventoryState|Object} inventory InventoryState, getInventory() response or splitInventory() result
+         * @param {POGOProtos.Data.PlayerData} playerData Player data, required to protect the buddy when Pokémon are to be released (optional)
+         */
+        clean(inventory: InventoryState | Object, playerData?: POGOProtos.Data.PlayerData): Promise<CleanupReport>;
+    }
+
+    /**
+     * Stores the objects returned by getMapObjects() per S2 cell.
+     */
+    export class MapCache {
+        /**
+         * @param {Object} options Cache options
+         */
+        constructor(options?: Object);
+
+        /**
+         * Returns the since timestamps to pass to getMapObjects() along with the given cell IDs.
+         * @param {string[]|number[]|Long[]} cellIDs S2 cell IDs
+         */
+        getSinceTimestamps(cellIDs: string[] | number[] | Long[]): number[];
+
+        /**
+         * Retrieves the given cells with a client and applies the response to the cache.
+         * @param {Client} client Client to use
+         * @param {string[]|number[]|Long[]} cellIDs S2 cell IDs
+         */
+        refresh(
+            client: Client,
+            cellIDs: string[] | number[] | Long[]
+        ): Promise<POGOProtos.Networking.Responses.GetMapObjectsResponse>;
+
+        /**
+         * Merges a getMapObjects() response into the cache.
+         * @param {POGOProtos.Networking.Responses.GetMapObjectsResponse} response Response as returned by getMapObjects()
+         */
+        apply(response: POGOProtos.Networking.Responses.GetMapObjectsResponse): void;
+
+        /**
+         * Drops all Pokémon that have despawned.
+         * @param {number} now Current timestamp in milliseconds (optional)
+         */
+        expire(now?: number): void;
+
+        /**
+         * Removes all cached data.
+         */
+        clear(): void;
+
+        /**
+         * Returns the fort with the given ID.
+         * @param {string} fortID Fort ID
+         */
+        getFort(fortID: string): POGOProtos.Map.Fort.FortData | null;
+
+        /**
+         * Returns all forts, optionally only those within a radius around a location.
+         */
+        getForts(lat?: number, lng?: number, radius?: number): POGOProtos.Map.Fort.FortData[];
+
+        /**
+         * Returns all gyms, optionally only those within a radius around a location.
+         */
+        getGyms(lat?: number, lng?: number, radius?: number): POGOProtos.Map.Fort.FortData[];
+
+        /**
+         * Returns all PokéStops, optionally only those within a radius around a location.
+         */
+        getPokestops(lat?: number, lng?: number, radius?: number): POGOProtos.Map.Fort.FortData[];
+
+        /**
+         * Returns all wild Pokémon that have not despawned, optionally only those within a radius around a location.
+         */
+        getWildPokemon(lat?: number, lng?: number, radius?: number): POGOProtos.Map.Pokemon.WildPokemon[];
+
+        /**
+         * Returns all catchable Pokémon that have not despawned, optionally only those within a radius around a location.
+         */
+        getCatchablePokemon(lat?: number, lng?: number, radius?: number): POGOProtos.Map.Pokemon.MapPokemon[];
+
+        /**
+         * Returns the Pokémon from the most recent nearby lists of all cells.
+         */
+        getNearbyPokemon(): POGOProtos.Map.Pokemon.NearbyPokemon[];
+
+        /**
+         * Returns all known spawn points, optionally only those within a radius around a location.
+         */
+        getSpawnPoints(lat?: number, lng?: number, radius?: number): POGOProtos.Map.SpawnPoint[];
+    }
+
+    /**
+     * Waypoint of a route planned by ScanPlanner.
+     */
+    export interface ScanWaypoint {
+        latitude: number,
+        longitude: number,
+        cellIDs: string[],
+        hive?: number
+    }
+
+    /**
+     * Bounding box of an area to scan.
+     */
+    export interface BoundingBox {
+        north: number,
+        south: number,
+        east: number,
+        west: number
+    }
+
+    /**
+     * Plans routes of scan positions that cover an area.
+     */
+    export class ScanPlanner {
+        /**
+         * @param {Object} options Planner options
+         */
+        constructor(options?: Object);
+
+        /**
+         * Plans a route that covers an area.
+         * @param {Utils.Coordinates[]|BoundingBox} area Vertices of a polygon, or a bounding box
+         * @param {Utils.Coordinates} start Position to start from (optional)
+         */
+        plan(area: Utils.Coordinates[] | BoundingBox, start?: Utils.Coordinates): ScanWaypoint[];
+
+        /**
+         * Returns the length of a route in meters.
+         * @param {ScanWaypoint[]} waypoints Waypoints as returned by plan()
+         */
+        getRouteLength(waypoints: ScanWaypoint[]): number;
+    }
+
+    /**
+     * Moves a client's position towards targets at walking speed instead of teleporting it.
+     */
+    export class Walker {
+        /**
+         * @param {Client} client Client to move
+         * @param {Object} options Walker options
+         */
+        constructor(client: Client, options?: Object);
+
+        /**
+         * Walks to the given coordinates. Stops any walk in progress.
+         * @param {number|Utils.Coordinates} latitude Target latitude, or an object with latitude and longitude
+         * @param {number} longitude Target longitude
+         */
+        walkTo(latitude: number | Utils.Coordinates, longitude?: number): Promise<void>;
+
+        /**
+         * Walks along a list of waypoints, emitting a waypoint event for each one reached.
+         * @param {Utils.Coordinates[]} waypoints Waypoints to walk along
+         */
+        walkRoute(waypoints: Utils.Coordinates[]): Promise<Utils.Coordinates[]>;
+
+        /**
+         * Stops the walk in progress.
+         */
+        stop(): void;
+
+        /**
+         * Returns whether a walk is in progress.
+         */
+        isWalking(): boolean;
+
+        /**
+         * Returns the total distance walked in meters.
+         */
+        getDistanceWalked(): number;
+
+        on(event: string, listener: Function): this;
+    }
+
+    /**
+     * Pokémon that can be encountered: wild Pokémon, lured Pokémon or incense Pokémon.
+     */
+    export type EncounterTarget = POGOProtos.Map.Pokemon.WildPokemon |
+        POGOProtos.Map.Pokemon.MapPokemon |
+        POGOProtos.Map.Pokemon.NearbyPokemon |
+        POGOProtos.Map.Fort.FortData |
+        POGOProtos.Map.Fort.FortLureInfo |
+        POGOProtos.Networking.Responses.GetIncensePokemonResponse;
+
+    /**
+     * Result of an encounter in the same shape for all types of encounters.
+     */
+    export interface Encounter {
+        type: string,
+        success: boolean,
+        status: number,
+        encounter_id: string | number | Long,
+        spawn_point_id: string,
+        fort_id: string | null,
+        pokemon_id: POGOProtos.Enums.PokemonId,
+        pokemon_data: POGOProtos.Data.PokemonData | null,
+        capture_probability: POGOProtos.Data.Capture.CaptureProbability | null,
+        active_item: POGOProtos.Inventory.Item.ItemId,
+        response: Object
+    }
+
+    /**
+     * Outcome of an attempt to catch a Pokémon.
+     */
+    export interface CatchOutcome {
+        result: string,
+        status: POGOProtos.Networking.Responses.CatchPokemonResponse.CatchStatus | null,
+        attempts: number,
+        encounter: Encounter,
+        pokemon_id: POGOProtos.Enums.PokemonId,
+        captured_pokemon_id: string | number | Long | null,
+        capture_award: POGOProtos.Data.Capture.CaptureAward | null,
+        xp: number,
+        candy: number,
+        stardust: number,
+        items_used: { [itemID: number]: number }
+    }
+
+    /**
+     * Catches Pokémon by encountering them and throwing balls until they are caught, flee or the strategy gives up.
+     */
+    export class Catcher {
+        /**
+         * @param {Client} client Client to use
+         * @param {Object} strategy Catch strategy (see Catcher for the options) (optional)
+         */
+        constructor(client: Client, strategy?: Object);
+
+        /**
+         * Encounters and tries to catch a wild, lured or incense Pokémon.
+         * @param {EncounterTarget} target Pokémon to encounter
+         */
+        catchEncounter(target: EncounterTarget): Promise<CatchOutcome>;
+
+        /**
+         * Encounters a wild, lured or incense Pokémon and returns the result in the same shape for all of them.
+         * @param {EncounterTarget} target Pokémon to encounter
+         */
+        encounter(target: EncounterTarget): Promise<Encounter>;
+    }
+
+    /**
+     * PokéStop known to a FortSpinner.
+     */
+    export interface SpinnerFort {
+        id: string,
+        latitude: number,
+        longitude: number,
+        cooldown: number
+    }
+
+    /**
+     * Rewards of all successful searches of a FortSpinner.
+     */
+    export interface SpinRewards {
+        spins: number,
+        xp: number,
+        gems: number,
+        eggs: number,
+        items: { [itemID: number]: number }
+    }
+
+    /**
+     * Spins PokéStops while keeping track of their cooldowns and the distance to them.
+     */
+    export class FortSpinner {
+        /**
+         * @param {Client} client Client to search forts with
+         * @param {Object} options Spinner options
+         */
+        constructor(client: Client, options?: Object);
+
+        /**
+         * Updates the known PokéStops and their cooldowns from a getMapObjects() response.
+         * @param {POGOProtos.Networking.Responses.GetMapObjectsResponse} response Map objects
+         */
+        apply(response: POGOProtos.Networking.Responses.GetMapObjectsResponse): void;
+
+        /**
+         * Adds a PokéStop or updates its position and cooldown.
+         * @param {POGOProtos.Map.Fort.FortData} fort Fort to add
+         */
+        updateFort(fort: POGOProtos.Map.Fort.FortData): SpinnerFort;
+
+        /**
+         * Returns a known PokéStop.
+         * @param {string} fortID ID of the fort
+         */
+        getFort(fortID: string): SpinnerFort | null;
+
+        /**
+         * Returns the number of milliseconds until a PokéStop can be searched again.
+         * @param {string} fortID ID of the fort
+         */
+        getCooldown(fortID: string): number;
+
+        /**
+         * Returns the distance between the player and a PokéStop in meters.
+         * @param {string|Utils.Coordinates} fort ID of a known fort, or an object with latitude and longitude
+         */
+        getDistance(fort: string | Utils.Coordinates): number;
+
+        /**
+         * Checks whether a PokéStop can be searched right now.
+         * @param {string|POGOProtos.Map.Fort.FortData} fort ID of a known fort, or a fort
+         */
+        check(fort: string | POGOProtos.Map.Fort.FortData): POGOProtos.Networking.Responses.FortSearchResponse.Result;
+
+        /**
+         * Searches a PokéStop, refusing or queueing the search if it would fail. Cannot be used in batch mode.
+         * @param {string|POGOProtos.Map.Fort.FortData} fort ID of a known fort, or a fort
+         */
+        spin(fort: string | POGOProtos.Map.Fort.FortData): Promise<POGOProtos.Networking.Responses.FortSearchResponse>;
+
+        /**
+         * Returns the number of queued searches.
+         */
+        getQueueLength(): number;
+
+        /**
+         * Cancels all queued searches.
+         */
+        clearQueue(): void;
+
+        /**
+         * Returns the rewards of all successful searches so far.
+         */
+        getRewards(): SpinRewards;
+
+        /**
+         * Sets all reward counters back to zero.
+         */
+        resetRewards(): void;
+
+        on(event: string, listener: Function): this;
+    }
+
+    /**
+     * Base or individual attack, defense and stamina of a Pokémon.
+     */
+    export interface PokemonBaseStats {
+        attack: number,
+        defense: number,
+        stamina: number
+    }
+
+    /**
+     * Combination of level and individual values matching an observed CP and HP.
+     */
+    export interface PossibleIVs {
+        level: number,
+        attack: number,
+        defense: number,
+        stamina: number,
+        percent: number
+    }
+
+    /**
+     * Damage, duration and energy of one use of a move in a move set rating.
+     */
+    export interface RatedMove {
+        move: POGOProtos.Enums.PokemonMove,
+        damage: number,
+        duration_ms: number,
+        energy: number
+    }
+
+    /**
+     * Rating of a fast and charged move combination against a defender.
+     */
+    export interface MovesetRating {
+        dps: number,
+        cycle_duration_ms: number,
+        fast: RatedMove,
+        charged: RatedMove
+    }
+
+    /**
+     * Calculates CP, HP and levels of Pokémon and rates their moves from the game master data.
+     */
+    export class PokemonStats {
+        /**
+         * @param {Object} templates downloadItemTemplates() response or splitItemTemplates() result
+         */
+        constructor(templates: POGOProtos.Networking.Responses.DownloadItemTemplatesResponse | Object);
+
+        /**
+         * Returns the game master settings of a Pokémon species.
+         * @param {POGOProtos.Enums.PokemonId} pokemonID Pokémon species
+         */
+        getPokemonSettings(pokemonID: POGOProtos.Enums.PokemonId): POGOProtos.Settings.Master.PokemonSettings | null;
+
+        /**
+         * Returns the base stats of a Pokémon species.
+         * @param {POGOProtos.Enums.PokemonId} pokemonID Pokémon species
+         */
+        getBaseStats(pokemonID: POGOProtos.Enums.PokemonId): PokemonBaseStats;
+
+        /**
+         * Returns the highest level Pokémon can reach.
+         */
+        getMaxLevel(): number;
+
+        /**
+         * Returns the CP multiplier of a level.
+         * @param {number} level Level in steps of 0.5
+         */
+        getCPMultiplier(level: number): number;
+
+        /**
+         * Returns the level of a Pokémon, derived from its total CP multiplier.
+         * @param {POGOProtos.Data.PokemonData} pokemon Pokémon
+         */
+        getLevel(pokemon: POGOProtos.Data.PokemonData): number;
+
+        /**
+         * Calculates the CP of a Pokémon species at the given level and individual values.
+         * @param {POGOProtos.Enums.PokemonId} pokemonID Pokémon species
+         * @param {number} level Level in steps of 0.5
+         * @param {number} attack Individual attack
+         * @param {number} defense Individual defense
+         * @param {number} stamina Individual stamina
+         */
+        getCP(pokemonID: POGOProtos.Enums.PokemonId, level: number, attack: number, defense: number,
+            stamina: number): number;
+
+        /**
+         * Calculates the maximum HP of a Pokémon species at the given level and individual stamina.
+         * @param {POGOProtos.Enums.PokemonId} pokemonID Pokémon species
+         * @param {number} level Level in steps of 0.5
+         * @param {number} stamina Individual stamina
+         */
+        getHP(pokemonID: POGOProtos.Enums.PokemonId, level: number, stamina: number): number;
+
+        /**
+         * Calculates the CP of a Pokémon from its species, level and individual values.
+         * @param {POGOProtos.Data.PokemonData} pokemon Pokémon
+         */
+        getPokemonCP(pokemon: POGOProtos.Data.PokemonData): number;
+
+        /**
+         * Returns the Pokémon species a species can evolve into.
+         * @param {POGOProtos.Enums.PokemonId} pokemonID Pokémon species
+         */
+        getEvolutions(pokemonID: POGOProtos.Enums.PokemonId): POGOProtos.Enums.PokemonId[];
+
+        /**
+         * Calculates the CP a Pokémon would have after evolving, for each species it can evolve into.
+         * @param {POGOProtos.Data.PokemonData} pokemon Pokémon
+         */
+        getEvolvedCP(pokemon: POGOProtos.Data.PokemonData): { pokemon_id: POGOProtos.Enums.PokemonId, cp: number }[];
+
+        /**
+         * Calculates the CP and HP a Pokémon would have after being powered up.
+         * @param {POGOProtos.Data.PokemonData} pokemon Pokémon
+         * @param {number} powerUps Number of power-ups (optional, default 1)
+         * @param {number} maxLevel Highest level to power up to (optional)
+         */
+        getPoweredUpCP(pokemon: POGOProtos.Data.PokemonData, powerUps?: number,
+            maxLevel?: number): { level: number, cp: number, hp: number };
+
+        /**
+         * Lists all combinations of level and individual values that result in the given CP and HP.
+         * @param {POGOProtos.Enums.PokemonId} pokemonID Pokémon species
+         * @param {number} cp Observed CP
+         * @param {number} hp Observed maximum HP
+         * @param {number} level Level, if known (optional)
+         */
+        getPossibleIVs(pokemonID: POGOProtos.Enums.PokemonId, cp: number, hp: number, level?: number): PossibleIVs[];
+
+        /**
+         * Returns the game master settings of a move.
+         * @param {POGOProtos.Enums.PokemonMove} moveID Move
+         */
+        getMoveSettings(moveID: POGOProtos.Enums.PokemonMove): POGOProtos.Settings.Master.MoveSettings | null;
+
+        /**
+         * Returns the damage multiplier of an attack type against a defender's types.
+         * @param {POGOProtos.Enums.PokemonType} attackType Type of the move
+         * @param {POGOProtos.Enums.PokemonType|POGOProtos.Enums.PokemonType[]} defenderTypes Type or types of the defender
+         */
+        getTypeEffectiveness(attackType: POGOProtos.Enums.PokemonType,
+            defenderTypes: POGOProtos.Enums.PokemonType | POGOProtos.Enums.PokemonType[]): number;
+
+        /**
+         * Returns the same type attack bonus of a move used by a Pokémon species.
+         * @param {POGOProtos.Enums.PokemonMove} moveID Move
+         * @param {POGOProtos.Enums.PokemonId} pokemonID Attacker species
+         */
+        getSTAB(moveID: POGOProtos.Enums.PokemonMove, pokemonID: POGOProtos.Enums.PokemonId): number;
+
+        /**
+         * Returns the power of a move per second, including the same type attack bonus if the attacker is given.
+         * @param {POGOProtos.Enums.PokemonMove} moveID Move
+         * @param {POGOProtos.Enums.PokemonId} pokemonID Attacker species (optional)
+         */
+        getMoveDPS(moveID: POGOProtos.Enums.PokemonMove, pokemonID?: POGOProtos.Enums.PokemonId): number;
+
+        /**
+         * Returns the energy a move generates per second. Negative for charged moves.
+         * @param {POGOProtos.Enums.PokemonMove} moveID Move
+         */
+        getMoveEPS(moveID: POGOProtos.Enums.PokemonMove): number;
+
+        /**
+         * Calculates the damage a single use of a move by an attacker does to a defender.
+         * @param {POGOProtos.Enums.PokemonMove} moveID Move
+         * @param {POGOProtos.Data.PokemonData} attacker Attacker
+         * @param {POGOProtos.Data.PokemonData|POGOProtos.Enums.PokemonId} defender Defender, or its species
+         */
+        getMoveDamage(moveID: POGOProtos.Enums.PokemonMove, attacker: POGOProtos.Data.PokemonData,
+            defender: POGOProtos.Data.PokemonData | POGOProtos.Enums.PokemonId): number;
+
+        /**
+         * Rates the combination of a Pokémon's fast and charged move against a defender.
+         * @param {POGOProtos.Data.PokemonData} pokemon Attacker
+         * @param {POGOProtos.Data.PokemonData|POGOProtos.Enums.PokemonId} defender Defender, or its species
+         */
+        rateMoveset(pokemon: POGOProtos.Data.PokemonData,
+            defender: POGOProtos.Data.PokemonData | POGOProtos.Enums.PokemonId): MovesetRating;
+    }
+
+    /**
+     * Action planned by an EvolutionPlanner: type is lucky-egg, evolve or upgrade.
+     */
+    export interface EvolutionAction {
+        type: string,
+        id?: string | number | Long,
+        pokemon_id?: POGOProtos.Enums.PokemonId,
+        evolution?: POGOProtos.Enums.PokemonId,
+        item?: POGOProtos.Inventory.Item.ItemId,
+        level?: number,
+        candy?: number,
+        stardust?: number,
+        cp?: number,
+        xp?: number
+    }
+
+    /**
+     * Evolutions and power-ups possible with the current inventory.
+     */
+    export interface EvolutionPlan {
+        actions: EvolutionAction[],
+        xp: number,
+        candy_used: { [familyID: number]: number },
+        stardust_used: number
+    }
+
+    /**
+     * Result of an action carried out by an EvolutionPlanner.
+     */
+    export interface EvolutionActionResult {
+        action: EvolutionAction,
+        success: boolean,
+        result?: number,
+        response?: Object,
+        error?: Error
+    }
+
+    /**
+     * Plans evolutions and power-ups from the candy, items and stardust available, and carries the plan out.
+     */
+    export class EvolutionPlanner {
+        /**
+         * @param {Client} client Client to evolve and power up Pokémon with
+         * @param {Object} templates downloadItemTemplates() response or splitItemTemplates() result
+         * @param {Object} options Planner options
+         */
+        constructor(client: Client, templates: POGOProtos.Networking.Responses.DownloadItemTemplatesResponse | Object,
+            options?: Object);
+
+        /**
+         * Computes the evolutions and power-ups possible with the current inventory.
+         * @param {InventoryState|Object} inventory InventoryState, getInventory() response or splitInventory() result
+         * @param {POGOProtos.Data.PlayerData} playerData Player data, needed for the stardust of power-ups (optional)
+         */
+        plan(inventory: InventoryState | Object, playerData?: POGOProtos.Data.PlayerData): EvolutionPlan;
+
+        /**
+         * Carries out the actions of a plan one after the other.
+         * @param {EvolutionPlan} plan Plan as returned by plan()
+         */
+        execute(plan: EvolutionPlan): Promise<EvolutionActionResult[]>;
+    }
+
+    /**
+     * Egg planned to go into an incubator by an EggManager.
+     */
+    export interface IncubatorAssignment {
+        incubator_id: string,
+        item_id: POGOProtos.Inventory.Item.ItemId,
+        egg_id: string | number | Long,
+        km: number,
+        success?: boolean,
+        result?: POGOProtos.Networking.Responses.UseItemEggIncubatorResponse.Result,
+        error?: Error
+    }
+
+    /**
+     * Progress of an egg in an incubator.
+     */
+    export interface IncubatorProgress {
+        incubator_id: string,
+        egg_id: string | number | Long,
+        km_walked: number,
+        km_target: number,
+        km_remaining: number,
+        progress: number
+    }
+
+    /**
+     * Egg reported as hatched by an EggManager.
+     */
+    export interface HatchedEgg {
+        pokemon_id: string | number | Long,
+        pokemon: POGOProtos.Data.PokemonData | null,
+        experience_awarded: number,
+        candy_awarded: number,
+        stardust_awarded: number,
+        egg_km_walked: number
+    }
+
+    /**
+     * Puts eggs into free incubators according to a policy and reports hatched eggs.
+     */
+    export class EggManager {
+        /**
+         * @param {Client} client Client to incubate eggs with
+         * @param {Object} options Manager options
+         */
+        constructor(client: Client, options?: Object);
+
+        /**
+         * Decides which eggs to put into which free incubators without changing anything.
+         * @param {InventoryState|Object} inventory InventoryState, getInventory() response or splitInventory() result (optional)
+         */
+        plan(inventory?: InventoryState | Object): IncubatorAssignment[];
+
+        /**
+         * Puts eggs into free incubators as planned by plan(). Cannot be used in batch mode.
+         * @param {InventoryState|Object} inventory InventoryState, getInventory() response or splitInventory() result (optional)
+         */
+        incubate(inventory?: InventoryState | Object): Promise<IncubatorAssignment[]>;
+
+        /**
+         * Returns how far the eggs in the incubators have come.
+         * @param {InventoryState|Object} inventory InventoryState, getInventory() response or splitInventory() result (optional)
+         */
+        getProgress(inventory?: InventoryState | Object): IncubatorProgress[];
+
+        /**
+         * Asks the server for hatched eggs and emits a hatched event for each one. Cannot be used in batch mode.
+         */
+        checkHatched(): Promise<HatchedEgg[]>;
+
+        /**
+         * Stops listening to the client's hatched-eggs events.
+         */
+        detach(): void;
+
+        on(event: string, listener: Function): this;
+    }
+
+    /**
+     * State of the buddy tracked by a BuddyTracker.
+     */
+    export interface BuddyStatus {
+        id: string | number | Long,
+        pokemon_id: POGOProtos.Enums.PokemonId,
+        family_id: POGOProtos.Enums.PokemonFamilyId,
+        km_buddy_distance: number,
+        km_walked: number,
+        km_to_next_candy: number | null,
+        progress: number,
+        candy_earned: number
+    }
+
+    /**
+     * Tracks the distance walked with the buddy Pokémon and reports the candy earned.
+     */
+    export class BuddyTracker {
+        /**
+         * @param {Client} client Client to set and check the buddy with
+         * @param {Object} templates downloadItemTemplates() response or splitItemTemplates() result
+         * @param {Object} options Tracker options
+         */
+        constructor(client: Client, templates: POGOProtos.Networking.Responses.DownloadItemTemplatesResponse | Object,
+            options?: Object);
+
+        /**
+         * Makes a Pokémon the buddy. Cannot be used in batch mode.
+         * @param {POGOProtos.Data.PokemonData} pokemon Pokémon
+         */
+        setBuddy(pokemon: POGOProtos.Data.PokemonData): Promise<POGOProtos.Networking.Responses.SetBuddyPokemonResponse>;
+
+        /**
+         * Updates the buddy from the player data, for example after getPlayer().
+         * @param {POGOProtos.Data.BuddyPokemon} buddy Buddy from the player data
+         * @param {POGOProtos.Data.PokemonData} pokemon Pokémon data of the buddy (optional)
+         */
+        update(buddy: POGOProtos.Data.BuddyPokemon, pokemon?: POGOProtos.Data.PokemonData): void;
+
+        /**
+         * Sets the total distance the player has walked, as reported by the server.
+         * @param {number} km km_walked from the player stats
+         */
+        setKmWalked(km: number): void;
+
+        /**
+         * Returns the estimated total distance the player has walked in km.
+         */
+        getKmWalked(): number;
+
+        /**
+         * Returns the state of the buddy.
+         */
+        getStatus(): BuddyStatus | null;
+
+        /**
+         * Calls getBuddyWalked() and processes the candy earned. Cannot be used in batch mode.
+         */
+        checkWalked(): Promise<POGOProtos.Networking.Responses.GetBuddyWalkedResponse>;
+
+        /**
+         * Switches to the next buddy chosen by the rotation option.
+         */
+        rotate(): Promise<POGOProtos.Networking.Responses.SetBuddyPokemonResponse | null>;
+
+        /**
+         * Stops listening to the client, the inventory and the walker.
+         */
+        detach(): void;
+
+        on(event: string, listener: Function): this;
+    }
+
+    /**
+     * Move made in a simulated gym battle.
+     */
+    export interface SimulatedMove {
+        time_ms: number,
+        side: string,
+        pokemon_id: POGOProtos.Enums.PokemonId,
+        move: POGOProtos.Enums.PokemonMove,
+        damage: number
+    }
+
+    /**
+     * Outcome of a simulated gym battle.
+     */
+    export interface SimulatedBattle {
+        result: string,
+        duration_ms: number,
+        defenders_defeated: number,
+        attackers_fainted: number,
+        log: SimulatedMove[]
+    }
+
+    /**
+     * Outcome of a gym battle fought against the server.
+     */
+    export interface GymBattleOutcome {
+        result: string,
+        status: number | null,
+        battle_id: string | null,
+        rounds: number,
+        defenders_defeated: number,
+        attackers_fainted: number,
+        experience_awarded: number,
+        gym_points_delta: number,
+        duration_ms: number
+    }
+
+    /**
+     * Fights gym battles, simulated or against the server.
+     */
+    export class GymBattle {
+        /**
+         * @param {Client} client Client to battle with
+         * @param {Object} templates downloadItemTemplates() response or splitItemTemplates() result
+         * @param {Object} options Battle options
+         */
+        constructor(client: Client, templates: POGOProtos.Networking.Responses.DownloadItemTemplatesResponse | Object,
+            options?: Object);
+
+        /**
+         * Simulates a battle without contacting the server.
+         * @param {Object} gym GetGymDetailsResponse or GymState message
+         * @param {Array} attackers Pokémon data or IDs (with the inventory option)
+         */
+        simulate(gym: POGOProtos.Networking.Responses.GetGymDetailsResponse | POGOProtos.Data.Gym.GymState,
+            attackers: (POGOProtos.Data.PokemonData | string | number | Long)[]): SimulatedBattle;
+
+        /**
+         * Fights a battle against the server. Cannot be used in batch mode.
+         * @param {Object} gym GetGymDetailsResponse or GymState message
+         * @param {Array} attackers Pokémon data or IDs (with the inventory option)
+         */
+        battle(gym: POGOProtos.Networking.Responses.GetGymDetailsResponse | POGOProtos.Data.Gym.GymState,
+            attackers: (POGOProtos.Data.PokemonData | string | number | Long)[]): Promise<GymBattleOutcome>;
+
+        on(event: string, listener: Function): this;
+    }
+
+    /**
+     * Request passed to a transport's send() method.
+     */
+    export interface TransportRequest {
+        url: string,
+        body: Buffer,
+        proxy?: string
+    }
+
+    /**
+     * Response a transport's send() method resolves with.
+     */
+    export interface TransportResponse {
+        statusCode: number,
+        body: Buffer
+    }
+
+    /**
+     * Interface for objects that can be passed to the client's transport option.
+     */
+    export interface Transport {
+        /**
+         * Sends an encoded request envelope and resolves with the status code and raw response body.
+         * @param {TransportRequest} request Request description
+         */
+        send(request: TransportRequest): Promise<TransportResponse>;
+    }
+
+    /**
+     * Default RPC transport that sends request envelopes to the API via HTTPS.
+     */
+    export class HTTPTransport implements Transport {
+        /**
+         * Sends an encoded request envelope and resolves with the status code and raw response body.
+         * @param {TransportRequest} request Request description
+         */
+        send(request: TransportRequest): Promise<TransportResponse>;
+    }
+
+    /**
+     * Local stand-in for the Pokémon Go RPC server, usable as a client transport.
+     */
+    export class MockServer implements Transport {
+        /**
+         * @param {Object} options Server options
+         */
+        constructor(options?: Object);
+
+        /**
+         * Registers a handler for the given request type.
+         * @param {POGOProtos.Networking.Requests.RequestType} requestType Request type to handle
+         * @param {Function} handler Function returning a plain object, a response message or a Promise for either
+         */
+        setHandler(
+            requestType: POGOProtos.Networking.Requests.RequestType,
+            handler: (message: any, context: { requestType: number, envelope: POGOProtos.Networking.Envelopes.RequestEnvelope }) => any
+        ): MockServer;
+
+        /**
+         * Forces the status code of the next response envelope.
+         * @param {number} statusCode Response envelope status code
+         */
+        queueStatus(statusCode: number): MockServer;
+
+        /**
+         * Invalidates all auth tickets issued so far.
+         */
+        expireAuthTickets(): void;
+
+        /**
+         * Handles an encoded request envelope and resolves with the encoded response envelope.
+         * @param {TransportRequest} request Request description
+         */
+        send(request: TransportRequest): Promise<TransportResponse>;
+
+        on(event: string, listener: Function): this;
+    }
+
+    /**
+     * Records the RPC traffic of a client to a file of newline-delimited JSON.
+     */
+    export class Recorder {
+        /**
+         * @param {string} file Path of the file to append recorded envelopes to
+         */
+        constructor(file: string);
+
+        /**
+         * Starts recording the RPC traffic of the given client.
+         * @param {Client} client pogobuf Client instance
+         */
+        attach(client: Client): Recorder;
+
+        /**
+         * Stops recording.
+         */
+        detach(): void;
+    }
+
+    /**
+     * Transport that serves response envelopes from a recording made with Recorder.
+     */
+    export class ReplayTransport implements Transport {
+        /**
+         * @param {string|Object[]} recording Path of a recording file, or an array of recorded entries
+         */
+        constructor(recording: string | Object[]);
+
+        /**
+         * Resolves with the next recorded response envelope, or rejects if the request does not match the recording.
+         * @param {TransportRequest} request Request description
+         */
+        send(request: TransportRequest): Promise<TransportResponse>;
+
+        /**
+         * Returns true if all recorded responses have been served.
+         */
+        isFinished(): boolean;
+    }
+
+    /**
+     * Base class of all errors raised by pogobuf for failed RPC calls.
+     */
+    export class PogobufError extends Error {
+        constructor(message: string, requestTypes?: POGOProtos.Networking.Requests.RequestType[]);
+
+        /**
+         * Types of the requests involved
+         */
+        requestTypes: POGOProtos.Networking.Requests.RequestType[];
+    }
+
+    /**
+     * Error for RPC response envelopes with a status code that indicates failure.
+     */
+    export class RpcStatusError extends PogobufError {
+        constructor(
+            statusCode: number,
+            requestId: string,
+            requestTypes?: POGOProtos.Networking.Requests.RequestType[],
+            message?: string
+        );
+
+        statusCode: number;
+        requestId: string;
+    }
+
+    /**
+     * Error for RPC calls the server keeps answering with status code 52 (throttled).
+     */
+    export class ThrottledError extends RpcStatusError {
+        constructor(requestId: string, requestTypes?: POGOProtos.Networking.Requests.RequestType[]);
+    }
+
+    /**
+     * Error for missing auth info and for auth tokens or tickets rejected by the server.
+     */
+    export class AuthError extends PogobufError {
+        constructor(
+            message: string,
+            requestTypes?: POGOProtos.Networking.Requests.RequestType[],
+            statusCode?: number,
+            requestId?: string
+        );
+
+        statusCode: number | null;
+        requestId: string | null;
+    }
+
+    /**
+     * Error for RPC calls answered with an HTTP status other than 200.
+     */
+    export class HttpStatusError extends PogobufError {
+        constructor(statusCode: number, requestTypes?: POGOProtos.Networking.Requests.RequestType[]);
+
+        statusCode: number;
+    }
+
+    /**
+     * Error for response envelopes or response messages that could not be decoded.
+     */
+    export class EnvelopeParseError extends PogobufError {
+        constructor(cause: Error, body: Buffer, requestTypes?: POGOProtos.Networking.Requests.RequestType[]);
+
+        cause: Error;
+        body: Buffer;
+    }
+
+    /**
+     * Error for failed hashing server setup or requests.
+     */
+    export class HashingServerError extends PogobufError {
+        constructor(cause: string | Error, requestTypes?: POGOProtos.Networking.Requests.RequestType[]);
+
+        cause: Error | null;
+    }
+
+    /**
+     * Error for captcha challenges that could not be solved.
+     */
+    export class ChallengeError extends PogobufError {
+        constructor(message: string, challengeUrl: string, requestTypes?: POGOProtos.Networking.Requests.RequestType[]);
+
+        challengeUrl: string;
+    }
+
+    /**
+     * Error for actions rejected because the cooldown after moving a long distance has not passed.
+     */
+    export class CooldownError extends PogobufError {
+        constructor(remaining: number, distance: number, requestTypes?: POGOProtos.Networking.Requests.RequestType[]);
+
+        /**
+         * Remaining cooldown in milliseconds
+         */
+        remaining: number;
+
+        /**
+         * Distance from the location of the last action in meters
+         */
+        distance: number;
+    }
+
+    /**
+     * Error for fort searches that failed or were refused because they would fail.
+     */
+    export class FortSearchError extends PogobufError {
+        constructor(result: POGOProtos.Networking.Responses.FortSearchResponse.Result, fortID: string,
+            requestTypes?: POGOProtos.Networking.Requests.RequestType[], message?: string);
+
+        /**
+         * Result code the search failed or would fail with
+         */
+        result: POGOProtos.Networking.Responses.FortSearchResponse.Result;
+
+        /**
+         * ID of the fort
+         */
+        fortID: string;
+    }
+
+    /**
+     * Various utilities for dealing with Pokémon Go API requests.
+     */
+    export module Utils {
+
+        interface Inventory {
+            pokemon: POGOProtos.Data.PokemonData[],
+            removed_pokemon: number[],
+            items: POGOProtos.Inventory.Item.ItemData[],
+            pokedex: POGOProtos.Data.PokedexEntry[],
+            player: POGOProtos.Data.Player.PlayerStats,
+            currency: POGOProtos.Data.Player.PlayerCurrency[],
+            camera: POGOProtos.Data.Player.PlayerCamera,
+            inventory_upgrades: POGOProtos.Inventory.InventoryUpgrades[],
+            applied_items: POGOProtos.Inventory.AppliedItems[],
+            egg_incubators: POGOProtos.Inventory.EggIncubators[],
+            candies: POGOProtos.Inventory.Candy[],
+            quests: POGOProtos.Data.Quests.Quest[]
+        }
+
+        interface ItemTemplates {
+            pokemon_settings: POGOProtos.Settings.Master.PokemonSettings[],
+            item_settings: POGOProtos.Settings.Master.ItemSettings[],
+            move_settings: POGOProtos.Settings.Master.MoveSettings[],
+            move_sequence_settings: POGOProtos.Settings.Master.MoveSequenceSettings[],
+            type_effective_settings: POGOProtos.Settings.Master.TypeEffectiveSettings[],
+            badge_settings: POGOProtos.Settings.Master.BadgeSettings[],
+            camera_settings: POGOProtos.Settings.Master.CameraSettings,
+            player_level_settings: POGOProtos.Settings.Master.PlayerLevelSettings,
+            gym_level_settings: POGOProtos.Settings.Master.GymLevelSettings,
+            battle_settings: POGOProtos.Settings.Master.GymBattleSettings,
+            encounter_settings: POGOProtos.Settings.Master.EncounterSettings,
+            iap_item_display: POGOProtos.Settings.Master.IapItemDisplay[],
+            iap_settings: POGOProtos.Settings.Master.IapSettings,
+            pokemon_upgrade_settings: POGOProtos.Settings.Master.PokemonUpgradeSettings,
+            equipped_badge_settings: POGOProtos.Settings.Master.EquippedBadgeSettings
+        }
+
+        interface Stats {
+            attack: number,
+            defend: number,
+            stamina: number,
+            percent: number
+        }
+
+        export interface Coordinates {
+            latitude: number,
+            longitude: number
+        }
+
+        /**
+         * Provides cell IDs of nearby cells based on the given coords and radius
+         * @param {number} latitude Latitude
+         * @param {number} longitude Longitude
+         * @param {number} radius Radius of the square in cells (optional) (default value is 3)
+         * @param {number} level S2 cell level (default value is 15)
+         */
+        function getCellIDs(latitude: number, longitude: number, radius?: number, level?: number): string[];
+
+        /**
+         * Provides the IDs of all cells that touch a circle around the given coords, closest to the center first
+         * and capped at the number of cells the server accepts per request
+         * @param {number} latitude Latitude
+         * @param {number} longitude Longitude
+         * @param {number} meters Radius of the circle in meters
+         * @param {number} level S2 cell level (default value is 15)
+         */
+        function getCellIDsInRadius(latitude: number, longitude: number, meters: number, level?: number): string[];
+
+        /**
+         * Provides the IDs of all cells that touch a polygon, closest to the polygon's center first
+         * and capped at the number of cells the server accepts per request
+         * @param {Coordinates[]} points Vertices of the polygon
+         * @param {number} level S2 cell level (default value is 15)
+         */
+        function getCellIDsInPolygon(points: Coordinates[], level?: number): string[];
+
+        /**
+         * Checks whether the given coords lie within a polygon
+         * @param {number} latitude Latitude
+         * @param {number} longitude Longitude
+         * @param {Coordinates[]} points Vertices of the polygon
+         */
+        function isPointInPolygon(latitude: number, longitude: number, points: Coordinates[]): boolean;
+
+        /**
+         * Takes a getInventory() response and separates it into pokemon, items, candies, player data, eggs, quests, and pokedex.
+         * @param {object} inventory API response message as returned by getInventory()
+         */
+        function splitInventory(inventory: POGOProtos.Networking.Responses.GetInventoryResponse): Inventory;
+
+        /**
+         * Takes a downloadItemTemplates() response and separates it into the individual settings objects.
+         * @param {object} templates API response message as returned by downloadItemTemplates()
+         */
+        function splitItemTemplates(templates: POGOProtos.Networking.Responses.DownloadItemTemplatesResponse): ItemTemplates;
+
+        /**
+         * Utility method that finds the name of the key for a given enum value and makes it look a little nicer.
+         * @param {object} enumObjekt
+         * @param {number} value
+         */
+        function getEnumKeyByValue(enumObjekt: Object, value: number): string;
+
+        /**
+         * Utility method to get the Individual Values from Pokémon
+         * @param {object} pokemon A pokemon_data structure
+         * @param {number} decimals Amount of decimals, negative values do not round, max 20
+         */
+        function getIVsFromPokemon(pokemon: Object, decimals: number): Stats;
+
+        /**
+         * Calculates the distance between two coordinates in meters using the haversine formula
+         * @param {number} lat1 Latitude of the first coordinate
+         * @param {number} lng1 Longitude of the first coordinate
+         * @param {number} lat2 Latitude of the second coordinate
+         * @param {number} lng2 Longitude of the second coordinate
+         */
+        function getDistance(lat1: number, lng1: number, lat2: number, lng2: number): number;
+
+        /**
+         * Provides the time to wait in milliseconds after an action before performing another one
+         * at the given distance without getting soft banned, based on the community cooldown table
+         * @param {number} distance Distance between the two actions in meters
+         */
+        function getCooldown(distance: number): number;
+
+        /**
+         * Returns a string key for a 64 bit ID that may be a Long, a number or a string, to use
+         * IDs as object keys or compare them
+         * @param {string|number|Long} id ID
+         */
+        function idKey(id: string | number | Long): string;
+
+        /**
+         * Converts a 64 bit value such as a timestamp that may be a Long, a number or a string
+         * to a number
+         * @param {string|number|Long} value Value
+         */
+        function toNumber(value: string | number | Long): number;
 
         /**
          * Utility method to convert all Long.js objects to integers or strings
@@ -0,0 +1,366 @@
+'use strict';
+
+const EventEmitter = require('events').EventEmitter,
+    POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird'),
+    Client = require('./pogobuf.client.js'),
+    PTCLogin = require('./pogobuf.ptclogin.js'),
+    GoogleLogin = require('./pogobuf.googlelogin.js'),
+    errors = require('./pogobuf.errors.js');
+
+const RequestType = POGOProtos.Networking.Requests.RequestType;
+
+const defaultOptions = {
+    clientOptions: {},
+    position: null,
+    maxActive: 0,
+    maxFailures: 5,
+    retryDelay: 60 * 1000,
+    maxRetryDelay: 30 * 60 * 1000
+};
+
+/**
+ * Manages a pool of accounts, logging them in on demand and handing out initialized clients.
+ * Each account is only handed out to one user at a time. Accounts that are banned, receive a
+ * captcha challenge or keep failing are taken out of rotation.
+ * @class AccountPool
+ * @param {Object[]} accounts - Accounts with username, password, authType ('ptc' or 'google')
+ *     and optional proxy
+ * @param {Object} [options] - Pool options
+ * @param {Object} [options.clientOptions] - Options for the clients created for the accounts,
+ *     checkChallenges is enabled unless turned off here
+ * @param {Object} [options.position] - Position to set on newly logged in clients
+ * @param {number} [options.maxActive=0] - Maximum number of accounts in use at the same time,
+ *     0 for no limit
+ * @param {number} [options.maxFailures=5] - Number of failures after which an account is
+ *     marked as failed and no longer used
+ * @param {number} [options.retryDelay=60000] - Time in milliseconds an account is held back
+ *     after its first failure, doubled with each further failure
+ * @param {number} [options.maxRetryDelay=1800000] - Upper limit of the retry delay in
+ *     milliseconds
+ * @memberof pogobuf
+ */
+function AccountPool(accounts, options) {
+    if (!(this instanceof AccountPool)) {
+        return new AccountPool(accounts, options);
+    }
+    const self = this;
+
+    /*
+     * PUBLIC METHODS
+     */
+
+    /**
+     * Returns a Promise that will be resolved with an initialized client as soon as an account
+     * is available. The client must be handed back with {@link #release} when done.
+     * @return {Promise}
+     */
+    this.acquire = function() {
+        return new Promise((resolve, reject) => {
+            self.waiting.push({
+                resolve: resolve,
+                reject: reject
+            });
+            self.dispatch();
+        });
+    };
+
+    /**
+     * Hands a client back to the pool. If the work done with the client failed, pass the error
+     * so the account's health can be updated.
+     * @param {Client} client - Client obtained from {@link #acquire}
+     * @param {Error} [err] - Error that occurred while using the client
+     */
+    this.release = function(client, err) {
+        const account = self.accounts.find(a => a.client === client);
+        if (!account || !account.inUse) return;
+
+        account.inUse = false;
+        if (err) {
+            self.handleError(account, err);
+        } else {
+            account.failures = 0;
+        }
+
+        self.dispatch();
+    };
+
+    /**
+     * Acquires a client, calls the given function with it and releases the client once the
+     * Promise returned by the function has settled.
+     * @param {function} fn - Function that takes a client and returns a Promise
+     * @return {Promise} - A Promise that will be resolved or rejected like the one returned by fn
+     */
+    this.use = function(fn) {
+        return self.acquire().then(client => Promise.try(() => fn(client))
+            .then(result => {
+                self.release(client);
+                return result;
+            }, err => {
+                self.release(client, err);
+                throw err;
+            }));
+    };
+
+    /**
+     * Takes an account out of rotation.
+     * @param {string} username - Account username
+     * @param {string} [status=disabled] - Status to record for the account
+     */
+    this.disable = function(username, status) {
+        const account = self.getAccount(username);
+        self.setStatus(account, status || 'disabled');
+    };
+
+    /**
+     * Puts an account back into rotation, for example after a captcha has been solved.
+     * @param {string} username - Account username
+     */
+    this.enable = function(username) {
+        const account = self.getAccount(username);
+        account.failures = 0;
+        self.setStatus(account, 'ready');
+        self.dispatch();
+    };
+
+    /**
+     * Returns the health of all accounts in the pool.
+     * @return {Object[]}
+     */
+    this.getHealth = function() {
+        return self.accounts.map(a => ({
+            username: a.username,
+            authType: a.authType,
+            status: a.status,
+            inUse: a.inUse,
+            loggedIn: !!a.client,
+            uses: a.uses,
+            failures: a.failures,
+            lastError: a.lastError ? a.lastError.message : null,
+            retryAt: a.status === 'backoff' ? a.retryAt : null
+        }));
+    };
+
+    /*
+     * INTERNAL STUFF
+     */
+
+    this.options = Object.assign({}, defaultOptions, options || {});
+    this.waiting = [];
+    this.accounts = accounts.map(a => ({
+        username: a.username,
+        password: a.password,
+        authType: a.authType || 'ptc',
+        proxy: a.proxy || null,
+        status: 'ready',
+        inUse: false,
+        client: null,
+        unwatchClient: null,
+        uses: 0,
+        failures: 0,
+        lastError: null,
+        retryAt: 0,
+        retryTimer: null
+    }));
+
+    /**
+     * Finds the account with the given username.
+     * @private
+     * @param {string} username
+     * @return {Object}
+     */
+    this.getAccount = function(username) {
+        const account = self.accounts.find(a => a.username === username);
+        if (!account) throw Error(`Unknown account ${username}`);
+        return account;
+    };
+
+    /**
+     * Hands out available accounts to waiting callers of {@link #acquire}.
+     * @private
+     */
+    this.dispatch = function() {
+        while (self.waiting.length) {
+            const active = self.accounts.filter(a => a.inUse).length;
+            if (self.options.maxActive && active >= self.options.maxActive) return;
+
+            // Prefer accounts that are already logged in
+            const available = self.accounts.filter(a => !a.inUse && a.status === 'ready'),
+                account = available.find(a => a.client) || available[0];
+
+            if (!account) {
+                const canRecover = self.accounts.some(a => a.inUse || a.status === 'backoff');
+                if (!canRecover) {
+                    self.waiting.splice(0).forEach(w => w.reject(Error('No accounts left in rotation')));
+                }
+                return;
+            }
+
+            const waiter = self.waiting.shift();
+            account.inUse = true;
+
+            self.prepare(account)
+                .then(client => {
+                    // The account may have been taken out of rotation while logging in
+                    if (account.status !== 'ready') {
+                        account.inUse = false;
+                        self.waiting.unshift(waiter);
+                        self.dispatch();
+                        return;
+                    }
+
+                    account.uses++;
+                    waiter.resolve(client);
+                })
+                .catch(err => {
+                    account.inUse = false;
+                    self.handleError(account, err, true);
+                    self.waiting.unshift(waiter);
+                    self.dispatch();
+                });
+        }
+    };
+
+    /**
+     * Returns a Promise that will be resolved with the account's client, logging in and
+     * initializing a new one if necessary.
+     * @private
+     * @param {Object} account
+     * @return {Promise}
+     */
+    this.prepare = function(account) {
+        if (account.client) return Promise.resolve(account.client);
+
+        const login = account.authType === 'google' ? new GoogleLogin() : new PTCLogin();
+        if (account.proxy) login.setProxy(account.proxy);
+
+        return Promise.resolve(login.login(account.username, account.password))
+            .then(token => {
+                const client = new Client(Object.assign({ checkChallenges: true }, self.options.clientOptions, {
+                    authType: account.authType,
+                    authToken: token,
+                    authProvider: login,
+                    credentials: {
+                        username: account.username,
+                        password: account.password
+                    }
+                }));
+
+                if (account.proxy) client.setOption('proxy', account.proxy);
+                if (self.options.position) client.setPosition(self.options.position);
+
+                self.watchClient(account, client);
+
+                return client.init().then(() => {
+                    account.client = client;
+                    return client;
+                }, err => {
+                    self.discardClient(account);
+                    throw err;
+                });
+            });
+    };
+
+    /**
+     * Watches the responses received by an account's client for bans and captcha challenges.
+     * @private
+     * @param {Object} account
+     * @param {Client} client
+     */
+    this.watchClient = function(account, client) {
+        const onResponse = response => {
+            response.responses.forEach(r => {
+                if (r.type === RequestType.GET_PLAYER && r.data.banned) {
+                    self.setStatus(account, 'banned');
+                } else if (r.type === RequestType.CHECK_CHALLENGE && r.data.show_challenge) {
+                    self.setStatus(account, 'challenge', r.data.challenge_url);
+                }
+            });
+        };
+
+        client.on('response', onResponse);
+        account.unwatchClient = () => client.removeListener('response', onResponse);
+    };
+
+    /**
+     * Stops watching an account's client and drops it, so that the next use logs in again.
+     * @private
+     * @param {Object} account
+     */
+    this.discardClient = function(account) {
+        if (account.unwatchClient) account.unwatchClient();
+        account.unwatchClient = null;
+        account.client = null;
+    };
+
+    /**
+     * Updates an account's health after an error.
+     * @private
+     * @param {Object} account
+     * @param {Error} err
+     * @param {boolean} [duringLogin] - Whether the error occurred while logging in
+     */
+    this.handleError = function(account, err, duringLogin) {
+        account.lastError = err;
+        self.emit('account-error', account.username, err);
+
+        // Status code 3 when logging in usually means the account is banned
+        if (duringLogin && err instanceof errors.RpcStatusError && err.statusCode === 3) {
+            self.setStatus(account, 'banned');
+            return;
+        }
+
+        // Start over with a fresh login next time
+        if (duringLogin || err instanceof errors.AuthError) self.discardClient(account);
+
+        if (account.status !== 'ready') return;
+
+        account.failures++;
+        if (account.failures >= self.options.maxFailures) {
+            self.setStatus(account, 'failed');
+            return;
+        }
+
+        const delay = Math.min(self.options.retryDelay * Math.pow(2, account.failures - 1),
+            self.options.maxRetryDelay);
+
+        account.retryAt = new Date().getTime() + delay;
+        self.setStatus(account, 'backoff');
+        account.retryTimer = setTimeout(() => {
+            account.retryTimer = null;
+            if (account.status !== 'backoff') return;
+            self.setStatus(account, 'ready');
+            self.dispatch();
+        }, delay);
+
+        // Don't keep the process running just for an account in backoff
+        if (account.retryTimer.unref) account.retryTimer.unref();
+    };
+
+    /**
+     * Changes an account's status and emits an account-status event.
+     * @private
+     * @param {Object} account
+     * @param {string} status - New status
+     * @param {string} [detail] - Additional information, like the captcha URL
+     */
+    this.setStatus = function(account, status, detail) {
+        if (account.status === status) return;
+
+        account.status = status;
+        if (status !== 'backoff' && account.retryTimer) {
+            clearTimeout(account.retryTimer);
+            account.retryTimer = null;
+        }
+
+        self.emit('account-status', {
+            username: account.username,
+            status: status,
+            detail: detail || null
+        });
+    };
+}
+
+AccountPool.prototype = Object.create(EventEmitter.prototype);
+
+module.exports = AccountPool;
@@ -0,0 +1,280 @@
+'use strict';
+
+const EventEmitter = require('events').EventEmitter,
+    Long = require('long'),
+    POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird'),
+    PokemonStats = require('./pogobuf.pokemonstats.js'),
+    Utils = require('./pogobuf.utils.js');
+
+const SetBuddyResult = POGOProtos.Networking.Responses.SetBuddyPokemonResponse.Result;
+
+const defaultOptions = {
+    inventory: null,
+    walker: null,
+    retryInterval: 60 * 1000,
+    rotation: null,
+    rotationList: [],
+    rotateAfterCandies: 1
+};
+
+/**
+ * Tracks the distance walked with the buddy Pokémon against the buddy distance of its species,
+ * calls getBuddyWalked() once a candy is due and reports the candy earned. The distance comes
+ * from the player stats of an InventoryState, with the distance reported by a Walker added in
+ * between inventory updates. Buddies can be rotated by a policy after earning candy.
+ * @class BuddyTracker
+ * @param {Client} client - pogobuf Client instance
+ * @param {Object} templates - downloadItemTemplates() response or splitItemTemplates() result
+ * @param {Object} [options] - Tracker options
+ * @param {InventoryState} [options.inventory] - Inventory to take the distance walked and the
+ *     buddy's data from
+ * @param {Walker} [options.walker] - Walker whose distance is added between inventory updates
+ * @param {number} [options.retryInterval=60000] - Minimum time in milliseconds between
+ *     getBuddyWalked() calls
+ * @param {string|function} [options.rotation] - round-robin to rotate through rotationList, or
+ *     a function that takes the buddy status and returns the next buddy's PokemonData
+ * @param {Object[]} [options.rotationList] - PokemonData of the buddies to rotate through
+ * @param {number} [options.rotateAfterCandies=1] - Number of candies a buddy earns before it is
+ *     rotated
+ * @memberof pogobuf
+ */
+function BuddyTracker(client, templates, options) {
+    if (!(this instanceof BuddyTracker)) {
+        return new BuddyTracker(client, templates, options);
+    }
+    const self = this;
+
+    /*
+     * PUBLIC METHODS
+     */
+
+    /**
+     * Makes a Pokémon the buddy. Cannot be used in batch mode.
+     * @param {Object} pokemon - PokemonData message
+     * @return {Promise} - A Promise that will be resolved with the SetBuddyPokemonResponse
+     */
+    this.setBuddy = function(pokemon) {
+        if (client.batchRequests) return Promise.reject(Error('Can not set buddy in batch mode'));
+
+        return client.setBuddyPokemon(pokemon.id).then(response => {
+            if (response.result === SetBuddyResult.SUCCESS) self.update(response.updated_buddy, pokemon);
+            return response;
+        });
+    };
+
+    /**
+     * Updates the buddy from the player data, for example after getPlayer().
+     * @param {Object} buddy - BuddyPokemon message
+     * @param {Object} [pokemon] - PokemonData message of the buddy, looked up in the inventory
+     *     option if not given
+     */
+    this.update = function(buddy, pokemon) {
+        if (!buddy || !buddy.id || (Long.isLong(buddy.id) && buddy.id.isZero())) {
+            self.buddy = null;
+            return;
+        }
+
+        if (!pokemon && self.options.inventory) pokemon = self.options.inventory.getPokemonById(buddy.id);
+        if (!pokemon) throw Error(`Buddy ${Utils.idKey(buddy.id)} not found in inventory`);
+
+        const pokemonSettings = self.stats.getPokemonSettings(pokemon.pokemon_id),
+            changed = !self.buddy || Utils.idKey(self.buddy.id) !== Utils.idKey(buddy.id);
+
+        self.buddy = {
+            id: buddy.id,
+            pokemon_id: pokemon.pokemon_id,
+            family_id: pokemonSettings ? pokemonSettings.family_id : 0,
+            km_buddy_distance: pokemonSettings ? pokemonSettings.km_buddy_distance : 0,
+            start_km_walked: buddy.start_km_walked || 0,
+            last_km_awarded: buddy.last_km_awarded || 0,
+            candy_earned: changed ? 0 : self.buddy.candy_earned
+        };
+
+        if (changed) self.emit('buddy-changed', self.buddy);
+        self.checkDue();
+    };
+
+    /**
+     * Sets the total distance the player has walked, as reported by the server.
+     * @param {number} km - km_walked from the player stats
+     */
+    this.setKmWalked = function(km) {
+        self.kmWalked = km;
+        self.walkerMeters = 0;
+        self.checkDue();
+    };
+
+    /**
+     * Returns the estimated total distance the player has walked in km.
+     * @return {number}
+     */
+    this.getKmWalked = function() {
+        return self.kmWalked + self.walkerMeters / 1000;
+    };
+
+    /**
+     * Returns the state of the buddy.
+     * @return {Object|null} - Object with id, pokemon_id, family_id, km_buddy_distance,
+     *     km_walked (since the buddy was set), km_to_next_candy, progress (towards the next
+     *     candy, between 0 and 1) and candy_earned, or null if there is no buddy
+     */
+    this.getStatus = function() {
+        const buddy = self.buddy;
+        if (!buddy) return null;
+
+        const km = self.getKmWalked(),
+            sinceAward = Math.max(0, km - buddy.last_km_awarded),
+            distance = buddy.km_buddy_distance;
+
+        return {
+            id: buddy.id,
+            pokemon_id: buddy.pokemon_id,
+            family_id: buddy.family_id,
+            km_buddy_distance: distance,
+            km_walked: Math.max(0, km - buddy.start_km_walked),
+            km_to_next_candy: distance ? Math.max(0, distance - sinceAward) : null,
+            progress: distance ? Math.min(1, sinceAward / distance) : 0,
+            candy_earned: buddy.candy_earned
+        };
+    };
+
+    /**
+     * Calls getBuddyWalked() and processes the candy earned. Cannot be used in batch mode.
+     * @return {Promise} - A Promise that will be resolved with the GetBuddyWalkedResponse
+     */
+    this.checkWalked = function() {
+        if (client.batchRequests) return Promise.reject(Error('Can not check buddy in batch mode'));
+
+        self.lastCheck = Date.now();
+        return client.getBuddyWalked().then(response => {
+            self.handleBuddyWalked(response);
+            return response;
+        });
+    };
+
+    /**
+     * Switches to the next buddy chosen by the rotation option.
+     * @return {Promise} - A Promise that will be resolved with the SetBuddyPokemonResponse, or
+     *     with null if the rotation has no next buddy
+     */
+    this.rotate = function() {
+        const next = self.getNextBuddy();
+        return next ? self.setBuddy(next) : Promise.resolve(null);
+    };
+
+    /**
+     * Stops listening to the client, the inventory and the walker.
+     */
+    this.detach = function() {
+        client.removeListener('buddy-walked', self.handleBuddyWalked);
+        if (self.options.inventory) self.options.inventory.removeListener('player-changed', self.handlePlayer);
+        if (self.options.walker) self.options.walker.removeListener('progress', self.handleProgress);
+    };
+
+    /*
+     * INTERNAL STUFF
+     */
+
+    this.options = Object.assign({}, defaultOptions, options || {});
+    this.stats = new PokemonStats(templates);
+    this.buddy = null;
+    this.kmWalked = 0;
+    this.walkerMeters = 0;
+    this.walkerTotal = this.options.walker ? this.options.walker.getDistanceWalked() : 0;
+    this.lastCheck = 0;
+    this.checking = false;
+    this.rotationIndex = 0;
+
+    /**
+     * Processes a getBuddyWalked() response.
+     * @private
+     * @param {Object} response - GetBuddyWalkedResponse message
+     */
+    this.handleBuddyWalked = function(response) {
+        const buddy = self.buddy;
+        if (!response || !response.success || !buddy || !response.candy_earned_count) return;
+
+        buddy.candy_earned += response.candy_earned_count;
+        buddy.last_km_awarded += buddy.km_buddy_distance * response.candy_earned_count;
+
+        self.emit('candy', {
+            family_candy_id: response.family_candy_id,
+            candy_earned_count: response.candy_earned_count,
+            buddy: buddy
+        });
+
+        if (self.options.rotation && buddy.candy_earned >= self.options.rotateAfterCandies) {
+            self.rotate().catch(err => self.emit('rotate-failed', err));
+        }
+    };
+
+    /**
+     * Calls getBuddyWalked() if a candy is due and the last check was long enough ago.
+     * @private
+     */
+    this.checkDue = function() {
+        const status = self.getStatus();
+        if (!status || !status.km_buddy_distance || status.km_to_next_candy > 0) return;
+        if (self.checking || client.batchRequests || Date.now() - self.lastCheck < self.options.retryInterval) return;
+
+        self.checking = true;
+        self.checkWalked()
+            .catch(err => self.emit('check-failed', err))
+            .finally(() => {
+                self.checking = false;
+            });
+    };
+
+    /**
+     * Returns the next buddy according to the rotation option.
+     * @private
+     * @return {Object|null} - PokemonData message
+     */
+    this.getNextBuddy = function() {
+        const rotation = self.options.rotation;
+        if (typeof rotation === 'function') return rotation(self.getStatus()) || null;
+        if (rotation !== 'round-robin') return null;
+
+        const list = self.options.rotationList;
+        for (var i = 0; i < list.length; i++) {
+            const candidate = list[(self.rotationIndex + i) % list.length];
+            if (!self.buddy || Utils.idKey(candidate.id) !== Utils.idKey(self.buddy.id)) {
+                self.rotationIndex = (self.rotationIndex + i + 1) % list.length;
+                return candidate;
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Takes the distance walked from updated player stats.
+     * @private
+     * @param {Object} player - PlayerStats message
+     */
+    this.handlePlayer = function(player) {
+        if (player && typeof player.km_walked === 'number') self.setKmWalked(player.km_walked);
+    };
+
+    /**
+     * Adds the distance reported by the walker since the last progress event.
+     * @private
+     * @param {Object} progress - Progress event of the walker
+     */
+    this.handleProgress = function(progress) {
+        self.walkerMeters += Math.max(0, progress.totalDistance - self.walkerTotal);
+        self.walkerTotal = progress.totalDistance;
+        self.checkDue();
+    };
+
+    client.on('buddy-walked', self.handleBuddyWalked);
+    if (this.options.inventory) {
+        this.options.inventory.on('player-changed', self.handlePlayer);
+        if (this.options.inventory.getPlayer()) this.kmWalked = this.options.inventory.getPlayer().km_walked || 0;
+    }
+    if (this.options.walker) this.options.walker.on('progress', self.handleProgress);
+}
+
+BuddyTracker.prototype = Object.create(EventEmitter.prototype);
+
+module.exports = BuddyTracker;
@@ -0,0 +1,379 @@
+'use strict';
+
+const POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird'),
+    Utils = require('./pogobuf.utils.js');
+
+const Responses = POGOProtos.Networking.Responses,
+    ItemId = POGOProtos.Inventory.Item.ItemId,
+    CatchStatus = Responses.CatchPokemonResponse.CatchStatus,
+    UseItemEncounterStatus = Responses.UseItemEncounterResponse.Status;
+
+// Result codes of successful encounters for each type of encounter
+const ENCOUNTER_SUCCESS = {
+    wild: Responses.EncounterResponse.Status.ENCOUNTER_SUCCESS,
+    lure: Responses.DiskEncounterResponse.Result.SUCCESS,
+    incense: Responses.IncenseEncounterResponse.Result.INCENSE_ENCOUNTER_SUCCESS
+};
+
+// Ranges of the normalized reticle size for each throw quality
+const THROWS = {
+    normal: [0, 1],
+    nice: [1, 1.3],
+    great: [1.3, 1.7],
+    excellent: [1.7, 2]
+};
+
+const defaultStrategy = {
+    balls: [ItemId.ITEM_POKE_BALL, ItemId.ITEM_GREAT_BALL, ItemId.ITEM_ULTRA_BALL],
+    minCaptureProbability: 0.5,
+    berry: ItemId.ITEM_RAZZ_BERRY,
+    berryBelowProbability: 0.35,
+    curveball: true,
+    throwQuality: 'excellent',
+    hitRate: 1,
+    maxAttempts: 10,
+    inventory: null
+};
+
+/**
+ * Determines the type of encounter for an encounter target.
+ * @private
+ * @param {Object} target - Pokémon to encounter
+ * @return {string} - wild, lure or incense
+ */
+function getEncounterType(target) {
+    if (target.lure_info || (target.fort_id && !target.spawn_point_id)) return 'lure';
+    if (target.encounter_location) return 'incense';
+    return 'wild';
+}
+
+/**
+ * Returns the Pokémon ID given in an encounter target.
+ * @private
+ * @param {Object} target - Pokémon to encounter
+ * @return {number}
+ */
+function getTargetPokemonID(target) {
+    if (target.lure_info) return target.lure_info.active_pokemon_id;
+    return target.pokemon_id || target.active_pokemon_id ||
+        (target.pokemon_data ? target.pokemon_data.pokemon_id : 0);
+}
+
+/**
+ * Catches Pokémon by encountering them and throwing balls until they are caught, flee or the
+ * strategy gives up. The strategy decides which balls to throw based on the capture probability,
+ * when to feed berries and how to throw. Usually used through {@link Client#catchEncounter}.
+ * @class Catcher
+ * @param {Client} client - pogobuf Client instance
+ * @param {Object} [strategy] - Catch strategy
+ * @param {number[]} [strategy.balls] - ItemIds of the balls to use, in order of preference
+ *     (Poké Ball, Great Ball and Ultra Ball by default)
+ * @param {number} [strategy.minCaptureProbability=0.5] - The first ball in the list with at
+ *     least this capture probability is thrown, otherwise the ball with the best probability
+ * @param {number|null} [strategy.berry] - ItemId of the berry to feed (Razz Berry by default),
+ *     or null to feed none
+ * @param {number} [strategy.berryBelowProbability=0.35] - A berry is fed when the capture
+ *     probability of the chosen ball is below this value
+ * @param {boolean} [strategy.curveball=true] - Whether to throw curveballs
+ * @param {string} [strategy.throwQuality=excellent] - Quality of the throws: normal, nice,
+ *     great or excellent
+ * @param {number} [strategy.hitRate=1] - Share of throws that hit the Pokémon
+ * @param {number} [strategy.maxAttempts=10] - Maximum number of throws per encounter
+ * @param {InventoryState} [strategy.inventory] - Inventory to take the ball and berry counts
+ *     from, fetched with getInventory() if not given
+ * @memberof pogobuf
+ */
+function Catcher(client, strategy) {
+    if (!(this instanceof Catcher)) {
+        return new Catcher(client, strategy);
+    }
+    const self = this;
+
+    /*
+     * PUBLIC METHODS
+     */
+
+    /**
+     * Encounters and tries to catch a Pokémon. Wild Pokémon, Pokémon at lured PokéStops and
+     * incense Pokémon are supported, see {@link #encounter}.
+     * @param {Object} target - Pokémon to encounter
+     * @return {Promise} - A Promise that will be resolved with the outcome
+     */
+    this.catchEncounter = function(target) {
+        return self.encounter(target).then(encounter => {
+            const outcome = {
+                result: 'encounter-failed',
+                status: null,
+                attempts: 0,
+                encounter: encounter,
+                pokemon_id: encounter.pokemon_id,
+                captured_pokemon_id: null,
+                capture_award: null,
+                xp: 0,
+                candy: 0,
+                stardust: 0,
+                items_used: {}
+            };
+
+            if (!encounter.success) return outcome;
+
+            return self.getItemCounts().then(items => self.throwBalls({
+                encounterID: encounter.encounter_id,
+                spawnPointID: encounter.spawn_point_id,
+                probability: encounter.capture_probability,
+                items: items,
+                berryActive: !!encounter.active_item,
+                outcome: outcome
+            }));
+        });
+    };
+
+    /**
+     * Encounters a Pokémon and returns the result in the same shape for all types of encounters.
+     * The target can be a WildPokemon or MapPokemon for wild encounters, a FortData with
+     * lure_info, a FortLureInfo or a NearbyPokemon with fort_id for lure encounters, or a
+     * GetIncensePokemonResponse for incense encounters. The spawn_point_id of the result is what
+     * catchPokemon() expects as spawn point: the fort ID for lures and the encounter location for
+     * incense.
+     * @param {Object} target - Pokémon to encounter
+     * @return {Promise} - A Promise that will be resolved with the normalized encounter
+     */
+    this.encounter = function(target) {
+        const type = getEncounterType(target);
+        var encounterID,
+            spawnPointID,
+            fortID = null,
+            request;
+
+        if (type === 'lure') {
+            const lureInfo = target.lure_info || target;
+            encounterID = lureInfo.encounter_id;
+            fortID = lureInfo.fort_id || target.id;
+            spawnPointID = fortID;
+            request = client.diskEncounter(encounterID, fortID);
+        } else if (type === 'incense') {
+            encounterID = target.encounter_id;
+            spawnPointID = target.encounter_location;
+            request = client.incenseEncounter(encounterID, spawnPointID);
+        } else {
+            encounterID = target.encounter_id;
+            spawnPointID = target.spawn_point_id;
+            request = client.encounter(encounterID, spawnPointID);
+        }
+
+        return request.then(response => {
+            const status = type === 'wild' ? response.status : response.result,
+                pokemonData = type === 'wild' ? response.wild_pokemon && response.wild_pokemon.pokemon_data
+                    : response.pokemon_data;
+
+            return {
+                type: type,
+                success: status === ENCOUNTER_SUCCESS[type],
+                status: status,
+                encounter_id: encounterID,
+                spawn_point_id: spawnPointID,
+                fort_id: fortID,
+                pokemon_id: pokemonData ? pokemonData.pokemon_id : getTargetPokemonID(target),
+                pokemon_data: pokemonData || null,
+                capture_probability: response.capture_probability || null,
+                active_item: response.active_item || 0,
+                response: response
+            };
+        });
+    };
+
+    /*
+     * INTERNAL STUFF
+     */
+
+    this.strategy = Object.assign({}, defaultStrategy, strategy || {});
+
+    /**
+     * Returns a Promise that will be resolved with the number of each item the player has,
+     * from the strategy's inventory if given or from a getInventory() call otherwise.
+     * @private
+     * @return {Promise}
+     */
+    this.getItemCounts = function() {
+        const inventory = self.strategy.inventory,
+            items = self.strategy.balls.concat(self.strategy.berry ? [self.strategy.berry] : []);
+
+        if (inventory) {
+            const counts = {};
+            items.forEach(itemID => {
+                counts[itemID] = inventory.getItemCount(itemID);
+            });
+            return Promise.resolve(counts);
+        }
+
+        return client.getInventory(0).then(response => {
+            const counts = {};
+            items.forEach(itemID => {
+                counts[itemID] = 0;
+            });
+            (Utils.splitInventory(response).items || []).forEach(item => {
+                if (item.item_id in counts) counts[item.item_id] = item.count;
+            });
+            return counts;
+        });
+    };
+
+    /**
+     * Throws balls until the encounter ends or the maximum number of attempts is reached.
+     * @private
+     * @param {Object} state - Encounter state
+     * @return {Promise} - A Promise that will be resolved with the outcome
+     */
+    this.throwBalls = function(state) {
+        const outcome = state.outcome;
+
+        if (outcome.attempts >= self.strategy.maxAttempts) {
+            outcome.result = 'gave-up';
+            return Promise.resolve(outcome);
+        }
+
+        const ball = self.chooseBall(state);
+        if (!ball) {
+            outcome.result = 'no-balls';
+            return Promise.resolve(outcome);
+        }
+
+        return self.feedBerry(state, ball)
+            .then(() => {
+                const throwParams = self.getThrowParameters();
+
+                outcome.attempts++;
+                self.useItem(state, ball);
+
+                return client.catchPokemon(state.encounterID, ball, throwParams.reticleSize,
+                    state.spawnPointID, throwParams.hit, throwParams.spinModifier, 1);
+            })
+            .then(response => {
+                outcome.status = response.status;
+                state.berryActive = false;
+
+                switch (response.status) {
+                    case CatchStatus.CATCH_SUCCESS:
+                        return self.finishCaught(outcome, response);
+                    case CatchStatus.CATCH_FLEE:
+                        outcome.result = 'fled';
+                        return outcome;
+                    case CatchStatus.CATCH_ESCAPE:
+                    case CatchStatus.CATCH_MISSED:
+                        return self.throwBalls(state);
+                    default:
+                        outcome.result = 'error';
+                        return outcome;
+                }
+            });
+    };
+
+    /**
+     * Picks the first ball in the order of preference that reaches the minimum capture
+     * probability, or the available ball with the best probability if none does.
+     * @private
+     * @param {Object} state - Encounter state
+     * @return {number|null} - ItemId of the ball, or null if none are left
+     */
+    this.chooseBall = function(state) {
+        const available = self.strategy.balls.filter(ball => state.items[ball] > 0);
+        if (!available.length) return null;
+
+        const preferred = available.find(ball =>
+            self.getCaptureProbability(state, ball) >= self.strategy.minCaptureProbability);
+        if (preferred) return preferred;
+
+        return available.reduce((best, ball) =>
+            (self.getCaptureProbability(state, ball) > self.getCaptureProbability(state, best) ? ball : best));
+    };
+
+    /**
+     * Returns the capture probability of a ball in the current encounter.
+     * @private
+     * @param {Object} state - Encounter state
+     * @param {number} ball - ItemId of the ball
+     * @return {number}
+     */
+    this.getCaptureProbability = function(state, ball) {
+        const probability = state.probability;
+        if (!probability || !probability.pokeball_type) return 0;
+
+        const index = probability.pokeball_type.indexOf(ball);
+        return index >= 0 ? probability.capture_probability[index] : 0;
+    };
+
+    /**
+     * Feeds a berry if the strategy asks for one at the capture probability of the chosen ball.
+     * @private
+     * @param {Object} state - Encounter state
+     * @param {number} ball - ItemId of the chosen ball
+     * @return {Promise}
+     */
+    this.feedBerry = function(state, ball) {
+        const berry = self.strategy.berry;
+        if (!berry || state.berryActive || !(state.items[berry] > 0) ||
+            self.getCaptureProbability(state, ball) >= self.strategy.berryBelowProbability) {
+            return Promise.resolve();
+        }
+
+        return client.useItemEncounter(berry, state.encounterID, state.spawnPointID)
+            .then(response => {
+                if (response.status !== UseItemEncounterStatus.SUCCESS) return;
+
+                state.berryActive = true;
+                self.useItem(state, berry);
+                if (response.capture_probability) state.probability = response.capture_probability;
+            });
+    };
+
+    /**
+     * Returns the parameters of the next throw according to the strategy.
+     * @private
+     * @return {Object}
+     */
+    this.getThrowParameters = function() {
+        const range = THROWS[self.strategy.throwQuality] || THROWS.normal;
+        return {
+            reticleSize: range[0] + Math.random() * (range[1] - range[0]),
+            hit: Math.random() < self.strategy.hitRate,
+            spinModifier: self.strategy.curveball ? 0.85 + Math.random() * 0.15 : 0
+        };
+    };
+
+    /**
+     * Counts an item as used.
+     * @private
+     * @param {Object} state - Encounter state
+     * @param {number} itemID - ItemId
+     */
+    this.useItem = function(state, itemID) {
+        state.items[itemID]--;
+        state.outcome.items_used[itemID] = (state.outcome.items_used[itemID] || 0) + 1;
+    };
+
+    /**
+     * Completes the outcome of a successful catch with the awards received.
+     * @private
+     * @param {Object} outcome
+     * @param {Object} response - CatchPokemonResponse message
+     * @return {Object} outcome
+     */
+    this.finishCaught = function(outcome, response) {
+        const award = response.capture_award,
+            sum = values => (values || []).reduce((total, value) => total + value, 0);
+
+        outcome.result = 'caught';
+        outcome.captured_pokemon_id = response.captured_pokemon_id;
+        outcome.capture_award = award;
+        if (award) {
+            outcome.xp = sum(award.xp);
+            outcome.candy = sum(award.candy);
+            outcome.stardust = sum(award.stardust);
+        }
+
+        return outcome;
+    };
+}
+
+module.exports = Catcher;
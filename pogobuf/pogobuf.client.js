@@ -1,12 +1,15 @@
 'use strict';
 
 const EventEmitter = require('events').EventEmitter,
+    ByteBuffer = require('bytebuffer'),
     Long = require('long'),
     POGOProtos = require('node-pogo-protos'),
     Signature = require('pogobuf-signature'),
     Promise = require('bluebird'),
-    request = require('request'),
     retry = require('bluebird-retry'),
+    HTTPTransport = require('./pogobuf.httptransport.js'),
+    Catcher = require('./pogobuf.catcher.js'),
+    errors = require('./pogobuf.errors.js'),
     Utils = require('./pogobuf.utils.js');
 
 const Lehmer = Utils.Random;
@@ -21,7 +24,21 @@ const RequestType = POGOProtos.Networking.Requests.RequestType,
 const INITIAL_ENDPOINT = 'https://pgorelease.nianticlabs.com/plfe/rpc';
 const INITIAL_PTR8 = '90f6a704505bccac73cec99b07794993e6fd5a12';
 
-// See pogobuf wiki for description of options
+// Requests that start the soft ban cooldown and are held back by the cooldownGuard option
+const COOLDOWN_REQUESTS = [
+    RequestType.FORT_SEARCH,
+    RequestType.ENCOUNTER,
+    RequestType.DISK_ENCOUNTER,
+    RequestType.INCENSE_ENCOUNTER,
+    RequestType.CATCH_POKEMON,
+    RequestType.FORT_DEPLOY_POKEMON,
+    RequestType.START_GYM_BATTLE,
+    RequestType.ATTACK_GYM
+];
+
+// Location fixes older than this are not reported as such, see getTimeSinceLocationFix()
+const MAX_LOCATION_FIX_AGE = 10 * 1000;
+
 const defaultOptions = {
     authToken: '',
     authType: 'ptc',
@@ -30,6 +47,7 @@ const defaultOptions = {
     mapObjectsMinDelay: 5000,
     proxy: null,
     maxTries: 5,
+    maxThrottleRetries: 10,
     automaticLongConversion: true,
     includeRequestTypeInResponse: false,
     version: 4500,
@@ -37,12 +55,65 @@ const defaultOptions = {
     hashingServer: 'http://hashing.pogodev.io/',
     hashingKey: null,
     deviceId: null,
+    transport: null,
+    authProvider: null,
+    credentials: null,
+    authExpiryWarning: 60000,
+    checkChallenges: false,
+    challengeSolver: null,
+    pauseOnChallenge: false,
+    includeStandardRequests: false,
+    cooldownGuard: false,
 };
 
 /**
  * Pokémon Go RPC client.
  * @class Client
- * @param {Object} [options] - Client options (see pogobuf wiki for documentation)
+ * @param {Object} [options] - Client options
+ * @param {string} [options.authToken] - Auth token received from PTCLogin or GoogleLogin
+ * @param {string} [options.authType=ptc] - Auth type, ptc or google
+ * @param {boolean} [options.downloadSettings=true] - Whether to download the remote settings in
+ *     init() and apply them to the client
+ * @param {boolean} [options.mapObjectsThrottling=true] - Whether to delay getMapObjects() calls
+ *     that follow each other too quickly
+ * @param {number} [options.mapObjectsMinDelay=5000] - Minimum time in milliseconds between two
+ *     getMapObjects() calls, taken from the remote settings if they are downloaded
+ * @param {string} [options.proxy] - Proxy URL to send the requests through
+ * @param {number} [options.maxTries=5] - How often a failed call is tried before giving up
+ * @param {number} [options.maxThrottleRetries=10] - How often a request throttled by the server
+ *     (status 52) is resent after a 2 second delay before failing with a ThrottledError. Resends
+ *     do not count towards maxTries.
+ * @param {boolean} [options.automaticLongConversion=true] - Whether to convert Long values in
+ *     responses to numbers, or to strings if they are too large
+ * @param {boolean} [options.includeRequestTypeInResponse=false] - Whether to add the request
+ *     type to each response message as _requestType
+ * @param {number} [options.version=4500] - Game version to emulate, e.g. 4500 for 0.45.0
+ * @param {boolean} [options.useHashingServer=false] - Whether to sign requests through a
+ *     hashing server
+ * @param {string} [options.hashingServer] - Hashing server URL
+ * @param {string|string[]} [options.hashingKey] - Hashing server key, or several keys to use in
+ *     turn
+ * @param {string} [options.deviceId] - Device ID to send, random by default
+ * @param {Object} [options.transport] - Transport that sends the requests, HTTPTransport by
+ *     default
+ * @param {function|Object} [options.authProvider] - Function that returns (a Promise for) a new
+ *     auth token, or a PTCLogin or GoogleLogin instance to log in again with the credentials
+ *     option, used when the server rejects the auth token or ticket
+ * @param {Object} [options.credentials] - Object with username and password for the
+ *     authProvider option
+ * @param {number} [options.authExpiryWarning=60000] - Time in milliseconds before the auth
+ *     ticket expires at which the auth-expiring event is emitted
+ * @param {boolean} [options.checkChallenges=false] - Whether to add a checkChallenge request to
+ *     every call and emit a challenge event when a captcha is required
+ * @param {function} [options.challengeSolver] - Function called with the challenge URL and the
+ *     client that returns (a Promise for) the captcha token to verify the challenge with
+ * @param {boolean} [options.pauseOnChallenge=false] - Whether to hold back requests until a
+ *     pending challenge is solved
+ * @param {boolean} [options.includeStandardRequests=false] - Whether to add the official app's
+ *     standard requests to every call
+ * @param {boolean|string} [options.cooldownGuard=false] - true or delay to wait for the cooldown
+ *     before actions at a distance (see Utils.getCooldown), reject to fail them with a
+ *     CooldownError instead
  * @memberof pogobuf
  */
 function Client(options) {
@@ -74,19 +145,22 @@ function Client(options) {
      * @param {number} longitude - The player's longitude
      * @param {number} [accuracy=0] - The location accuracy in m
      * @param {number} [altitude=0] - The player's altitude
+     * @param {number} [timestamp] - Time of the location fix in ms, defaults to now
      */
-    this.setPosition = function(latitude, longitude, accuracy, altitude) {
+    this.setPosition = function(latitude, longitude, accuracy, altitude, timestamp) {
         if (typeof latitude === 'object') {
             const pos = latitude;
             latitude = pos.latitude;
             longitude = pos.longitude;
             accuracy = pos.accuracy;
             altitude = pos.altitude;
+            timestamp = pos.timestamp;
         }
         self.playerLatitude = latitude;
         self.playerLongitude = longitude;
         self.playerLocationAccuracy = accuracy || 0;
         self.playerAltitude = altitude || 0;
+        self.locationFixTime = timestamp || new Date().getTime();
     };
 
     /**
@@ -99,7 +173,7 @@ function Client(options) {
         if (typeof downloadSettings !== 'undefined') self.setOption('downloadSettings', downloadSettings);
 
         self.lastMapObjectsCall = 0;
-        self.endpoint = INITIAL_ENDPOINT;
+        if (!self.endpoint) self.endpoint = INITIAL_ENDPOINT;
 
         // convert app version (5704) to client version (0.57.4)
         let signatureVersion = '0.' + ((+self.options.version) / 100).toFixed(0);
@@ -151,11 +225,139 @@ function Client(options) {
      * @return {Promise}
      */
     this.batchCall = function() {
-        var p = self.callRPC(self.batchRequests || []);
+        var p = self.executeRequests(self.batchRequests || []);
         self.batchClear();
         return p;
     };
 
+    /**
+     * Gets a fresh auth token from the authProvider option and discards the current auth ticket,
+     * so that the next request logs in again. Called automatically when the server rejects the
+     * auth token or ticket. Returns a Promise that will be resolved with the new token.
+     * @return {Promise}
+     */
+    this.refreshAuth = function() {
+        if (self.authRefresh) return self.authRefresh;
+
+        const provider = self.options.authProvider;
+        var token;
+        if (typeof provider === 'function') {
+            token = Promise.try(() => provider(self));
+        } else if (provider && typeof provider.login === 'function') {
+            const credentials = self.options.credentials || {};
+            token = Promise.try(() => provider.login(credentials.username, credentials.password));
+        } else {
+            return Promise.reject(new errors.AuthError('No auth provider configured'));
+        }
+
+        self.authRefresh = token
+            .then(authToken => {
+                if (!authToken) throw new errors.AuthError('No auth token received from auth provider');
+
+                self.setOption('authToken', authToken);
+                self.updateAuthTicket(null);
+                self.emit('auth-refreshed');
+                return authToken;
+            })
+            .finally(() => {
+                self.authRefresh = null;
+            });
+
+        return self.authRefresh;
+    };
+
+    /**
+     * Verifies a captcha challenge with the given token and, if successful, resumes requests
+     * paused because of the challenge. Returns a Promise that will be resolved with the
+     * VerifyChallengeResponse.
+     * @param {string} token - Captcha response token
+     * @return {Promise}
+     */
+    this.solveChallenge = function(token) {
+        return self.executeRequests([{
+            type: RequestType.VERIFY_CHALLENGE,
+            message: new RequestMessages.VerifyChallengeMessage({
+                token: token
+            }),
+            responseType: Responses.VerifyChallengeResponse
+        }]).then(response => {
+            if (!response.success) {
+                throw new errors.ChallengeError('Challenge verification failed',
+                    self.challenge ? self.challenge.url : null, [RequestType.VERIFY_CHALLENGE]);
+            }
+
+            self.endChallenge();
+            self.emit('challenge-solved');
+            return response;
+        });
+    };
+
+    /**
+     * Encounters a Pokémon and tries to catch it, throwing balls and feeding berries as the
+     * strategy decides. Works for wild Pokémon, Pokémon at lured PokéStops (pass the FortData)
+     * and incense Pokémon (pass the getIncensePokemon() response). Cannot be used in batch mode.
+     * @param {Object} target - Pokémon to encounter
+     * @param {Object} [strategy] - Catch strategy (see {@link Catcher} for the options)
+     * @return {Promise} - A Promise that will be resolved with the outcome
+     */
+    this.catchEncounter = function(target, strategy) {
+        if (self.batchRequests) return Promise.reject(Error('Can not catch Pokémon in batch mode'));
+        return new Catcher(self, strategy).catchEncounter(target);
+    };
+
+    /**
+     * Returns how long to wait before actions like fortSearch() or encounter() can be performed
+     * at the current position without risking a soft ban, based on the distance to the location
+     * of the last such action.
+     * @return {number} - Remaining cooldown in milliseconds
+     */
+    this.getCooldown = function() {
+        return self.checkCooldown().remaining;
+    };
+
+    /**
+     * Returns the current session state (auth ticket, endpoint and request ID generator state)
+     * as a plain object that can be serialized to JSON and passed to {@link #restoreSession}
+     * later, to resume the session without logging in again.
+     * @return {Object}
+     */
+    this.getSession = function() {
+        const ticket = self.authTicket;
+
+        return {
+            authTicket: ticket ? {
+                start: ByteBuffer.wrap(ticket.start).toString('base64'),
+                expire_timestamp_ms: Long.fromValue(ticket.expire_timestamp_ms).toNumber(),
+                end: ByteBuffer.wrap(ticket.end).toString('base64')
+            } : null,
+            endpoint: self.endpoint,
+            ptr8: self.ptr8,
+            lehmerSeed: self.lehmer.seed,
+            rpcId: self.rpcId
+        };
+    };
+
+    /**
+     * Restores a session previously saved with {@link #getSession}.
+     * @param {Object} session - Session object as returned by getSession()
+     */
+    this.restoreSession = function(session) {
+        if (session.endpoint) self.endpoint = session.endpoint;
+        if (session.ptr8) self.ptr8 = session.ptr8;
+        if (session.lehmerSeed) self.lehmer.seed = session.lehmerSeed;
+        if (session.rpcId) self.rpcId = session.rpcId;
+
+        if (session.authTicket) {
+            self.updateAuthTicket(new POGOProtos.Networking.Envelopes.AuthTicket({
+                start: ByteBuffer.fromBase64(session.authTicket.start),
+                expire_timestamp_ms: session.authTicket.expire_timestamp_ms,
+                end: ByteBuffer.fromBase64(session.authTicket.end)
+            }));
+        } else {
+            self.updateAuthTicket(null);
+        }
+    };
+
     /**
      * Gets rate limit info from the latest signature server request, if applicable.
      * @return {Object}
@@ -549,7 +751,7 @@ function Client(options) {
                 player_latitude: self.playerLatitude,
                 player_longitude: self.playerLongitude
             }),
-            responseType: Responses.GetIncensePokmeonResponse
+            responseType: Responses.GetIncensePokemonResponse
         });
     };
 
@@ -808,22 +1010,22 @@ function Client(options) {
      * INTERNAL STUFF
      */
 
-    this.request = request.defaults({
-        headers: {
-            'User-Agent': 'Niantic App',
-            'Accept': '*/*',
-            'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        encoding: null
-    });
+    this.defaultTransport = new HTTPTransport();
 
     this.options = Object.assign({}, defaultOptions, options || {});
     this.authTicket = null;
+    this.authExpiryTimer = null;
     this.rpcId = 2;
     this.lastHashingKeyIndex = 0;
     this.firstGetMapObjects = true;
     this.lehmer = new Lehmer(16807);
     this.ptr8 = INITIAL_PTR8;
+    this.authRefresh = null;
+    this.challenge = null;
+    this.locationFixTime = 0;
+    this.lastAction = null;
+    this.inventoryTimestamp = 0;
+    this.settingsHash = '';
 
     /**
      * Executes a request and returns a Promise or, if we are in batch mode, adds it to the
@@ -837,10 +1039,295 @@ function Client(options) {
             self.batchRequests.push(requestMessage);
             return self;
         } else {
-            return self.callRPC([requestMessage]);
+            return self.executeRequests([requestMessage]);
+        }
+    };
+
+    /**
+     * Executes an RPC call for requests made by the API call methods or in batch mode. If the
+     * auth token or ticket is rejected and an auth provider is set, gets a fresh token and sends
+     * the requests again.
+     * @private
+     * @param {Object[]} requests - Array of requests to send
+     * @return {Promise}
+     */
+    this.executeRequests = function(requests) {
+        requests = self.appendRequests(requests);
+
+        return self.waitForChallenge(requests)
+            .then(() => self.waitForCooldown(requests))
+            .then(() => {
+                self.recordAction(requests);
+                return self.callRPC(requests);
+            })
+            .catch(errors.AuthError, err => {
+                if (!self.options.authProvider) throw err;
+                return self.refreshAuth().then(() => self.callRPC(requests));
+            });
+    };
+
+    /**
+     * Adds requests the official app sends along with other requests, depending on client
+     * options. Responses to these requests are passed to their onResponse handler instead of
+     * being returned to the caller.
+     * @private
+     * @param {Object[]} requests - Array of requests
+     * @return {Object[]} - Array of requests including the added ones
+     */
+    this.appendRequests = function(requests) {
+        const types = requests.map(r => r.type),
+            standard = self.options.includeStandardRequests;
+
+        // Challenge verifications are sent on their own
+        if (types.indexOf(RequestType.VERIFY_CHALLENGE) >= 0) return requests;
+
+        var appended = [];
+
+        if (self.options.checkChallenges || standard) {
+            appended.push({
+                type: RequestType.CHECK_CHALLENGE,
+                message: new RequestMessages.CheckChallengeMessage(),
+                responseType: Responses.CheckChallengeResponse,
+                onResponse: self.handleChallengeResponse
+            });
+        }
+
+        if (standard) {
+            appended.push({
+                type: RequestType.GET_HATCHED_EGGS,
+                responseType: Responses.GetHatchedEggsResponse,
+                onResponse: response => self.emit('hatched-eggs', response)
+            }, {
+                type: RequestType.GET_INVENTORY,
+                message: new RequestMessages.GetInventoryMessage({
+                    last_timestamp_ms: self.inventoryTimestamp
+                }),
+                responseType: Responses.GetInventoryResponse,
+                onResponse: self.handleInventoryResponse
+            }, {
+                type: RequestType.CHECK_AWARDED_BADGES,
+                responseType: Responses.CheckAwardedBadgesResponse,
+                onResponse: response => self.emit('awarded-badges', response)
+            }, {
+                type: RequestType.DOWNLOAD_SETTINGS,
+                message: new RequestMessages.DownloadSettingsMessage({
+                    hash: self.settingsHash
+                }),
+                responseType: Responses.DownloadSettingsResponse,
+                onResponse: response => self.emit('settings', self.processSettingsResponse(response))
+            }, {
+                type: RequestType.GET_BUDDY_WALKED,
+                responseType: Responses.GetBuddyWalkedResponse,
+                onResponse: response => self.emit('buddy-walked', response)
+            });
+        }
+
+        // Don't send anything twice
+        appended = appended.filter(r => types.indexOf(r.type) < 0);
+
+        return appended.length ? requests.concat(appended) : requests;
+    };
+
+    /**
+     * Remembers the timestamp of an automatically requested inventory delta for the next
+     * request and emits the inventory event.
+     * @private
+     * @param {Object} response - GetInventoryResponse message
+     */
+    this.handleInventoryResponse = function(response) {
+        if (response.success && response.inventory_delta && response.inventory_delta.new_timestamp_ms) {
+            self.inventoryTimestamp = response.inventory_delta.new_timestamp_ms;
+        }
+        self.emit('inventory', response);
+    };
+
+    /**
+     * Returns a Promise that will be resolved once requests may be sent, which is immediately
+     * unless they have been paused because of a captcha challenge.
+     * @private
+     * @param {Object[]} requests - Array of requests that are about to be sent
+     * @return {Promise}
+     */
+    this.waitForChallenge = function(requests) {
+        if (!self.challenge || !self.options.pauseOnChallenge ||
+            requests.some(r => r.type === RequestType.VERIFY_CHALLENGE)) {
+            return Promise.resolve();
+        }
+        return self.challenge.promise;
+    };
+
+    /**
+     * Returns a Promise that will be resolved once requests may be sent without risking a soft
+     * ban, depending on the cooldownGuard option: immediately if it is off, after the cooldown
+     * if it is 'delay'. If it is 'reject', the Promise is rejected during the cooldown.
+     * @private
+     * @param {Object[]} requests - Array of requests that are about to be sent
+     * @return {Promise}
+     */
+    this.waitForCooldown = function(requests) {
+        if (!self.options.cooldownGuard || !self.isCooldownAction(requests)) return Promise.resolve();
+
+        const cooldown = self.checkCooldown();
+        if (cooldown.remaining <= 0) return Promise.resolve();
+
+        if (self.options.cooldownGuard === 'reject') {
+            return Promise.reject(new errors.CooldownError(cooldown.remaining, cooldown.distance,
+                requests.map(r => r.type)));
+        }
+
+        self.emit('cooldown', cooldown);
+
+        // The player may move while waiting, so check again afterwards
+        return Promise.delay(cooldown.remaining).then(() => self.waitForCooldown(requests));
+    };
+
+    /**
+     * Returns true if any of the requests starts the soft ban cooldown.
+     * @private
+     * @param {Object[]} requests - Array of requests
+     * @return {boolean}
+     */
+    this.isCooldownAction = function(requests) {
+        return requests.some(r => COOLDOWN_REQUESTS.indexOf(r.type) >= 0);
+    };
+
+    /**
+     * Remembers the time and location of requests that start the soft ban cooldown.
+     * @private
+     * @param {Object[]} requests - Array of requests that are being sent
+     */
+    this.recordAction = function(requests) {
+        if (!self.isCooldownAction(requests)) return;
+
+        self.lastAction = {
+            latitude: self.playerLatitude,
+            longitude: self.playerLongitude,
+            time: new Date().getTime()
+        };
+    };
+
+    /**
+     * Calculates the distance to the last action and the remaining cooldown.
+     * @private
+     * @return {Object} - Object with distance in meters and remaining cooldown in milliseconds
+     */
+    this.checkCooldown = function() {
+        if (!self.lastAction) {
+            return {
+                distance: 0,
+                remaining: 0
+            };
+        }
+
+        const distance = Utils.getDistance(self.lastAction.latitude, self.lastAction.longitude,
+            self.playerLatitude, self.playerLongitude);
+
+        return {
+            distance: distance,
+            remaining: Math.max(0, self.lastAction.time + Utils.getCooldown(distance) - new Date().getTime())
+        };
+    };
+
+    /**
+     * Checks a CheckChallengeResponse for a captcha challenge. Emits the challenge event and
+     * starts the challengeSolver option, if given, when there is one.
+     * @private
+     * @param {Object} response - CheckChallengeResponse message
+     */
+    this.handleChallengeResponse = function(response) {
+        if (!response || !response.show_challenge || self.challenge) return;
+
+        const challenge = {
+            url: response.challenge_url
+        };
+        challenge.promise = new Promise((resolve, reject) => {
+            challenge.resolve = resolve;
+            challenge.reject = reject;
+        });
+        // Only paused requests care about the outcome
+        challenge.promise.catch(() => {});
+        self.challenge = challenge;
+
+        self.emit('challenge', {
+            challenge_url: challenge.url
+        });
+
+        if (typeof self.options.challengeSolver === 'function') {
+            Promise.try(() => self.options.challengeSolver(challenge.url, self))
+                .then(token => self.solveChallenge(token))
+                .catch(err => {
+                    self.emit('challenge-error', err);
+                    self.endChallenge(err instanceof errors.ChallengeError ? err
+                        : new errors.ChallengeError(err.message, challenge.url));
+                });
         }
     };
 
+    /**
+     * Ends the current captcha challenge, resuming paused requests or rejecting them if an
+     * error is given.
+     * @private
+     * @param {Error} [err] - Reason the challenge could not be solved
+     */
+    this.endChallenge = function(err) {
+        const challenge = self.challenge;
+        if (!challenge) return;
+
+        self.challenge = null;
+        if (err) challenge.reject(err);
+        else challenge.resolve();
+    };
+
+    /**
+     * Stores a new auth ticket (or clears it if null is given) and schedules the auth-expiring
+     * event for shortly before the ticket expires.
+     * @private
+     * @param {AuthTicket} authTicket - Auth ticket received from the server
+     */
+    this.updateAuthTicket = function(authTicket) {
+        self.authTicket = authTicket;
+
+        if (self.authExpiryTimer) {
+            clearTimeout(self.authExpiryTimer);
+            self.authExpiryTimer = null;
+        }
+
+        if (!authTicket || !authTicket.expire_timestamp_ms) return;
+
+        const expires = Long.fromValue(authTicket.expire_timestamp_ms).toNumber(),
+            delay = expires - self.options.authExpiryWarning - new Date().getTime();
+
+        self.authExpiryTimer = setTimeout(() => {
+            self.authExpiryTimer = null;
+            self.emit('auth-expiring', {
+                expire_timestamp_ms: expires
+            });
+        }, Math.max(delay, 0));
+
+        // Don't keep the process running just for this event
+        if (self.authExpiryTimer.unref) self.authExpiryTimer.unref();
+    };
+
+    /**
+     * Checks whether the current auth ticket has passed its expiration time.
+     * @private
+     * @return {boolean}
+     */
+    this.isAuthTicketExpired = function() {
+        if (!self.authTicket || !self.authTicket.expire_timestamp_ms) return false;
+        return Long.fromValue(self.authTicket.expire_timestamp_ms).toNumber() <= new Date().getTime();
+    };
+
+    /**
+     * Returns the transport used to send request envelopes, which is either the one given in
+     * the transport option or the default HTTPS transport.
+     * @private
+     * @return {Object}
+     */
+    this.getTransport = function() {
+        return self.options.transport || self.defaultTransport;
+    };
+
     /**
      * Generates next rpc request id
      * @private
@@ -850,6 +1337,19 @@ function Client(options) {
         return new Long(self.rpcId++, this.lehmer.nextInt());
     };
 
+    /**
+     * Returns the time since the last location fix to report in request envelopes. A device
+     * keeps getting fixes while standing still, so positions set a while ago are reported
+     * like a recent fix.
+     * @private
+     * @return {number}
+     */
+    this.getTimeSinceLocationFix = function() {
+        const age = new Date().getTime() - self.locationFixTime;
+        if (self.locationFixTime && age >= 0 && age < MAX_LOCATION_FIX_AGE) return age;
+        return 100 + Math.floor(Math.random() * 900);
+    };
+
     /**
      * Creates an RPC envelope with the given list of requests.
      * @private
@@ -860,7 +1360,7 @@ function Client(options) {
         var envelopeData = {
             status_code: 2,
             request_id: self.getRequestID(),
-            ms_since_last_locationfix: 100 + Math.floor(Math.random() * 900)
+            ms_since_last_locationfix: self.getTimeSinceLocationFix()
         };
 
         if (self.playerLatitude) envelopeData.latitude = self.playerLatitude;
@@ -873,10 +1373,13 @@ function Client(options) {
             envelopeData.accuracy = values[Math.floor(values.length * Math.random())];
         }
 
+        // An expired ticket would be rejected, so log in again with the auth token instead
+        if (self.isAuthTicketExpired()) self.updateAuthTicket(null);
+
         if (self.authTicket) {
             envelopeData.auth_ticket = self.authTicket;
         } else if (!self.options.authType || !self.options.authToken) {
-            throw Error('No auth info provided');
+            throw new errors.AuthError('No auth info provided', (requests || []).map(r => r.type));
         } else {
             let unknown2 = 0;
             if (self.options.authType === 'ptc') {
@@ -1021,16 +1524,22 @@ function Client(options) {
 
         return retry(() => self.signatureBuilder.encryptAsync(envelope.requests)
                         .catch(err => {
-                            if (err.name === 'HashServerError' && err.message === 'Request limited') {
-                                throw err;
-                            } else {
+                            if (err.name !== 'HashServerError') {
                                 throw new retry.StopError(err);
                             }
+
+                            const hashingError = new errors.HashingServerError(err, requests.map(r => r.type));
+                            if (err.message === 'Request limited') {
+                                throw hashingError;
+                            } else {
+                                throw new retry.StopError(hashingError);
+                            }
                         }),
             {
                 interval: 1000,
                 backoff: 2,
                 max_tries: 10,
+                throw_original: true,
                 args: envelope.requests,
             })
             .then(sigEncrypted =>
@@ -1064,12 +1573,18 @@ function Client(options) {
             self.lastMapObjectsCall = now;
         }
 
-        if (self.options.maxTries <= 1) return self.tryCallRPC(requests, envelope);
+        if (self.options.maxTries <= 1) {
+            return Promise.try(() => self.tryCallRPC(requests, envelope))
+                .catch(retry.StopError, err => {
+                    throw err.err || err;
+                });
+        }
 
         return retry(() => self.tryCallRPC(requests, envelope), {
             interval: 300,
             backoff: 2,
-            max_tries: self.options.maxTries
+            max_tries: self.options.maxTries,
+            throw_original: true
         });
     };
 
@@ -1084,7 +1599,9 @@ function Client(options) {
     this.redirect = function(requests, signedEnvelope, responseEnvelope) {
         return new Promise((resolve, reject) => {
             if (!responseEnvelope.api_url) {
-                reject(Error('Fetching RPC endpoint failed, none supplied in response'));
+                reject(new errors.RpcStatusError(responseEnvelope.status_code,
+                    responseEnvelope.request_id.toString(), requests.map(r => r.type),
+                    'Fetching RPC endpoint failed, none supplied in response'));
                 return;
             }
 
@@ -1106,151 +1623,177 @@ function Client(options) {
      * @private
      * @param {Object[]} requests - Array of requests to send
      * @param {RequestEnvelope} [envelope] - Pre-built request envelope to use
+     * @param {number} [throttleCount] - Number of times the request has been throttled so far
      * @return {Promise} - A Promise that will be resolved with the (list of) response messages,
      *     or true if there aren't any
      */
-    this.tryCallRPC = function(requests, envelope) {
+    this.tryCallRPC = function(requests, envelope, throttleCount) {
+        const requestTypes = requests.map(r => r.type);
+
         return self.buildSignedEnvelope(requests, envelope)
-            .then(signedEnvelope => new Promise((resolve, reject) => {
-                self.request({
-                    method: 'POST',
-                    url: self.endpoint,
-                    proxy: self.options.proxy,
-                    body: signedEnvelope.toBuffer()
-                }, (err, response, body) => {
-                    if (err) {
-                        reject(Error(err));
-                        return;
+            .then(signedEnvelope => self.getTransport().send({
+                url: self.endpoint,
+                proxy: self.options.proxy,
+                body: signedEnvelope.toBuffer()
+            }).then(response => new Promise((resolve, reject) => {
+                const body = response.body;
+
+                if (response.statusCode !== 200) {
+                    const httpError = new errors.HttpStatusError(response.statusCode, requestTypes);
+                    if (response.statusCode >= 400 && response.statusCode < 500) {
+                        /* These are permanent errors so throw StopError */
+                        reject(new retry.StopError(httpError));
+                    } else {
+                        /* Anything else might be recoverable so throw regular Error */
+                        reject(httpError);
                     }
+                    return;
+                }
 
-                    if (response.statusCode !== 200) {
-                        if (response.statusCode >= 400 && response.statusCode < 500) {
-                            /* These are permanent errors so throw StopError */
-                            reject(new retry.StopError(
-                                `Status code ${response.statusCode} received from HTTPS request`
-                            ));
-                        } else {
-                            /* Anything else might be recoverable so throw regular Error */
-                            reject(Error(
-                                `Status code ${response.statusCode} received from HTTPS request`
-                            ));
-                        }
+                var responseEnvelope;
+                try {
+                    responseEnvelope =
+                        POGOProtos.Networking.Envelopes.ResponseEnvelope.decode(body);
+                } catch (e) {
+                    self.emit('parse-envelope-error', body, e);
+                    if (e.decoded) {
+                        responseEnvelope = e.decoded;
+                    } else {
+                        reject(new retry.StopError(new errors.EnvelopeParseError(e, body, requestTypes)));
                         return;
                     }
+                }
 
-                    var responseEnvelope;
-                    try {
-                        responseEnvelope =
-                            POGOProtos.Networking.Envelopes.ResponseEnvelope.decode(body);
-                    } catch (e) {
-                        self.emit('parse-envelope-error', body, e);
-                        if (e.decoded) {
-                            responseEnvelope = e.decoded;
-                        } else {
-                            reject(new retry.StopError(e));
-                            return;
-                        }
-                    }
+                self.emit('raw-response', responseEnvelope);
 
-                    self.emit('raw-response', responseEnvelope);
+                const requestID = responseEnvelope.request_id.toString(),
+                    statusCode = responseEnvelope.status_code;
 
-                    if (responseEnvelope.error) {
-                        reject(new retry.StopError(responseEnvelope.error));
-                        return;
-                    }
+                if (responseEnvelope.error) {
+                    reject(new retry.StopError(
+                        new errors.RpcStatusError(statusCode, requestID, requestTypes, responseEnvelope.error)
+                    ));
+                    return;
+                }
 
-                    if (responseEnvelope.auth_ticket) self.authTicket = responseEnvelope.auth_ticket;
+                if (responseEnvelope.auth_ticket) self.updateAuthTicket(responseEnvelope.auth_ticket);
 
-                    if (responseEnvelope.status_code === 53 ||
-                        (responseEnvelope.status_code === 2 && self.endpoint === INITIAL_ENDPOINT)) {
-                        resolve(self.redirect(requests, signedEnvelope, responseEnvelope));
+                if (responseEnvelope.status_code === 53 ||
+                    (responseEnvelope.status_code === 2 && self.endpoint === INITIAL_ENDPOINT)) {
+                    resolve(self.redirect(requests, signedEnvelope, responseEnvelope));
+                    return;
+                }
+
+                responseEnvelope.platform_returns.forEach(platformReturn => {
+                    if (platformReturn.type === PlatformRequestType.UNKNOWN_PTR_8) {
+                        const ptr8 = PlatformResponses.UnknownPtr8Response.decode(platformReturn.response);
+                        if (ptr8) self.ptr8 = ptr8.message;
+                    }
+                });
+
+                /* Throttling, retry same request later without using up a try */
+                if (statusCode === 52) {
+                    if ((throttleCount || 0) >= self.options.maxThrottleRetries) {
+                        reject(new retry.StopError(new errors.ThrottledError(requestID, requestTypes)));
                         return;
                     }
 
-                    responseEnvelope.platform_returns.forEach(platformReturn => {
-                        if (platformReturn.type === PlatformRequestType.UNKNOWN_PTR_8) {
-                            const ptr8 = PlatformResponses.UnknownPtr8Response.decode(platformReturn.response);
-                            if (ptr8) self.ptr8 = ptr8.message;
-                        }
+                    signedEnvelope.platform_requests = [];
+                    Promise.delay(2000).then(() => {
+                        resolve(self.tryCallRPC(requests, signedEnvelope, (throttleCount || 0) + 1));
                     });
+                    return;
+                }
 
-                    /* Throttling, retry same request later */
-                    if (responseEnvelope.status_code === 52) {
-                        signedEnvelope.platform_requests = [];
-                        Promise.delay(2000).then(() => {
-                            resolve(self.callRPC(requests, signedEnvelope));
-                        });
-                        return;
-                    }
+                /* Invalid auth token or ticket, no use in retrying with it so throw StopError */
+                if (statusCode === 102) {
+                    reject(new retry.StopError(
+                        new errors.AuthError(`Status code ${statusCode} received from RPC`, requestTypes,
+                            statusCode, requestID)
+                    ));
+                    return;
+                }
 
-                    /* These codes indicate invalid input, no use in retrying so throw StopError */
-                    if (responseEnvelope.status_code === 3 || responseEnvelope.status_code === 51 ||
-                        responseEnvelope.status_code >= 100) {
-                        reject(new retry.StopError(
-                            `Status code ${responseEnvelope.status_code} received from RPC`
-                        ));
-                    }
+                /* These codes indicate invalid input, no use in retrying so throw StopError */
+                if (statusCode === 3 || statusCode === 51 || statusCode >= 100) {
+                    reject(new retry.StopError(new errors.RpcStatusError(statusCode, requestID, requestTypes)));
+                    return;
+                }
+
+                /* These can be temporary so throw regular Error */
+                if (statusCode !== 2 && statusCode !== 1) {
+                    reject(new errors.RpcStatusError(statusCode, requestID, requestTypes));
+                    return;
+                }
+
+                var responses = [],
+                    responseRequests = [];
 
-                    /* These can be temporary so throw regular Error */
-                    if (responseEnvelope.status_code !== 2 && responseEnvelope.status_code !== 1) {
-                        reject(Error(
-                            `Status code ${responseEnvelope.status_code} received from RPC`
-                        ));
+                if (requests) {
+                    if (requests.length !== responseEnvelope.returns.length) {
+                        reject(new errors.PogobufError('Request count does not match response count', requestTypes));
                         return;
                     }
 
-                    var responses = [];
-
-                    if (requests) {
-                        if (requests.length !== responseEnvelope.returns.length) {
-                            reject(Error('Request count does not match response count'));
+                    for (var i = 0; i < responseEnvelope.returns.length; i++) {
+                        if (!requests[i].responseType) continue;
+
+                        var responseMessage;
+                        try {
+                            responseMessage = requests[i].responseType.decode(
+                                responseEnvelope.returns[i]
+                            );
+                        } catch (e) {
+                            self.emit('parse-response-error',
+                                responseEnvelope.returns[i].toBuffer(), e);
+                            reject(new retry.StopError(
+                                new errors.EnvelopeParseError(e, responseEnvelope.returns[i].toBuffer(), requestTypes)
+                            ));
                             return;
                         }
 
-                        for (var i = 0; i < responseEnvelope.returns.length; i++) {
-                            if (!requests[i].responseType) continue;
-
-                            var responseMessage;
-                            try {
-                                responseMessage = requests[i].responseType.decode(
-                                    responseEnvelope.returns[i]
-                                );
-                            } catch (e) {
-                                self.emit('parse-response-error',
-                                    responseEnvelope.returns[i].toBuffer(), e);
-                                reject(new retry.StopError(e));
-                                return;
-                            }
-
-                            if (self.options.includeRequestTypeInResponse) {
-                                // eslint-disable-next-line no-underscore-dangle
-                                responseMessage._requestType = requests[i].type;
-                            }
-                            responses.push(responseMessage);
+                        if (self.options.includeRequestTypeInResponse) {
+                            // eslint-disable-next-line no-underscore-dangle
+                            responseMessage._requestType = requests[i].type;
                         }
+                        responses.push(responseMessage);
+                        responseRequests.push(requests[i]);
                     }
+                }
 
-                    self.emit('response', {
-                        status_code: responseEnvelope.status_code,
-                        request_id: responseEnvelope.request_id.toString(),
-                        responses: responses.map((r, h) => ({
-                            name: Utils.getEnumKeyByValue(
-                                RequestType, requests[h].type
-                            ),
-                            type: requests[h].type,
-                            data: r
-                        }))
-                    });
+                self.emit('response', {
+                    status_code: statusCode,
+                    request_id: requestID,
+                    responses: responses.map((r, h) => ({
+                        name: Utils.getEnumKeyByValue(
+                            RequestType, responseRequests[h].type
+                        ),
+                        type: responseRequests[h].type,
+                        data: r
+                    }))
+                });
 
-                    if (self.options.automaticLongConversion) {
-                        responses = Utils.convertLongs(responses);
+                if (self.options.automaticLongConversion) {
+                    responses = Utils.convertLongs(responses);
+                }
+
+                // Responses to automatically added requests go to their handlers, not the caller
+                var callerResponses = [];
+                responses.forEach((r, h) => {
+                    const request = responseRequests[h];
+                    if (request.onResponse) {
+                        request.onResponse(r);
+                        return;
                     }
 
-                    if (!responses.length) resolve(true);
-                    else if (responses.length === 1) resolve(responses[0]);
-                    else resolve(responses);
+                    if (request.type === RequestType.CHECK_CHALLENGE) self.handleChallengeResponse(r);
+                    callerResponses.push(r);
                 });
-            }));
+
+                if (!callerResponses.length) resolve(true);
+                else if (callerResponses.length === 1) resolve(callerResponses[0]);
+                else resolve(callerResponses);
+            })));
     };
 
     /**
@@ -1270,6 +1813,10 @@ function Client(options) {
             self.setOption('mapObjectsMinDelay',
                 settingsResponse.settings.map_settings.get_map_objects_min_refresh_seconds * 1000);
         }
+
+        // Remember the settings hash so that settings are only sent again when they change
+        if (settingsResponse && settingsResponse.hash) self.settingsHash = settingsResponse.hash;
+
         return settingsResponse;
     };
 
@@ -1279,8 +1826,8 @@ function Client(options) {
      * @return {Promise}
      */
     this.initializeHashingServer = function() {
-        if (!self.options.hashingServer) throw new Error('Hashing server enabled without host');
-        if (!self.options.hashingKey) throw new Error('Hashing server enabled without key');
+        if (!self.options.hashingServer) throw new errors.HashingServerError('Hashing server enabled without host');
+        if (!self.options.hashingKey) throw new errors.HashingServerError('Hashing server enabled without key');
 
         if (self.options.hashingServer.slice(-1) !== '/') {
             self.setOption('hashingServer', self.options.hashingServer + '/');
@@ -1289,6 +1836,9 @@ function Client(options) {
         return Signature.versions.getHashingEndpoint(self.options.hashingServer, self.options.version)
                 .then(version => {
                     self.hashingVersion = version;
+                })
+                .catch(err => {
+                    throw new errors.HashingServerError(err);
                 });
     };
 
@@ -0,0 +1,307 @@
+'use strict';
+
+const EventEmitter = require('events').EventEmitter,
+    Long = require('long'),
+    POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird'),
+    Utils = require('./pogobuf.utils.js');
+
+const ItemId = POGOProtos.Inventory.Item.ItemId,
+    IncubatorResult = POGOProtos.Networking.Responses.UseItemEggIncubatorResponse.Result;
+
+const defaultOptions = {
+    policy: 'longest-limited',
+    limitedMinKm: 5,
+    inventory: null,
+    autoIncubate: false,
+    delay: 500
+};
+
+/**
+ * Checks whether an ID that may be a Long, a number or a string is set.
+ * @private
+ * @param {number|string|Long} id
+ * @return {boolean}
+ */
+function isSet(id) {
+    return Long.isLong(id) ? !id.isZero() : !!id && id !== '0';
+}
+
+/**
+ * Puts eggs into free incubators according to a policy and reports hatched eggs. Hatched eggs
+ * are picked up from the client's hatched-eggs event, which is emitted when the client sends the
+ * standard request bundle, or by calling {@link #checkHatched}.
+ * @class EggManager
+ * @param {Client} client - pogobuf Client instance
+ * @param {Object} [options] - Manager options
+ * @param {string|function} [options.policy=longest-limited] - longest-limited, longest-first,
+ *     shortest-first, or a function that takes the free eggs and incubators and returns an
+ *     array of objects with egg and incubator
+ * @param {number} [options.limitedMinKm=5] - Minimum egg distance for incubators with limited
+ *     uses with the longest-limited policy
+ * @param {InventoryState} [options.inventory] - Inventory to plan with and to look up hatched
+ *     Pokémon in
+ * @param {boolean} [options.autoIncubate=false] - Whether to fill free incubators after eggs
+ *     hatched, requires the inventory option
+ * @param {number} [options.delay=500] - Time in milliseconds between incubator requests
+ * @memberof pogobuf
+ */
+function EggManager(client, options) {
+    if (!(this instanceof EggManager)) {
+        return new EggManager(client, options);
+    }
+    const self = this;
+
+    /*
+     * PUBLIC METHODS
+     */
+
+    /**
+     * Decides which eggs to put into which free incubators without changing anything.
+     * @param {InventoryState|Object} [inventory] - InventoryState, getInventory() response or
+     *     splitInventory() result, defaults to the inventory option
+     * @return {Object[]} - Array of objects with incubator_id, item_id, egg_id and km
+     */
+    this.plan = function(inventory) {
+        const contents = self.readInventory(inventory),
+            incubating = {};
+
+        contents.incubators.forEach(incubator => {
+            if (isSet(incubator.pokemon_id)) incubating[Utils.idKey(incubator.pokemon_id)] = true;
+        });
+
+        const eggs = contents.eggs.filter(egg => !egg.egg_incubator_id && !incubating[Utils.idKey(egg.id)]),
+            incubators = contents.incubators.filter(incubator => !isSet(incubator.pokemon_id));
+
+        var assignments;
+        if (typeof self.options.policy === 'function') {
+            assignments = self.options.policy(eggs, incubators);
+        } else {
+            assignments = self.assign(eggs, incubators);
+        }
+
+        return assignments.map(assignment => ({
+            incubator_id: assignment.incubator.id,
+            item_id: assignment.incubator.item_id,
+            egg_id: assignment.egg.id,
+            km: assignment.egg.egg_km_walked_target
+        }));
+    };
+
+    /**
+     * Puts eggs into free incubators as planned by {@link #plan}. Cannot be used in batch mode.
+     * @param {InventoryState|Object} [inventory] - InventoryState, getInventory() response or
+     *     splitInventory() result, defaults to the inventory option
+     * @return {Promise} - A Promise that will be resolved with an array of the planned
+     *     assignments, each with success and either result or error added
+     */
+    this.incubate = function(inventory) {
+        if (client.batchRequests) return Promise.reject(Error('Can not incubate eggs in batch mode'));
+
+        return Promise.try(() => self.plan(inventory)).mapSeries((assignment, index) =>
+            (index > 0 ? Promise.delay(self.options.delay) : Promise.resolve())
+                .then(() => client.useItemEggIncubator(assignment.incubator_id, assignment.egg_id))
+                .then(response => Object.assign({
+                    success: response.result === IncubatorResult.SUCCESS,
+                    result: response.result
+                }, assignment), err => Object.assign({
+                    success: false,
+                    error: err
+                }, assignment)));
+    };
+
+    /**
+     * Returns how far the eggs in the incubators have come.
+     * @param {InventoryState|Object} [inventory] - InventoryState, getInventory() response or
+     *     splitInventory() result, defaults to the inventory option
+     * @return {Object[]} - Array of objects with incubator_id, egg_id, km_walked, km_target,
+     *     km_remaining and progress (between 0 and 1), one for each incubator in use
+     */
+    this.getProgress = function(inventory) {
+        const contents = self.readInventory(inventory),
+            kmWalked = contents.player ? contents.player.km_walked || 0 : 0;
+
+        return contents.incubators
+            .filter(incubator => isSet(incubator.pokemon_id))
+            .map(incubator => {
+                const start = incubator.start_km_walked || 0,
+                    target = incubator.target_km_walked || 0,
+                    walked = Math.max(0, Math.min(kmWalked, target) - start);
+
+                return {
+                    incubator_id: incubator.id,
+                    egg_id: incubator.pokemon_id,
+                    km_walked: walked,
+                    km_target: target - start,
+                    km_remaining: Math.max(0, target - kmWalked),
+                    progress: target > start ? walked / (target - start) : 1
+                };
+            });
+    };
+
+    /**
+     * Asks the server for hatched eggs and emits a hatched event for each one.
+     * Cannot be used in batch mode.
+     * @return {Promise} - A Promise that will be resolved with an array of hatched eggs as
+     *     emitted in the hatched events
+     */
+    this.checkHatched = function() {
+        if (client.batchRequests) return Promise.reject(Error('Can not check hatched eggs in batch mode'));
+        return client.getHatchedEggs().then(self.handleHatchedEggs);
+    };
+
+    /**
+     * Stops listening to the client's hatched-eggs events.
+     */
+    this.detach = function() {
+        client.removeListener('hatched-eggs', self.onHatchedEggs);
+    };
+
+    /*
+     * INTERNAL STUFF
+     */
+
+    this.options = Object.assign({}, defaultOptions, options || {});
+
+    /**
+     * Returns the eggs, incubators and player stats of an inventory in any of the supported forms.
+     * @private
+     * @param {InventoryState|Object} [inventory]
+     * @return {Object}
+     */
+    this.readInventory = function(inventory) {
+        inventory = inventory || self.options.inventory;
+        if (!inventory) throw Error('No inventory given');
+
+        if (typeof inventory.getEggs === 'function') {
+            return {
+                eggs: inventory.getEggs(),
+                incubators: inventory.getIncubators(),
+                player: inventory.getPlayer()
+            };
+        }
+
+        const split = inventory.inventory_delta ? Utils.splitInventory(inventory) : inventory;
+        return {
+            eggs: (split.pokemon || []).filter(pokemon => pokemon.is_egg),
+            incubators: split.egg_incubators || [],
+            player: split.player || null
+        };
+    };
+
+    /**
+     * Pairs eggs with incubators according to the policy option. With longest-limited, incubators
+     * with limited uses get the longest eggs of at least limitedMinKm and the unlimited incubator
+     * gets the shortest ones. With longest-first or shortest-first, all incubators get the
+     * longest or shortest eggs.
+     * @private
+     * @param {Object[]} eggs - PokemonData messages of eggs that are not incubating
+     * @param {Object[]} incubators - EggIncubator messages of free incubators
+     * @return {Object[]} - Array of objects with egg and incubator
+     */
+    this.assign = function(eggs, incubators) {
+        const isLimited = incubator => incubator.item_id !== ItemId.ITEM_INCUBATOR_BASIC_UNLIMITED,
+            byLength = eggs.slice().sort((a, b) => b.egg_km_walked_target - a.egg_km_walked_target),
+            assignments = [];
+
+        switch (self.options.policy) {
+            case 'longest-limited':
+                incubators.filter(isLimited).forEach(incubator => {
+                    if (byLength.length && byLength[0].egg_km_walked_target >= self.options.limitedMinKm) {
+                        assignments.push({ egg: byLength.shift(), incubator: incubator });
+                    }
+                });
+                incubators.filter(incubator => !isLimited(incubator)).forEach(incubator => {
+                    if (byLength.length) assignments.push({ egg: byLength.pop(), incubator: incubator });
+                });
+                break;
+            case 'longest-first':
+            case 'shortest-first':
+                if (self.options.policy === 'shortest-first') byLength.reverse();
+                incubators.forEach((incubator, index) => {
+                    if (index < byLength.length) assignments.push({ egg: byLength[index], incubator: incubator });
+                });
+                break;
+            default:
+                throw Error(`Unknown policy ${self.options.policy}`);
+        }
+
+        return assignments;
+    };
+
+    /**
+     * Emits a hatched event for each egg in a getHatchedEggs() response.
+     * @private
+     * @param {Object} response - GetHatchedEggsResponse message
+     * @return {Promise} - A Promise that will be resolved with the hatched eggs
+     */
+    this.handleHatchedEggs = function(response) {
+        if (!response || !response.success || !response.pokemon_id || !response.pokemon_id.length) {
+            return Promise.resolve([]);
+        }
+
+        // Resolve the Pokémon once the rest of the envelope, including the inventory, is processed
+        return Promise.mapSeries(response.pokemon_id, (pokemonID, index) =>
+            self.resolvePokemon(pokemonID, (response.hatched_pokemon || [])[index])
+                .then(pokemon => {
+                    const hatched = {
+                        pokemon_id: pokemonID,
+                        pokemon: pokemon,
+                        experience_awarded: (response.experience_awarded || [])[index] || 0,
+                        candy_awarded: (response.candy_awarded || [])[index] || 0,
+                        stardust_awarded: (response.stardust_awarded || [])[index] || 0,
+                        egg_km_walked: (response.egg_km_walked || [])[index] || 0
+                    };
+                    self.emit('hatched', hatched);
+                    return hatched;
+                }))
+            .then(hatched => {
+                if (self.options.autoIncubate && self.options.inventory) {
+                    self.incubate().catch(err => self.emit('incubate-failed', err));
+                }
+                return hatched;
+            });
+    };
+
+    /**
+     * Returns the data of a hatched Pokémon from the response, the InventoryState given as
+     * inventory option or a getInventory() call, in that order. Resolves with null if none of
+     * them has it.
+     * @private
+     * @param {number|string|Long} pokemonID - ID of the hatched Pokémon
+     * @param {Object} [hatchedPokemon] - PokemonData from the response
+     * @return {Promise}
+     */
+    this.resolvePokemon = function(pokemonID, hatchedPokemon) {
+        return Promise.resolve().then(() => {
+            if (hatchedPokemon) return hatchedPokemon;
+
+            const inventory = self.options.inventory;
+            if (inventory && typeof inventory.getPokemonById === 'function') {
+                const known = inventory.getPokemonById(pokemonID);
+                if (known) return known;
+            }
+
+            if (client.batchRequests) return null;
+            return client.getInventory(0)
+                .then(response => (Utils.splitInventory(response).pokemon || [])
+                    .find(pokemon => Utils.idKey(pokemon.id) === Utils.idKey(pokemonID)) || null)
+                .catch(() => null);
+        });
+    };
+
+    /**
+     * Handles the client's hatched-eggs events, emitting a hatch-failed event on errors.
+     * @private
+     * @param {Object} response - GetHatchedEggsResponse message
+     */
+    this.onHatchedEggs = function(response) {
+        self.handleHatchedEggs(response).catch(err => self.emit('hatch-failed', err));
+    };
+
+    client.on('hatched-eggs', self.onHatchedEggs);
+}
+
+EggManager.prototype = Object.create(EventEmitter.prototype);
+
+module.exports = EggManager;
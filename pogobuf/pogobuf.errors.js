@@ -0,0 +1,171 @@
+'use strict';
+
+/**
+ * Sets up prototype inheritance between two error constructors.
+ * @private
+ * @param {function} child
+ * @param {function} parent
+ */
+function inherit(child, parent) {
+    child.prototype = Object.create(parent.prototype);
+    child.prototype.constructor = child;
+}
+
+/**
+ * Base class of all errors raised by pogobuf for failed RPC calls.
+ * @class PogobufError
+ * @param {string} message - Error message
+ * @param {number[]} [requestTypes] - Types of the requests involved
+ * @memberof pogobuf
+ */
+function PogobufError(message, requestTypes) {
+    this.name = this.constructor.name;
+    this.message = message;
+    this.requestTypes = requestTypes || [];
+    Error.captureStackTrace(this, this.constructor);
+}
+inherit(PogobufError, Error);
+
+/**
+ * Error for RPC response envelopes with a status code that indicates failure.
+ * @class RpcStatusError
+ * @param {number} statusCode - Status code of the response envelope
+ * @param {string} requestId - ID of the request envelope
+ * @param {number[]} [requestTypes] - Types of the requests involved
+ * @param {string} [message] - Error message, defaults to a description of the status code
+ * @memberof pogobuf
+ */
+function RpcStatusError(statusCode, requestId, requestTypes, message) {
+    PogobufError.call(this, message || `Status code ${statusCode} received from RPC`, requestTypes);
+    this.statusCode = statusCode;
+    this.requestId = requestId;
+}
+inherit(RpcStatusError, PogobufError);
+
+/**
+ * Error for RPC calls the server keeps answering with status code 52 (throttled).
+ * @class ThrottledError
+ * @param {string} requestId - ID of the request envelope
+ * @param {number[]} [requestTypes] - Types of the requests involved
+ * @memberof pogobuf
+ */
+function ThrottledError(requestId, requestTypes) {
+    RpcStatusError.call(this, 52, requestId, requestTypes, 'Request throttled by RPC server');
+}
+inherit(ThrottledError, RpcStatusError);
+
+/**
+ * Error for missing auth info and for auth tokens or tickets rejected by the server.
+ * @class AuthError
+ * @param {string} message - Error message
+ * @param {number[]} [requestTypes] - Types of the requests involved
+ * @param {number} [statusCode] - Status code of the response envelope, if any
+ * @param {string} [requestId] - ID of the request envelope, if any
+ * @memberof pogobuf
+ */
+function AuthError(message, requestTypes, statusCode, requestId) {
+    PogobufError.call(this, message, requestTypes);
+    this.statusCode = statusCode || null;
+    this.requestId = requestId || null;
+}
+inherit(AuthError, PogobufError);
+
+/**
+ * Error for RPC calls answered with an HTTP status other than 200.
+ * @class HttpStatusError
+ * @param {number} statusCode - HTTP status code
+ * @param {number[]} [requestTypes] - Types of the requests involved
+ * @memberof pogobuf
+ */
+function HttpStatusError(statusCode, requestTypes) {
+    PogobufError.call(this, `Status code ${statusCode} received from HTTPS request`, requestTypes);
+    this.statusCode = statusCode;
+}
+inherit(HttpStatusError, PogobufError);
+
+/**
+ * Error for response envelopes or response messages that could not be decoded.
+ * @class EnvelopeParseError
+ * @param {Error} cause - Error thrown by the decoder
+ * @param {Buffer} body - Raw data that failed to decode
+ * @param {number[]} [requestTypes] - Types of the requests involved
+ * @memberof pogobuf
+ */
+function EnvelopeParseError(cause, body, requestTypes) {
+    PogobufError.call(this, cause.message, requestTypes);
+    this.cause = cause;
+    this.body = body;
+}
+inherit(EnvelopeParseError, PogobufError);
+
+/**
+ * Error for failed hashing server setup or requests.
+ * @class HashingServerError
+ * @param {string|Error} cause - Error message or error returned by the signature module
+ * @param {number[]} [requestTypes] - Types of the requests involved
+ * @memberof pogobuf
+ */
+function HashingServerError(cause, requestTypes) {
+    PogobufError.call(this, cause instanceof Error ? cause.message : cause, requestTypes);
+    this.cause = cause instanceof Error ? cause : null;
+}
+inherit(HashingServerError, PogobufError);
+
+/**
+ * Error for captcha challenges that could not be solved.
+ * @class ChallengeError
+ * @param {string} message - Error message
+ * @param {string} challengeUrl - URL of the captcha challenge
+ * @param {number[]} [requestTypes] - Types of the requests involved
+ * @memberof pogobuf
+ */
+function ChallengeError(message, challengeUrl, requestTypes) {
+    PogobufError.call(this, message, requestTypes);
+    this.challengeUrl = challengeUrl;
+}
+inherit(ChallengeError, PogobufError);
+
+/**
+ * Error for actions rejected because the cooldown after moving a long distance has not passed.
+ * @class CooldownError
+ * @param {number} remaining - Remaining cooldown in milliseconds
+ * @param {number} distance - Distance from the location of the last action in meters
+ * @param {number[]} [requestTypes] - Types of the requests involved
+ * @memberof pogobuf
+ */
+function CooldownError(remaining, distance, requestTypes) {
+    PogobufError.call(this, `Cooldown of ${Math.ceil(remaining / 1000)} s required after moving ` +
+        `${Math.round(distance)} m`, requestTypes);
+    this.remaining = remaining;
+    this.distance = distance;
+}
+inherit(CooldownError, PogobufError);
+
+/**
+ * Error for fort searches that failed or were refused because they would fail.
+ * @class FortSearchError
+ * @param {number} result - FortSearchResponse.Result code
+ * @param {string} fortID - ID of the fort
+ * @param {number[]} [requestTypes] - Types of the requests involved
+ * @param {string} [message] - Error message, defaults to a description of the result code
+ * @memberof pogobuf
+ */
+function FortSearchError(result, fortID, requestTypes, message) {
+    PogobufError.call(this, message || `Fort search at ${fortID} failed with result ${result}`, requestTypes);
+    this.result = result;
+    this.fortID = fortID;
+}
+inherit(FortSearchError, PogobufError);
+
+module.exports = {
+    PogobufError: PogobufError,
+    RpcStatusError: RpcStatusError,
+    ThrottledError: ThrottledError,
+    AuthError: AuthError,
+    HttpStatusError: HttpStatusError,
+    EnvelopeParseError: EnvelopeParseError,
+    HashingServerError: HashingServerError,
+    ChallengeError: ChallengeError,
+    CooldownError: CooldownError,
+    FortSearchError: FortSearchError
+};
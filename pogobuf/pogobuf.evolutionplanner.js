@@ -0,0 +1,389 @@
+'use strict';
+
+const POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird'),
+    PokemonStats = require('./pogobuf.pokemonstats.js'),
+    Utils = require('./pogobuf.utils.js');
+
+const Responses = POGOProtos.Networking.Responses,
+    ItemId = POGOProtos.Inventory.Item.ItemId;
+
+// Result codes of successful actions for each type of action
+const ACTION_SUCCESS = {
+    'lucky-egg': Responses.UseItemXpBoostResponse.Result.SUCCESS,
+    'evolve': Responses.EvolvePokemonResponse.Result.SUCCESS,
+    'upgrade': Responses.UpgradePokemonResponse.Result.SUCCESS
+};
+
+const defaultOptions = {
+    rankBy: 'xp',
+    filter: null,
+    evolutionXP: 500,
+    newPokedexEntryXP: 1000,
+    luckyEgg: true,
+    luckyEggMinEvolutions: 30,
+    luckyEggDuration: 30 * 60 * 1000,
+    evolveDuration: 30 * 1000,
+    powerUpFilter: null,
+    delay: 1000
+};
+
+/**
+ * Plans evolutions and power-ups from the candy, items and stardust available, and carries the
+ * plan out. Evolutions are chosen by XP gained per candy, counting new Pokédex entries and
+ * Lucky Eggs, or by the CP of the evolved Pokémon. Each Pokémon evolves at most one step per
+ * plan, since evolved Pokémon only get known after evolving.
+ * @class EvolutionPlanner
+ * @param {Client} client - pogobuf Client instance
+ * @param {Object} templates - downloadItemTemplates() response or splitItemTemplates() result
+ * @param {Object} [options] - Planner options
+ * @param {string} [options.rankBy=xp] - xp to prefer evolutions with the most XP per candy, or
+ *     cp to prefer evolutions with the highest CP
+ * @param {function} [options.filter] - Function that returns whether a Pokémon may be evolved
+ * @param {number} [options.evolutionXP=500] - XP awarded for an evolution
+ * @param {number} [options.newPokedexEntryXP=1000] - XP awarded for evolving into a new species
+ * @param {boolean} [options.luckyEgg=true] - Whether to use Lucky Eggs
+ * @param {number} [options.luckyEggMinEvolutions=30] - Minimum number of evolutions left to
+ *     use a Lucky Egg for
+ * @param {number} [options.luckyEggDuration=1800000] - Duration of a Lucky Egg in milliseconds
+ * @param {number} [options.evolveDuration=30000] - Time an evolution takes in milliseconds
+ * @param {function} [options.powerUpFilter] - Function that returns whether a Pokémon may be
+ *     powered up, no Pokémon are powered up if not given
+ * @param {number} [options.delay=1000] - Time in milliseconds between actions
+ * @memberof pogobuf
+ */
+function EvolutionPlanner(client, templates, options) {
+    if (!(this instanceof EvolutionPlanner)) {
+        return new EvolutionPlanner(client, templates, options);
+    }
+    const self = this;
+
+    /*
+     * PUBLIC METHODS
+     */
+
+    /**
+     * Computes the evolutions and power-ups possible with the current inventory. The result
+     * contains an actions array to pass to {@link #execute}, with objects of type lucky-egg,
+     * evolve or upgrade, as well as the total XP, the candy used per family and the stardust used.
+     * @param {InventoryState|Object} inventory - InventoryState, getInventory() response or
+     *     splitInventory() result
+     * @param {Object} [playerData] - PlayerData message, needed for the stardust of power-ups
+     * @return {Object}
+     */
+    this.plan = function(inventory, playerData) {
+        const contents = self.readInventory(inventory),
+            state = {
+                candies: {},
+                items: {},
+                captured: {},
+                stardust: 0,
+                candyUsed: {},
+                stardustUsed: 0
+            };
+
+        contents.candies.forEach(candy => {
+            state.candies[candy.family_id] = candy.candy || 0;
+        });
+        contents.items.forEach(item => {
+            state.items[item.item_id] = item.count || 0;
+        });
+        contents.pokedex.forEach(entry => {
+            if (entry.times_captured > 0) state.captured[entry.pokemon_id] = true;
+        });
+        ((playerData && playerData.currencies) || []).forEach(currency => {
+            if (currency.name === 'STARDUST') state.stardust = currency.amount || 0;
+        });
+
+        const evolutions = self.planEvolutions(contents.pokemon, state),
+            actions = self.addLuckyEggs(evolutions, state),
+            evolved = {};
+
+        evolutions.forEach(action => {
+            evolved[action.id] = true;
+        });
+
+        const playerLevel = contents.player ? contents.player.level : self.stats.getMaxLevel(),
+            upgrades = self.planUpgrades(contents.pokemon.filter(pokemon => !evolved[pokemon.id]), playerLevel,
+                state);
+
+        return {
+            actions: actions.concat(upgrades),
+            xp: actions.reduce((total, action) => total + (action.xp || 0), 0),
+            candy_used: state.candyUsed,
+            stardust_used: state.stardustUsed
+        };
+    };
+
+    /**
+     * Carries out the actions of a plan one after the other. Failed actions are reported and do
+     * not stop the remaining ones. Cannot be used in batch mode.
+     * @param {Object} plan - Plan as returned by {@link #plan}
+     * @return {Promise} - A Promise that will be resolved with an array of objects with action,
+     *     success and either result and response or error
+     */
+    this.execute = function(plan) {
+        if (client.batchRequests) return Promise.reject(Error('Can not evolve Pokémon in batch mode'));
+
+        const report = [];
+
+        return Promise.each(plan.actions, (action, index) =>
+            (index > 0 ? Promise.delay(self.options.delay) : Promise.resolve())
+                .then(() => self.runAction(action))
+                .then(response => ({
+                    action: action,
+                    success: response.result === ACTION_SUCCESS[action.type],
+                    result: response.result,
+                    response: response
+                }), err => ({
+                    action: action,
+                    success: false,
+                    error: err
+                }))
+                .then(result => report.push(result)))
+            .then(() => report);
+    };
+
+    /*
+     * INTERNAL STUFF
+     */
+
+    this.options = Object.assign({}, defaultOptions, options || {});
+
+    const settings = templates && templates.pokemon_settings ? templates : Utils.splitItemTemplates(templates);
+    this.stats = new PokemonStats(settings);
+    this.upgradeSettings = settings.pokemon_upgrade_settings;
+
+    /**
+     * Returns the Pokémon, candies, items, Pokédex and player stats of an inventory in any of
+     * the supported forms.
+     * @private
+     * @param {InventoryState|Object} inventory
+     * @return {Object}
+     */
+    this.readInventory = function(inventory) {
+        if (inventory && typeof inventory.getPokemon === 'function') {
+            return {
+                pokemon: inventory.getPokemon(),
+                candies: inventory.getCandies(),
+                items: inventory.getItems(),
+                pokedex: inventory.getPokedex(),
+                player: inventory.getPlayer()
+            };
+        }
+
+        const split = inventory && inventory.inventory_delta ? Utils.splitInventory(inventory) : inventory || {};
+        return {
+            pokemon: (split.pokemon || []).filter(pokemon => !pokemon.is_egg),
+            candies: split.candies || [],
+            items: split.items || [],
+            pokedex: split.pokedex || [],
+            player: split.player || null
+        };
+    };
+
+    /**
+     * Lists every evolution each Pokémon could go through, one entry per branch.
+     * @private
+     * @param {Object[]} pokemon - PokemonData messages
+     * @return {Object[]}
+     */
+    this.getCandidates = function(pokemon) {
+        const candidates = [];
+
+        pokemon.forEach(candidate => {
+            const pokemonSettings = self.stats.getPokemonSettings(candidate.pokemon_id);
+            if (!pokemonSettings || candidate.deployed_fort_id) return;
+            if (self.options.filter && !self.options.filter(candidate)) return;
+
+            const branches = pokemonSettings.evolution_branch && pokemonSettings.evolution_branch.length
+                ? pokemonSettings.evolution_branch
+                : (pokemonSettings.evolution_ids || []).map(evolution => ({ evolution: evolution }));
+
+            branches.forEach(branch => {
+                if (!self.stats.getPokemonSettings(branch.evolution)) return;
+
+                candidates.push({
+                    pokemon: candidate,
+                    family_id: pokemonSettings.family_id,
+                    evolution: branch.evolution,
+                    item: branch.evolution_item_requirement || 0,
+                    candy: branch.candy_cost || pokemonSettings.candy_to_evolve || 0,
+                    cp: self.stats.getCP(branch.evolution, self.stats.getLevel(candidate),
+                        candidate.individual_attack || 0, candidate.individual_defense || 0,
+                        candidate.individual_stamina || 0)
+                });
+            });
+        });
+
+        return candidates;
+    };
+
+    /**
+     * Picks the evolutions to do, best first, as long as candy and evolution items last.
+     * @private
+     * @param {Object[]} pokemon - PokemonData messages
+     * @param {Object} state - Remaining resources, updated with what the evolutions use
+     * @return {Object[]} - Evolve actions
+     */
+    this.planEvolutions = function(pokemon, state) {
+        const xpOf = candidate => self.options.evolutionXP +
+            (state.captured[candidate.evolution] ? 0 : self.options.newPokedexEntryXP);
+
+        var score;
+        if (self.options.rankBy === 'xp') {
+            score = candidate => xpOf(candidate) / Math.max(1, candidate.candy);
+        } else if (self.options.rankBy === 'cp') {
+            score = candidate => candidate.cp;
+        } else {
+            throw Error(`Unknown ranking ${self.options.rankBy}`);
+        }
+
+        const used = {},
+            actions = [];
+        var candidates = self.getCandidates(pokemon);
+
+        // Scores change as new Pokédex entries get taken, so pick the best candidate one at a time
+        for (;;) {
+            candidates = candidates.filter(candidate => !used[candidate.pokemon.id] &&
+                (state.candies[candidate.family_id] || 0) >= candidate.candy &&
+                (!candidate.item || state.items[candidate.item] > 0));
+            if (!candidates.length) break;
+
+            const candidate = candidates.reduce((best, c) =>
+                (score(c) > score(best) || (score(c) === score(best) && c.candy < best.candy) ? c : best));
+
+            used[candidate.pokemon.id] = true;
+            state.candies[candidate.family_id] -= candidate.candy;
+            state.candyUsed[candidate.family_id] = (state.candyUsed[candidate.family_id] || 0) + candidate.candy;
+            if (candidate.item) state.items[candidate.item]--;
+
+            actions.push({
+                type: 'evolve',
+                id: candidate.pokemon.id,
+                pokemon_id: candidate.pokemon.pokemon_id,
+                evolution: candidate.evolution,
+                item: candidate.item,
+                candy: candidate.candy,
+                cp: candidate.cp,
+                xp: xpOf(candidate)
+            });
+            state.captured[candidate.evolution] = true;
+        }
+
+        return actions;
+    };
+
+    /**
+     * Puts Lucky Eggs in front of the evolutions if there are enough of them to make an egg
+     * worth it, one egg per batch of evolutions that fit into its duration, and doubles the XP
+     * of the evolutions under an egg.
+     * @private
+     * @param {Object[]} evolutions - Evolve actions
+     * @param {Object} state - Remaining resources, updated with the eggs used
+     * @return {Object[]} - Actions
+     */
+    this.addLuckyEggs = function(evolutions, state) {
+        if (!self.options.luckyEgg) return evolutions;
+
+        const perEgg = Math.max(1, Math.floor(self.options.luckyEggDuration / self.options.evolveDuration)),
+            actions = [];
+
+        for (var i = 0; i < evolutions.length; i += perEgg) {
+            const batch = evolutions.slice(i, i + perEgg);
+
+            if (evolutions.length - i >= self.options.luckyEggMinEvolutions && state.items[ItemId.ITEM_LUCKY_EGG] > 0) {
+                state.items[ItemId.ITEM_LUCKY_EGG]--;
+                actions.push({
+                    type: 'lucky-egg',
+                    item: ItemId.ITEM_LUCKY_EGG
+                });
+                batch.forEach(action => {
+                    action.xp *= 2;
+                });
+            }
+
+            batch.forEach(action => actions.push(action));
+        }
+
+        return actions;
+    };
+
+    /**
+     * Picks power-ups for the Pokémon selected by the powerUpFilter option, strongest first, as
+     * long as candy and stardust last and the level cap allows.
+     * @private
+     * @param {Object[]} pokemon - PokemonData messages of Pokémon that are not evolved
+     * @param {number} playerLevel - Trainer level
+     * @param {Object} state - Remaining resources, updated with what the power-ups use
+     * @return {Object[]} - Upgrade actions
+     */
+    this.planUpgrades = function(pokemon, playerLevel, state) {
+        const upgradeSettings = self.upgradeSettings;
+        if (!self.options.powerUpFilter || !upgradeSettings) return [];
+
+        const maxLevel = Math.min(self.stats.getMaxLevel(),
+                playerLevel + (upgradeSettings.allowed_levels_above_player || 0) - 0.5),
+            actions = [];
+
+        pokemon
+            .filter(candidate => !candidate.deployed_fort_id && self.options.powerUpFilter(candidate))
+            .sort((a, b) => (b.cp || 0) - (a.cp || 0))
+            .forEach(candidate => {
+                const pokemonSettings = self.stats.getPokemonSettings(candidate.pokemon_id);
+                if (!pokemonSettings) return;
+
+                const familyID = pokemonSettings.family_id;
+                var level = self.stats.getLevel(candidate);
+
+                while (level < maxLevel) {
+                    const index = Math.floor(level) - 1,
+                        candy = upgradeSettings.candy_cost[index],
+                        stardust = upgradeSettings.stardust_cost[index];
+
+                    if (typeof candy === 'undefined' || (state.candies[familyID] || 0) < candy ||
+                        state.stardust < stardust) break;
+
+                    state.candies[familyID] -= candy;
+                    state.candyUsed[familyID] = (state.candyUsed[familyID] || 0) + candy;
+                    state.stardust -= stardust;
+                    state.stardustUsed += stardust;
+                    level += 0.5;
+
+                    actions.push({
+                        type: 'upgrade',
+                        id: candidate.id,
+                        pokemon_id: candidate.pokemon_id,
+                        level: level,
+                        candy: candy,
+                        stardust: stardust,
+                        cp: self.stats.getCP(candidate.pokemon_id, level, candidate.individual_attack || 0,
+                            candidate.individual_defense || 0, candidate.individual_stamina || 0)
+                    });
+                }
+            });
+
+        return actions;
+    };
+
+    /**
+     * Sends the request for a planned action.
+     * @private
+     * @param {Object} action
+     * @return {Promise}
+     */
+    this.runAction = function(action) {
+        switch (action.type) {
+            case 'lucky-egg':
+                return client.useItemXPBoost(action.item);
+            case 'evolve':
+                return client.evolvePokemon(action.id, action.item || undefined);
+            case 'upgrade':
+                return client.upgradePokemon(action.id);
+            default:
+                return Promise.reject(Error(`Unknown action ${action.type}`));
+        }
+    };
+}
+
+module.exports = EvolutionPlanner;
@@ -0,0 +1,316 @@
+'use strict';
+
+const EventEmitter = require('events').EventEmitter,
+    POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird'),
+    Utils = require('./pogobuf.utils.js'),
+    errors = require('./pogobuf.errors.js');
+
+const FortType = POGOProtos.Map.Fort.FortType,
+    FortSearchResult = POGOProtos.Networking.Responses.FortSearchResponse.Result,
+    RequestType = POGOProtos.Networking.Requests.RequestType;
+
+const defaultOptions = {
+    radius: 40,
+    queue: false,
+    queueInterval: 1000,
+    maxQueueTime: 10 * 60 * 1000,
+    defaultCooldown: 5 * 60 * 1000
+};
+
+/**
+ * Spins PokéStops while keeping track of their cooldowns and the distance to them, so that
+ * searches which would fail with OUT_OF_RANGE or IN_COOLDOWN_PERIOD are refused or queued until
+ * they can succeed instead of being sent to the server. Items, XP and eggs awarded by all spins
+ * are added up.
+ * @class FortSpinner
+ * @param {Client} client - pogobuf Client instance
+ * @param {Object} [options] - Spinner options
+ * @param {number} [options.radius=40] - Distance in meters within which a PokéStop can be searched
+ * @param {boolean} [options.queue=false] - Whether to queue searches that can not succeed yet
+ *     instead of refusing them
+ * @param {number} [options.queueInterval=1000] - Time in milliseconds between checks of the queue
+ * @param {number} [options.maxQueueTime=600000] - Time in milliseconds after which a queued
+ *     search that still can not succeed is refused
+ * @param {number} [options.defaultCooldown=300000] - Cooldown in milliseconds assumed after a
+ *     search when the server does not send one
+ * @memberof pogobuf
+ */
+function FortSpinner(client, options) {
+    if (!(this instanceof FortSpinner)) {
+        return new FortSpinner(client, options);
+    }
+    const self = this;
+
+    /*
+     * PUBLIC METHODS
+     */
+
+    /**
+     * Updates the known PokéStops and their cooldowns from a getMapObjects() response.
+     * @param {Object} response - GetMapObjectsResponse message
+     */
+    this.apply = function(response) {
+        (response.map_cells || []).forEach(mapCell => {
+            (mapCell.forts || []).forEach(fort => {
+                if (fort.type === FortType.CHECKPOINT) self.updateFort(fort);
+            });
+        });
+    };
+
+    /**
+     * Adds a PokéStop or updates its position and cooldown.
+     * @param {Object} fort - FortData message, or an object with id, latitude, longitude and
+     *     optionally cooldown_complete_timestamp_ms
+     * @return {Object} - The stored PokéStop
+     */
+    this.updateFort = function(fort) {
+        const known = self.forts[fort.id],
+            cooldown = Utils.toNumber(fort.cooldown_complete_timestamp_ms);
+
+        self.forts[fort.id] = {
+            id: fort.id,
+            latitude: fort.latitude,
+            longitude: fort.longitude,
+            cooldown: known ? Math.max(known.cooldown, cooldown) : cooldown
+        };
+
+        return self.forts[fort.id];
+    };
+
+    /**
+     * Returns a known PokéStop.
+     * @param {string} fortID - ID of the fort
+     * @return {Object|null} - Object with id, latitude, longitude and cooldown
+     */
+    this.getFort = function(fortID) {
+        return self.forts[fortID] || null;
+    };
+
+    /**
+     * Returns the number of milliseconds until a PokéStop can be searched again.
+     * @param {string} fortID - ID of the fort
+     * @return {number}
+     */
+    this.getCooldown = function(fortID) {
+        const fort = self.forts[fortID];
+        return fort ? Math.max(0, fort.cooldown - Date.now()) : 0;
+    };
+
+    /**
+     * Returns the distance between the player and a PokéStop in meters.
+     * @param {string|Object} fort - ID of a known fort, or an object with latitude and longitude
+     * @return {number} - Distance, or Infinity for an unknown fort ID
+     */
+    this.getDistance = function(fort) {
+        if (typeof fort !== 'object') fort = self.forts[fort];
+        if (!fort) return Infinity;
+        return Utils.getDistance(client.playerLatitude, client.playerLongitude, fort.latitude, fort.longitude);
+    };
+
+    /**
+     * Checks whether a PokéStop can be searched right now.
+     * @param {string|Object} fort - ID of a known fort, or a FortData message
+     * @return {number} - FortSearchResponse.Result: SUCCESS if the search can be attempted,
+     *     OUT_OF_RANGE or IN_COOLDOWN_PERIOD otherwise (OUT_OF_RANGE for an unknown fort ID)
+     */
+    this.check = function(fort) {
+        if (typeof fort !== 'object') fort = self.forts[fort];
+        if (!fort) return FortSearchResult.OUT_OF_RANGE;
+        if (self.getDistance(fort) > self.options.radius) return FortSearchResult.OUT_OF_RANGE;
+        if (self.getCooldown(fort.id) > 0) return FortSearchResult.IN_COOLDOWN_PERIOD;
+        return FortSearchResult.SUCCESS;
+    };
+
+    /**
+     * Searches a PokéStop. If the PokéStop is out of range or in cooldown, the search is refused
+     * with a FortSearchError, or queued until it can succeed if the queue option is set.
+     * Cannot be used in batch mode.
+     * @param {string|Object} fort - ID of a known fort, or a FortData message
+     * @return {Promise} - A Promise that will be resolved with the FortSearchResponse, or
+     *     rejected with a FortSearchError if the search was refused or failed
+     */
+    this.spin = function(fort) {
+        if (client.batchRequests) return Promise.reject(Error('Can not spin forts in batch mode'));
+
+        const known = typeof fort === 'object' ? self.updateFort(fort) : self.forts[fort];
+        if (!known) {
+            return Promise.reject(new errors.FortSearchError(FortSearchResult.OUT_OF_RANGE, fort,
+                [RequestType.FORT_SEARCH], `Unknown fort ${fort}`));
+        }
+
+        const result = self.check(known);
+        if (result === FortSearchResult.SUCCESS) return self.search(known);
+        if (!self.options.queue) return Promise.reject(self.getRefusal(known, result));
+
+        return new Promise((resolve, reject) => {
+            self.queue.push({
+                fort: known,
+                queued: Date.now(),
+                resolve: resolve,
+                reject: reject
+            });
+            self.scheduleQueue();
+        });
+    };
+
+    /**
+     * Returns the number of queued searches.
+     * @return {number}
+     */
+    this.getQueueLength = function() {
+        return self.queue.length;
+    };
+
+    /**
+     * Cancels all queued searches, rejecting their Promises.
+     */
+    this.clearQueue = function() {
+        const queue = self.queue;
+        self.queue = [];
+        clearTimeout(self.queueTimer);
+        self.queueTimer = null;
+        queue.forEach(entry => entry.reject(Error('Fort search cancelled')));
+    };
+
+    /**
+     * Returns the rewards of all successful searches so far.
+     * @return {Object} - Object with spins, xp, gems, eggs and items (item counts by ItemId)
+     */
+    this.getRewards = function() {
+        return Object.assign({}, self.rewards, {
+            items: Object.assign({}, self.rewards.items)
+        });
+    };
+
+    /**
+     * Sets all reward counters back to zero.
+     */
+    this.resetRewards = function() {
+        self.rewards = {
+            spins: 0,
+            xp: 0,
+            gems: 0,
+            eggs: 0,
+            items: {}
+        };
+    };
+
+    /*
+     * INTERNAL STUFF
+     */
+
+    this.options = Object.assign({}, defaultOptions, options || {});
+    this.forts = {};
+    this.queue = [];
+    this.queueTimer = null;
+    this.searching = false;
+    this.resetRewards();
+
+    /**
+     * Sends a fort search and processes the response.
+     * @private
+     * @param {Object} fort - Stored PokéStop
+     * @return {Promise}
+     */
+    this.search = function(fort) {
+        return client.fortSearch(fort.id, fort.latitude, fort.longitude).then(response => {
+            const result = response.result,
+                cooldown = Utils.toNumber(response.cooldown_complete_timestamp_ms);
+
+            if (cooldown) {
+                fort.cooldown = cooldown;
+            } else if (result === FortSearchResult.SUCCESS || result === FortSearchResult.INVENTORY_FULL ||
+                result === FortSearchResult.IN_COOLDOWN_PERIOD) {
+                fort.cooldown = Date.now() + self.options.defaultCooldown;
+            }
+
+            if (result !== FortSearchResult.SUCCESS && result !== FortSearchResult.INVENTORY_FULL) {
+                throw new errors.FortSearchError(result, fort.id, [RequestType.FORT_SEARCH],
+                    `Fort search at ${fort.id} failed: ${Utils.getEnumKeyByValue(FortSearchResult, result)}`);
+            }
+
+            self.addRewards(response);
+            self.emit('spin', fort, response);
+            return response;
+        });
+    };
+
+    /**
+     * Adds the rewards of a search to the totals.
+     * @private
+     * @param {Object} response - FortSearchResponse message
+     */
+    this.addRewards = function(response) {
+        const rewards = self.rewards;
+
+        rewards.spins++;
+        rewards.xp += response.experience_awarded || 0;
+        rewards.gems += response.gems_awarded || 0;
+        if (response.pokemon_data_egg) rewards.eggs++;
+        (response.items_awarded || []).forEach(award => {
+            rewards.items[award.item_id] = (rewards.items[award.item_id] || 0) + award.item_count +
+                (award.bonus_count || 0);
+        });
+    };
+
+    /**
+     * Returns the error for a search that is refused because it would fail.
+     * @private
+     * @param {Object} fort - Stored PokéStop
+     * @param {number} result - FortSearchResponse.Result the search would fail with
+     * @return {FortSearchError}
+     */
+    this.getRefusal = function(fort, result) {
+        const message = result === FortSearchResult.OUT_OF_RANGE
+            ? `Fort ${fort.id} is ${Math.round(self.getDistance(fort))} m away`
+            : `Fort ${fort.id} is in cooldown for another ${Math.ceil(self.getCooldown(fort.id) / 1000)} s`;
+        return new errors.FortSearchError(result, fort.id, [RequestType.FORT_SEARCH], message);
+    };
+
+    /**
+     * Schedules the next run of the queue if there are queued searches.
+     * @private
+     */
+    this.scheduleQueue = function() {
+        if (self.queue.length && !self.queueTimer && !self.searching) {
+            self.queueTimer = setTimeout(self.processQueue, self.options.queueInterval);
+        }
+    };
+
+    /**
+     * Refuses queued searches that have waited too long and sends the first one that can
+     * succeed now. Searches are sent one at a time.
+     * @private
+     */
+    this.processQueue = function() {
+        const now = Date.now();
+        self.queueTimer = null;
+
+        self.queue = self.queue.filter(entry => {
+            const result = self.check(entry.fort);
+            if (result === FortSearchResult.SUCCESS || now - entry.queued < self.options.maxQueueTime) return true;
+            entry.reject(self.getRefusal(entry.fort, result));
+            return false;
+        });
+
+        const index = self.queue.findIndex(entry => self.check(entry.fort) === FortSearchResult.SUCCESS);
+        if (index < 0) {
+            self.scheduleQueue();
+            return;
+        }
+
+        const entry = self.queue.splice(index, 1)[0];
+        self.searching = true;
+        self.search(entry.fort)
+            .then(entry.resolve, entry.reject)
+            .finally(() => {
+                self.searching = false;
+                self.scheduleQueue();
+            });
+    };
+}
+
+FortSpinner.prototype = Object.create(EventEmitter.prototype);
+
+module.exports = FortSpinner;
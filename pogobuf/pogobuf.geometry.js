@@ -0,0 +1,118 @@
+'use strict';
+
+const METERS_PER_DEGREE = 6371008.8 * Math.PI / 180;
+
+/**
+ * Planar geometry helpers used for map coverage calculations. Coordinates are projected onto a
+ * plane around an origin, which is accurate enough for the distances covered by map requests.
+ * @private
+ */
+module.exports = {
+    /**
+     * Returns a function that projects coordinates onto a plane around the given origin,
+     * in meters.
+     * @param {number} lat0 - Latitude of the origin
+     * @param {number} lng0 - Longitude of the origin
+     * @returns {function}
+     */
+    localProjection: function(lat0, lng0) {
+        const lngScale = Math.cos(lat0 * Math.PI / 180);
+
+        return (lat, lng) => {
+            var dLng = lng - lng0;
+            if (dLng > 180) dLng -= 360;
+            if (dLng < -180) dLng += 360;
+            return {
+                x: dLng * lngScale * METERS_PER_DEGREE,
+                y: (lat - lat0) * METERS_PER_DEGREE
+            };
+        };
+    },
+
+    /**
+     * Returns a function that converts points projected with localProjection() back to
+     * coordinates.
+     * @param {number} lat0 - Latitude of the origin
+     * @param {number} lng0 - Longitude of the origin
+     * @returns {function}
+     */
+    localUnprojection: function(lat0, lng0) {
+        const lngScale = Math.cos(lat0 * Math.PI / 180);
+
+        return p => {
+            var lng = lng0 + p.x / lngScale / METERS_PER_DEGREE;
+            if (lng > 180) lng -= 360;
+            if (lng < -180) lng += 360;
+            return {
+                latitude: lat0 + p.y / METERS_PER_DEGREE,
+                longitude: lng
+            };
+        };
+    },
+
+    /**
+     * Checks whether a point lies within a polygon, both in projected coordinates.
+     * @param {object} p - Point
+     * @param {object[]} polygon - Polygon vertices
+     * @returns {boolean}
+     */
+    planeContains: function(p, polygon) {
+        var inside = false;
+        for (var i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i],
+                b = polygon[j];
+            if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    },
+
+    /**
+     * Returns the distance between two points in projected coordinates.
+     * @param {object} a
+     * @param {object} b
+     * @returns {number}
+     */
+    planeDistance: function(a, b) {
+        return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+    },
+
+    /**
+     * Returns the distance between a point and a line segment in projected coordinates.
+     * @param {object} p - Point
+     * @param {object} a - Start of the segment
+     * @param {object} b - End of the segment
+     * @returns {number}
+     */
+    segmentDistance: function(p, a, b) {
+        const dx = b.x - a.x,
+            dy = b.y - a.y,
+            lengthSquared = dx * dx + dy * dy;
+
+        var t = lengthSquared ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared : 0;
+        t = Math.max(0, Math.min(1, t));
+
+        return this.planeDistance(p, {
+            x: a.x + t * dx,
+            y: a.y + t * dy
+        });
+    },
+
+    /**
+     * Checks whether two line segments in projected coordinates intersect.
+     * @param {object} a - Start of the first segment
+     * @param {object} b - End of the first segment
+     * @param {object} c - Start of the second segment
+     * @param {object} d - End of the second segment
+     * @returns {boolean}
+     */
+    segmentsIntersect: function(a, b, c, d) {
+        const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+        const d1 = cross(c, d, a),
+            d2 = cross(c, d, b),
+            d3 = cross(a, b, c),
+            d4 = cross(a, b, d);
+        return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+    }
+};
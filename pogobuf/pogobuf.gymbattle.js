@@ -0,0 +1,478 @@
+'use strict';
+
+const EventEmitter = require('events').EventEmitter,
+    Long = require('long'),
+    POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird'),
+    PokemonStats = require('./pogobuf.pokemonstats.js'),
+    Utils = require('./pogobuf.utils.js');
+
+const ActionType = POGOProtos.Data.Battle.BattleActionType,
+    BattleState = POGOProtos.Data.Battle.BattleState,
+    Responses = POGOProtos.Networking.Responses;
+
+// Battle settings used for values missing from the item templates
+const DEFAULT_BATTLE_SETTINGS = {
+    enemy_attack_interval: 1.5,
+    attack_server_interval: 5,
+    round_duration_seconds: 99,
+    maximum_energy: 100,
+    energy_delta_per_health_lost: 0.5,
+    dodge_duration_ms: 500,
+    swap_duration_ms: 1000,
+    dodge_damage_reduction_percent: 0.75
+};
+
+// Outcome results for the battle states that end a battle
+const RESULTS = {
+    [BattleState.VICTORY]: 'victory',
+    [BattleState.DEFEATED]: 'defeated',
+    [BattleState.TIMED_OUT]: 'timed-out'
+};
+
+const defaultOptions = {
+    inventory: null,
+    dodge: true,
+    defenderHPMultiplier: 2,
+    maxRounds: 100
+};
+
+/**
+ * Fights gym battles, either simulated from the move settings or against the server with
+ * startGymBattle() and attackGym(). Attackers use their fast move until they have the energy for
+ * their charged move, and dodge the charged moves of defenders. Battle actions are timed with
+ * the server clock from the battle log and sent in rounds of the attack server interval.
+ * @class GymBattle
+ * @param {Client} client - pogobuf Client instance
+ * @param {Object} templates - downloadItemTemplates() response or splitItemTemplates() result
+ * @param {Object} [options] - Battle options
+ * @param {InventoryState} [options.inventory] - Inventory to look up attackers given by ID in
+ * @param {boolean} [options.dodge=true] - Whether attackers dodge the defenders' charged moves
+ * @param {number} [options.defenderHPMultiplier=2] - Factor applied to the defenders' HP in
+ *     simulated battles
+ * @param {number} [options.maxRounds=100] - Maximum number of attackGym() calls before the
+ *     battle is given up
+ * @memberof pogobuf
+ */
+function GymBattle(client, templates, options) {
+    if (!(this instanceof GymBattle)) {
+        return new GymBattle(client, templates, options);
+    }
+    const self = this;
+
+    /*
+     * PUBLIC METHODS
+     */
+
+    /**
+     * Simulates a battle without contacting the server, to see whether a team of attackers can
+     * win. Defenders have double HP and attack after each move with a pause of the enemy attack
+     * interval, attackers swap in when the previous one faints.
+     * @param {Object} gym - GetGymDetailsResponse or GymState message
+     * @param {Object[]} attackers - PokemonData messages or IDs (with the inventory option)
+     * @return {Object} - Outcome with result (victory, defeated or timed-out), duration_ms,
+     *     defenders_defeated, attackers_fainted and a log of the moves
+     */
+    this.simulate = function(gym, attackers) {
+        const settings = self.battleSettings,
+            limit = settings.round_duration_seconds * 1000,
+            toFighter = (pokemon, hpMultiplier, readyAt) => ({
+                pokemon: pokemon,
+                hp: self.stats.getHP(pokemon.pokemon_id, self.stats.getLevel(pokemon),
+                    pokemon.individual_stamina || 0) * hpMultiplier,
+                energy: 0,
+                readyAt: readyAt
+            });
+
+        const team = self.resolveAttackers(attackers).map(pokemon => toFighter(pokemon, 1, 0)),
+            defenders = self.getDefenders(gym).map(pokemon => toFighter(pokemon, self.options.defenderHPMultiplier,
+                settings.enemy_attack_interval * 1000)),
+            log = [];
+
+        var attackerIndex = 0,
+            defenderIndex = 0,
+            time = 0;
+
+        while (attackerIndex < team.length && defenderIndex < defenders.length) {
+            const attacker = team[attackerIndex],
+                defender = defenders[defenderIndex],
+                isDefender = defender.readyAt < attacker.readyAt,
+                actor = isDefender ? defender : attacker,
+                target = isDefender ? attacker : defender,
+                move = self.chooseMove(actor.pokemon, actor.energy),
+                end = actor.readyAt + move.duration_ms;
+
+            if (end > limit) {
+                time = limit;
+                break;
+            }
+
+            var damage = self.stats.getMoveDamage(move.movement_id, actor.pokemon, target.pokemon);
+            if (isDefender && self.options.dodge && move.energy_delta < 0) {
+                damage = Math.max(1, Math.floor(damage * (1 - settings.dodge_damage_reduction_percent)));
+                attacker.readyAt = Math.max(attacker.readyAt, end) + settings.dodge_duration_ms;
+            }
+
+            actor.energy = Math.max(0, Math.min(settings.maximum_energy, actor.energy + move.energy_delta));
+            target.hp -= damage;
+            target.energy = Math.min(settings.maximum_energy,
+                target.energy + Math.ceil(damage * settings.energy_delta_per_health_lost));
+            actor.readyAt = end + (isDefender ? settings.enemy_attack_interval * 1000 : 0);
+            time = end;
+
+            log.push({
+                time_ms: end,
+                side: isDefender ? 'defender' : 'attacker',
+                pokemon_id: actor.pokemon.pokemon_id,
+                move: move.movement_id,
+                damage: damage
+            });
+
+            if (target.hp <= 0) {
+                if (isDefender) {
+                    attackerIndex++;
+                    if (attackerIndex < team.length) team[attackerIndex].readyAt = end + settings.swap_duration_ms;
+                } else {
+                    defenderIndex++;
+                    if (defenderIndex < defenders.length) {
+                        defenders[defenderIndex].readyAt = end + settings.swap_duration_ms +
+                            settings.enemy_attack_interval * 1000;
+                    }
+                    attacker.readyAt = Math.max(attacker.readyAt, end + settings.swap_duration_ms);
+                }
+            }
+        }
+
+        var result = 'timed-out';
+        if (defenderIndex >= defenders.length) result = 'victory';
+        else if (attackerIndex >= team.length) result = 'defeated';
+
+        return {
+            result: result,
+            duration_ms: time,
+            defenders_defeated: defenderIndex,
+            attackers_fainted: attackerIndex,
+            log: log
+        };
+    };
+
+    /**
+     * Fights a battle against the server. Emits an action event for each battle action received
+     * from the server, attacker-changed and defender-changed events when the active Pokémon
+     * change, and attacker-fainted and defender-defeated events. Cannot be used in batch mode.
+     * @param {Object} gym - GetGymDetailsResponse or GymState message
+     * @param {Object[]} attackers - PokemonData messages or IDs (with the inventory option)
+     * @return {Promise} - A Promise that will be resolved with the outcome, with result
+     *     (victory, defeated, timed-out, start-failed, error or gave-up), status, battle_id,
+     *     rounds, defenders_defeated, attackers_fainted, experience_awarded, gym_points_delta and
+     *     duration_ms
+     */
+    this.battle = function(gym, attackers) {
+        if (client.batchRequests) return Promise.reject(Error('Can not battle in batch mode'));
+
+        return Promise.try(() => {
+            const gymState = gym.gym_state || gym,
+                team = self.resolveAttackers(attackers),
+                defenders = self.getDefenders(gymState);
+
+            if (!defenders.length) throw Error('Gym has no defenders');
+
+            const battle = {
+                gymID: gymState.fort_data.id,
+                attackerIDs: team.map(pokemon => Utils.idKey(pokemon.id)),
+                state: BattleState.ACTIVE,
+                lastAction: null,
+                clockOffset: 0,
+                started: Date.now(),
+                nextStart: 0,
+                attacker: null,
+                defender: null,
+                dodges: [],
+                outcome: {
+                    result: 'error',
+                    status: null,
+                    battle_id: null,
+                    rounds: 0,
+                    defenders_defeated: 0,
+                    attackers_fainted: 0,
+                    experience_awarded: 0,
+                    gym_points_delta: 0,
+                    duration_ms: 0
+                }
+            };
+
+            return client.startGymBattle(battle.gymID, team.map(pokemon => pokemon.id), defenders[0].id)
+                .then(response => {
+                    battle.outcome.status = response.result;
+                    if (response.result !== Responses.StartGymBattleResponse.Result.SUCCESS) {
+                        battle.outcome.result = 'start-failed';
+                        return battle.outcome;
+                    }
+
+                    // The battle log sets the server clock and the last action the attacks refer to
+                    if (!response.battle_log) throw Error('Battle started without a battle log');
+
+                    battle.outcome.battle_id = response.battle_id;
+                    self.updateActive(battle, response.attacker && response.attacker.active_pokemon,
+                        response.defender && response.defender.active_pokemon);
+                    self.processLog(battle, response.battle_log);
+                    return self.fight(battle);
+                });
+        });
+    };
+
+    /*
+     * INTERNAL STUFF
+     */
+
+    this.options = Object.assign({}, defaultOptions, options || {});
+
+    const split = templates && templates.pokemon_settings ? templates : Utils.splitItemTemplates(templates);
+    this.stats = new PokemonStats(split);
+    this.battleSettings = Object.assign({}, DEFAULT_BATTLE_SETTINGS);
+    Object.keys(DEFAULT_BATTLE_SETTINGS).forEach(key => {
+        if (split.battle_settings && split.battle_settings[key]) {
+            self.battleSettings[key] = split.battle_settings[key];
+        }
+    });
+
+    /**
+     * Returns the defending Pokémon of a gym in battle order.
+     * @private
+     * @param {Object} gym - GetGymDetailsResponse or GymState message
+     * @return {Object[]} - PokemonData messages
+     */
+    this.getDefenders = function(gym) {
+        const gymState = gym.gym_state || gym;
+        return (gymState.memberships || []).map(membership => membership.pokemon_data);
+    };
+
+    /**
+     * Turns a list of attackers that may contain IDs into PokemonData messages.
+     * @private
+     * @param {Object[]} attackers - PokemonData messages or IDs
+     * @return {Object[]}
+     */
+    this.resolveAttackers = function(attackers) {
+        if (!attackers.length) throw Error('No attackers given');
+
+        return attackers.map(attacker => {
+            if (typeof attacker === 'object' && !Long.isLong(attacker)) return attacker;
+
+            const pokemon = self.options.inventory && self.options.inventory.getPokemonById(attacker);
+            if (!pokemon) throw Error(`Attacker ${Utils.idKey(attacker)} not found in inventory`);
+            return pokemon;
+        });
+    };
+
+    /**
+     * Returns the settings of the move a Pokémon uses next: the charged move if there is enough
+     * energy for it, the fast move otherwise.
+     * @private
+     * @param {Object} pokemon - PokemonData message
+     * @param {number} energy - Current energy
+     * @return {Object} - MoveSettings message
+     */
+    this.chooseMove = function(pokemon, energy) {
+        const charged = self.stats.getMoveSettings(pokemon.move_2),
+            fast = self.stats.getMoveSettings(pokemon.move_1);
+
+        if (!fast) throw Error(`No settings for move ${pokemon.move_1}`);
+        return charged && charged.energy_delta < 0 && energy >= -charged.energy_delta ? charged : fast;
+    };
+
+    /**
+     * Sends rounds of attacks until the battle ends.
+     * @private
+     * @param {Object} battle - Battle state
+     * @return {Promise} - A Promise that will be resolved with the outcome
+     */
+    this.fight = function(battle) {
+        const outcome = battle.outcome;
+
+        if (battle.state !== BattleState.ACTIVE) {
+            outcome.result = RESULTS[battle.state] || 'error';
+            outcome.duration_ms = Date.now() - battle.started;
+            return Promise.resolve(outcome);
+        }
+
+        if (outcome.rounds >= self.options.maxRounds) {
+            outcome.result = 'gave-up';
+            outcome.duration_ms = Date.now() - battle.started;
+            return Promise.resolve(outcome);
+        }
+
+        const round = self.planRound(battle);
+
+        return Promise.delay(Math.max(0, round.until - (Date.now() + battle.clockOffset)))
+            .then(() => client.attackGym(battle.gymID, outcome.battle_id, round.actions, battle.lastAction))
+            .then(response => {
+                outcome.rounds++;
+                outcome.status = response.result;
+                if (response.result !== Responses.AttackGymResponse.Result.SUCCESS) {
+                    outcome.result = 'error';
+                    outcome.duration_ms = Date.now() - battle.started;
+                    return outcome;
+                }
+
+                self.updateActive(battle, response.active_attacker, response.active_defender);
+                self.processLog(battle, response.battle_log);
+                return self.fight(battle);
+            });
+    };
+
+    /**
+     * Plans the attacker's actions for the next round, which lasts one attack server interval.
+     * Only actions that end within the round are included, the rest follow in the next round.
+     * @private
+     * @param {Object} battle - Battle state
+     * @return {Object} - Object with actions and until (server time at which the round ends)
+     */
+    this.planRound = function(battle) {
+        const settings = self.battleSettings,
+            now = Date.now() + battle.clockOffset,
+            until = now + settings.attack_server_interval * 1000,
+            actions = [];
+
+        if (!battle.attacker || !battle.attacker.pokemon_data) {
+            return {
+                actions: actions,
+                until: until
+            };
+        }
+
+        const pokemon = battle.attacker.pokemon_data,
+            targetID = battle.defender && battle.defender.pokemon_data ? battle.defender.pokemon_data.id : undefined;
+        var start = Math.max(battle.nextStart, now),
+            energy = battle.attacker.current_energy || 0;
+
+        // Damage windows that opened before the round are too late to dodge
+        battle.dodges = battle.dodges.filter(windowStart => windowStart > start);
+
+        for (;;) {
+            const move = self.chooseMove(pokemon, energy),
+                dodgeAt = battle.dodges.length ? battle.dodges[0] - settings.dodge_duration_ms : Infinity;
+
+            if (dodgeAt < start + move.duration_ms) {
+                // Dodge before the damage window of the defender's charged move opens
+                const dodgeStart = Math.max(start, dodgeAt);
+                if (dodgeStart + settings.dodge_duration_ms > until) break;
+
+                battle.dodges.shift();
+                actions.push({
+                    type: ActionType.ACTION_DODGE,
+                    action_start_ms: dodgeStart,
+                    duration_ms: settings.dodge_duration_ms,
+                    active_pokemon_id: pokemon.id,
+                    target_pokemon_id: targetID
+                });
+                start = dodgeStart + settings.dodge_duration_ms;
+                continue;
+            }
+
+            if (start + move.duration_ms > until) break;
+
+            actions.push({
+                type: move.energy_delta < 0 ? ActionType.ACTION_SPECIAL_ATTACK : ActionType.ACTION_ATTACK,
+                action_start_ms: start,
+                duration_ms: move.duration_ms,
+                energy_delta: move.energy_delta,
+                active_pokemon_id: pokemon.id,
+                target_pokemon_id: targetID,
+                damage_windows_start_timestamp_ms: start + (move.damage_window_start_ms || 0),
+                damage_windows_end_timestamp_ms: start + (move.damage_window_end_ms || move.duration_ms)
+            });
+            energy = Math.max(0, Math.min(settings.maximum_energy, energy + move.energy_delta));
+            start += move.duration_ms;
+        }
+
+        battle.nextStart = start;
+        return {
+            actions: actions,
+            until: until
+        };
+    };
+
+    /**
+     * Takes the active attacker and defender from a response, emitting events if they changed.
+     * @private
+     * @param {Object} battle - Battle state
+     * @param {Object} [attacker] - BattlePokemonInfo of the active attacker
+     * @param {Object} [defender] - BattlePokemonInfo of the active defender
+     */
+    this.updateActive = function(battle, attacker, defender) {
+        const pokemonID = info => (info && info.pokemon_data ? Utils.idKey(info.pokemon_data.id) : null);
+
+        if (attacker && attacker.pokemon_data) {
+            const changed = pokemonID(attacker) !== pokemonID(battle.attacker);
+            battle.attacker = attacker;
+            if (changed) {
+                battle.nextStart = 0;
+                self.emit('attacker-changed', attacker);
+            }
+        }
+
+        if (defender && defender.pokemon_data) {
+            const changed = pokemonID(defender) !== pokemonID(battle.defender);
+            battle.defender = defender;
+            if (changed) {
+                battle.dodges = [];
+                self.emit('defender-changed', defender);
+            }
+        }
+    };
+
+    /**
+     * Processes the new actions and the state of a battle log.
+     * @private
+     * @param {Object} battle - Battle state
+     * @param {Object} [log] - BattleLog message
+     */
+    this.processLog = function(battle, log) {
+        if (!log) return;
+
+        if (log.server_ms) battle.clockOffset = Utils.toNumber(log.server_ms) - Date.now();
+        battle.state = log.state;
+
+        (log.battle_actions || []).forEach(action => {
+            const byAttacker = battle.attackerIDs.indexOf(Utils.idKey(action.active_pokemon_id)) >= 0;
+
+            battle.lastAction = action;
+            self.emit('action', action);
+
+            switch (action.type) {
+                case ActionType.ACTION_SPECIAL_ATTACK:
+                    if (!byAttacker && self.options.dodge && action.damage_windows_start_timestamp_ms) {
+                        battle.dodges.push(Utils.toNumber(action.damage_windows_start_timestamp_ms));
+                        battle.dodges.sort((a, b) => a - b);
+                    }
+                    break;
+                case ActionType.ACTION_FAINT:
+                    if (byAttacker) {
+                        battle.outcome.attackers_fainted++;
+                        self.emit('attacker-fainted', action.active_pokemon_id);
+                    } else {
+                        battle.outcome.defenders_defeated++;
+                        self.emit('defender-defeated', action.active_pokemon_id);
+                    }
+                    break;
+                case ActionType.ACTION_VICTORY:
+                case ActionType.ACTION_DEFEAT:
+                case ActionType.ACTION_TIMED_OUT:
+                    if (action.battle_results) {
+                        const results = action.battle_results;
+                        battle.outcome.experience_awarded = [].concat(results.player_experience_awarded || [])
+                            .reduce((sum, xp) => sum + xp, 0);
+                        battle.outcome.gym_points_delta = results.gym_points_delta || 0;
+                    }
+                    break;
+                default:
+                    break;
+            }
+        });
+    };
+}
+
+GymBattle.prototype = Object.create(EventEmitter.prototype);
+
+module.exports = GymBattle;
@@ -0,0 +1,60 @@
+'use strict';
+
+const request = require('request'),
+    Promise = require('bluebird');
+
+/**
+ * Default RPC transport that sends request envelopes to the API via HTTPS.
+ * A transport is any object with a send() method that takes a request description and returns
+ * a Promise resolved with the response status code and body. Custom transports can be passed
+ * to the client using the transport option.
+ * @class HTTPTransport
+ * @memberof pogobuf
+ */
+function HTTPTransport() {
+    if (!(this instanceof HTTPTransport)) {
+        return new HTTPTransport();
+    }
+    const self = this;
+
+    self.request = request.defaults({
+        headers: {
+            'User-Agent': 'Niantic App',
+            'Accept': '*/*',
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        encoding: null
+    });
+
+    /**
+     * Sends an encoded request envelope and returns a Promise that will be resolved with an
+     * object containing the HTTP status code and the raw response body.
+     * @param {Object} req - Request description
+     * @param {string} req.url - RPC endpoint URL
+     * @param {Buffer} req.body - Encoded request envelope
+     * @param {string} [req.proxy] - Proxy address to use
+     * @return {Promise}
+     */
+    this.send = function(req) {
+        return new Promise((resolve, reject) => {
+            self.request({
+                method: 'POST',
+                url: req.url,
+                proxy: req.proxy,
+                body: req.body
+            }, (err, response, body) => {
+                if (err) {
+                    reject(Error(err));
+                    return;
+                }
+
+                resolve({
+                    statusCode: response.statusCode,
+                    body: body
+                });
+            });
+        });
+    };
+}
+
+module.exports = HTTPTransport;
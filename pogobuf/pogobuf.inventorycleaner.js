@@ -0,0 +1,254 @@
+'use strict';
+
+const POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird'),
+    Utils = require('./pogobuf.utils.js');
+
+const ReleaseResult = POGOProtos.Networking.Responses.ReleasePokemonResponse.Result,
+    RecycleResult = POGOProtos.Networking.Responses.RecycleInventoryItemResponse.Result;
+
+const defaultPolicy = {
+    itemCaps: {},
+    keepPerSpecies: null,
+    rankBy: 'iv',
+    species: {},
+    keepMinIV: null,
+    keepMinCP: null,
+    protectFavorites: true,
+    protectBuddy: true,
+    protectDeployed: true,
+    protectShiny: true,
+    protectIDs: [],
+    releaseBatchSize: 20,
+    delay: 500
+};
+
+/**
+ * Decides which items to recycle and which Pokémon to release according to a declarative policy,
+ * and carries out the resulting plan. Plans can be computed without executing them to see what
+ * would be thrown away.
+ * @class InventoryCleaner
+ * @param {Client} client - pogobuf Client instance
+ * @param {Object} [policy] - Cleanup policy
+ * @param {Object} [policy.itemCaps] - Maximum count to keep for each ItemId
+ * @param {number|null} [policy.keepPerSpecies] - Number of Pokémon to keep of each species, or
+ *     null to release none
+ * @param {string|function} [policy.rankBy=iv] - iv, cp, or a function that returns a score for
+ *     a Pokémon, to decide which Pokémon of a species to keep
+ * @param {Object} [policy.species] - keep and rankBy overrides for each PokemonId
+ * @param {number|null} [policy.keepMinIV] - Keep Pokémon with at least this IV percentage
+ * @param {number|null} [policy.keepMinCP] - Keep Pokémon with at least this CP
+ * @param {boolean} [policy.protectFavorites=true] - Keep favorite Pokémon
+ * @param {boolean} [policy.protectBuddy=true] - Keep the buddy
+ * @param {boolean} [policy.protectDeployed=true] - Keep Pokémon deployed to gyms
+ * @param {boolean} [policy.protectShiny=true] - Keep shiny Pokémon
+ * @param {Array} [policy.protectIDs] - IDs of Pokémon to keep
+ * @param {number} [policy.releaseBatchSize=20] - Number of Pokémon released per request
+ * @param {number} [policy.delay=500] - Time in milliseconds between requests
+ * @memberof pogobuf
+ */
+function InventoryCleaner(client, policy) {
+    if (!(this instanceof InventoryCleaner)) {
+        return new InventoryCleaner(client, policy);
+    }
+    const self = this;
+
+    /*
+     * PUBLIC METHODS
+     */
+
+    /**
+     * Computes what the policy would throw away without changing anything.
+     * @param {InventoryState|Object} inventory - InventoryState, getInventory() response or
+     *     splitInventory() result
+     * @param {Object} [playerData] - PlayerData message, required to protect the buddy when
+     *     Pokémon are to be released
+     * @return {Object} - Plan with an items array of objects with item_id, count (to recycle),
+     *     current and cap, and a pokemon array of objects with id, pokemon_id, cp, iv and rank
+     */
+    this.plan = function(inventory, playerData) {
+        const contents = self.readInventory(inventory);
+
+        const items = contents.items
+            .filter(item => item.item_id in self.policy.itemCaps)
+            .map(item => ({
+                item_id: item.item_id,
+                count: Math.max(0, (item.count || 0) - self.policy.itemCaps[item.item_id]),
+                current: item.count || 0,
+                cap: self.policy.itemCaps[item.item_id]
+            }))
+            .filter(item => item.count > 0);
+
+        const buddyID = playerData && playerData.buddy_pokemon && playerData.buddy_pokemon.id,
+            protectedIDs = self.policy.protectIDs.map(Utils.idKey);
+        if (buddyID && self.policy.protectBuddy) protectedIDs.push(Utils.idKey(buddyID));
+
+        const species = {};
+        contents.pokemon.forEach(pokemon => {
+            if (!species[pokemon.pokemon_id]) species[pokemon.pokemon_id] = [];
+            species[pokemon.pokemon_id].push(pokemon);
+        });
+
+        const pokemon = [];
+        Object.keys(species).forEach(pokemonID => {
+            const rules = Object.assign({
+                keep: self.policy.keepPerSpecies,
+                rankBy: self.policy.rankBy
+            }, self.policy.species[pokemonID] || {});
+
+            if (rules.keep === null || typeof rules.keep === 'undefined') return;
+
+            species[pokemonID]
+                .map(candidate => ({
+                    pokemon: candidate,
+                    score: self.getScore(candidate, rules.rankBy)
+                }))
+                .sort((a, b) => b.score - a.score || (b.pokemon.cp || 0) - (a.pokemon.cp || 0))
+                .forEach((ranked, index) => {
+                    if (index < rules.keep || self.isProtected(ranked.pokemon, protectedIDs)) return;
+                    if (self.policy.protectBuddy && !playerData) {
+                        throw Error('playerData is required to protect the buddy');
+                    }
+                    pokemon.push({
+                        id: ranked.pokemon.id,
+                        pokemon_id: ranked.pokemon.pokemon_id,
+                        cp: ranked.pokemon.cp,
+                        iv: Utils.getIVsFromPokemon(ranked.pokemon).percent,
+                        rank: index + 1
+                    });
+                });
+        });
+
+        return {
+            items: items,
+            pokemon: pokemon
+        };
+    };
+
+    /**
+     * Carries out a plan: recycles items one type at a time and releases Pokémon in batches.
+     * Failed steps are reported and do not stop the remaining ones. Cannot be used in batch mode.
+     * @param {Object} plan - Plan as returned by {@link #plan}
+     * @return {Promise} - A Promise that will be resolved with an object with items and pokemon
+     *     arrays holding a result for each planned entry, and the total candy awarded
+     */
+    this.execute = function(plan) {
+        if (client.batchRequests) return Promise.reject(Error('Can not clean inventory in batch mode'));
+
+        const report = {
+            items: [],
+            pokemon: [],
+            candy: 0
+        };
+
+        const batches = [];
+        for (var i = 0; i < plan.pokemon.length; i += self.policy.releaseBatchSize) {
+            batches.push(plan.pokemon.slice(i, i + self.policy.releaseBatchSize));
+        }
+
+        const steps = plan.items.map(item => () => client.recycleInventoryItem(item.item_id, item.count)
+            .then(response => ({
+                success: response.result === RecycleResult.SUCCESS,
+                result: response.result
+            }), err => ({
+                success: false,
+                error: err
+            }))
+            .then(result => report.items.push(Object.assign({
+                item_id: item.item_id,
+                count: item.count
+            }, result)))
+        ).concat(batches.map(batch => () => client.releasePokemon(batch.map(pokemon => pokemon.id))
+            .then(response => {
+                report.candy += response.candy_awarded || 0;
+                return {
+                    success: response.result === ReleaseResult.SUCCESS,
+                    result: response.result
+                };
+            }, err => ({
+                success: false,
+                error: err
+            }))
+            .then(result => batch.forEach(pokemon => report.pokemon.push(Object.assign({
+                id: pokemon.id,
+                pokemon_id: pokemon.pokemon_id
+            }, result))))
+        ));
+
+        return Promise.each(steps, (step, index) => (index > 0 ? Promise.delay(self.policy.delay) : Promise.resolve())
+            .then(step))
+            .then(() => report);
+    };
+
+    /**
+     * Computes a plan and executes it.
+     * @param {InventoryState|Object} inventory - InventoryState, getInventory() response or
+     *     splitInventory() result
+     * @param {Object} [playerData] - PlayerData message, required to protect the buddy when
+     *     Pokémon are to be released
+     * @return {Promise} - A Promise that will be resolved with the report of {@link #execute}
+     */
+    this.clean = function(inventory, playerData) {
+        return Promise.try(() => self.plan(inventory, playerData)).then(self.execute);
+    };
+
+    /*
+     * INTERNAL STUFF
+     */
+
+    this.policy = Object.assign({}, defaultPolicy, policy || {});
+
+    /**
+     * Returns the items and Pokémon (without eggs) of an inventory in any of the supported forms.
+     * @private
+     * @param {InventoryState|Object} inventory
+     * @return {Object} - Object with items and pokemon arrays
+     */
+    this.readInventory = function(inventory) {
+        if (inventory && typeof inventory.getPokemon === 'function') {
+            return {
+                items: inventory.getItems(),
+                pokemon: inventory.getPokemon()
+            };
+        }
+
+        const split = inventory && inventory.inventory_delta ? Utils.splitInventory(inventory) : inventory || {};
+        return {
+            items: split.items || [],
+            pokemon: (split.pokemon || []).filter(pokemon => !pokemon.is_egg)
+        };
+    };
+
+    /**
+     * Returns the score a Pokémon is ranked by within its species.
+     * @private
+     * @param {Object} pokemon - PokemonData message
+     * @param {string|function} rankBy - iv, cp, or a function that returns a score for a Pokémon
+     * @return {number}
+     */
+    this.getScore = function(pokemon, rankBy) {
+        if (typeof rankBy === 'function') return rankBy(pokemon);
+        if (rankBy === 'cp') return pokemon.cp || 0;
+        if (rankBy === 'iv') return Utils.getIVsFromPokemon(pokemon).percent;
+        throw Error(`Unknown ranking ${rankBy}`);
+    };
+
+    /**
+     * Checks whether a Pokémon must be kept regardless of its rank.
+     * @private
+     * @param {Object} pokemon - PokemonData message
+     * @param {string[]} protectedIDs - IDs of Pokémon that must be kept
+     * @return {boolean}
+     */
+    this.isProtected = function(pokemon, protectedIDs) {
+        const p = self.policy;
+        return (p.protectFavorites && !!pokemon.favorite) ||
+            (p.protectDeployed && !!pokemon.deployed_fort_id) ||
+            (p.protectShiny && !!(pokemon.pokemon_display && pokemon.pokemon_display.shiny)) ||
+            (p.keepMinIV !== null && Utils.getIVsFromPokemon(pokemon).percent >= p.keepMinIV) ||
+            (p.keepMinCP !== null && (pokemon.cp || 0) >= p.keepMinCP) ||
+            protectedIDs.indexOf(Utils.idKey(pokemon.id)) >= 0;
+    };
+}
+
+module.exports = InventoryCleaner;
@@ -0,0 +1,381 @@
+'use strict';
+
+const EventEmitter = require('events').EventEmitter,
+    Long = require('long'),
+    Utils = require('./pogobuf.utils.js');
+
+/**
+ * Returns true if the first timestamp is later than the second.
+ * @private
+ * @param {number|string|Long} a
+ * @param {number|string|Long} b
+ * @return {boolean}
+ */
+function isNewer(a, b) {
+    return Long.fromValue(a).greaterThan(Long.fromValue(b));
+}
+
+/**
+ * Keeps track of a player's inventory by applying successive getInventory() responses. Pass
+ * responses to {@link #apply}, or attach the state to a client that sends the standard request
+ * bundle to keep it updated automatically. Use {@link #getLastTimestamp} as the timestamp for
+ * the next getInventory() call to only receive changes.
+ * @class InventoryState
+ * @param {Client} [client] - pogobuf Client instance to attach to
+ * @memberof pogobuf
+ */
+function InventoryState(client) {
+    if (!(this instanceof InventoryState)) {
+        return new InventoryState(client);
+    }
+    const self = this;
+
+    /*
+     * PUBLIC METHODS
+     */
+
+    /**
+     * Applies a getInventory() response to the current state, emitting events for everything
+     * that changed. A response without an original timestamp holds the full inventory and
+     * replaces the Pokémon, items, candies and Pokédex entries, so anything missing from it is
+     * removed.
+     * @param {Object} response - API response message as returned by getInventory()
+     * @return {boolean} - Whether anything changed
+     */
+    this.apply = function(response) {
+        if (!response || !response.success || !response.inventory_delta) return false;
+
+        const delta = response.inventory_delta;
+        var changed = false;
+
+        if (!delta.original_timestamp_ms || Long.fromValue(delta.original_timestamp_ms).isZero()) {
+            changed = self.removeMissing(delta.inventory_items || []);
+        }
+
+        (delta.inventory_items || []).forEach(item => {
+            if (item.deleted_item && item.deleted_item.pokemon_id) {
+                changed = self.removePokemon(item.deleted_item.pokemon_id) || changed;
+            }
+
+            const data = item.inventory_item_data;
+            if (!data) return;
+
+            if (data.pokemon_data) {
+                self.updatePokemon(data.pokemon_data);
+                changed = true;
+            }
+            if (data.item) {
+                changed = self.updateItem(data.item) || changed;
+            }
+            if (data.candy) {
+                changed = self.updateCandy(data.candy) || changed;
+            }
+            if (data.pokedex_entry) {
+                self.pokedex[data.pokedex_entry.pokemon_id] = data.pokedex_entry;
+                self.emit('pokedex-changed', data.pokedex_entry);
+                changed = true;
+            }
+            if (data.player_stats) {
+                const previous = self.player;
+                self.player = data.player_stats;
+                self.emit('player-changed', data.player_stats, previous);
+                changed = true;
+            }
+            if (data.egg_incubators) {
+                self.incubators = data.egg_incubators.egg_incubator || [];
+                self.emit('incubators-changed', self.incubators);
+                changed = true;
+            }
+        });
+
+        if (delta.new_timestamp_ms && isNewer(delta.new_timestamp_ms, self.lastTimestamp)) {
+            self.lastTimestamp = delta.new_timestamp_ms;
+        }
+
+        if (changed) self.emit('change', self);
+
+        return changed;
+    };
+
+    /**
+     * Starts applying the inventory updates received by a client through its standard request
+     * bundle (see the includeStandardRequests option).
+     * @param {Client} newClient - pogobuf Client instance
+     * @return {InventoryState} this
+     */
+    this.attach = function(newClient) {
+        self.detach();
+        self.client = newClient;
+        newClient.on('inventory', self.apply);
+        return self;
+    };
+
+    /**
+     * Stops applying inventory updates from the attached client.
+     */
+    this.detach = function() {
+        if (!self.client) return;
+        self.client.removeListener('inventory', self.apply);
+        self.client = null;
+    };
+
+    /**
+     * Clears the state, so that the next getInventory() call should request the full inventory.
+     */
+    this.reset = function() {
+        self.pokemon = {};
+        self.eggs = {};
+        self.items = {};
+        self.candies = {};
+        self.pokedex = {};
+        self.incubators = [];
+        self.player = null;
+        self.lastTimestamp = 0;
+    };
+
+    /**
+     * Returns the timestamp of the most recently applied inventory data, to be passed to the next
+     * getInventory() call.
+     * @return {number|string|Long}
+     */
+    this.getLastTimestamp = function() {
+        return self.lastTimestamp;
+    };
+
+    /**
+     * Returns all Pokémon in the inventory, not including eggs.
+     * @return {Object[]} - Array of PokemonData
+     */
+    this.getPokemon = function() {
+        return Object.keys(self.pokemon).map(id => self.pokemon[id]);
+    };
+
+    /**
+     * Returns the Pokémon or egg with the given ID.
+     * @param {number|string|Long} pokemonID - Pokémon ID
+     * @return {Object|null} - PokemonData, or null if not in the inventory
+     */
+    this.getPokemonById = function(pokemonID) {
+        const key = Utils.idKey(pokemonID);
+        return self.pokemon[key] || self.eggs[key] || null;
+    };
+
+    /**
+     * Returns all eggs in the inventory.
+     * @return {Object[]} - Array of PokemonData
+     */
+    this.getEggs = function() {
+        return Object.keys(self.eggs).map(id => self.eggs[id]);
+    };
+
+    /**
+     * Returns all items in the inventory.
+     * @return {Object[]} - Array of ItemData
+     */
+    this.getItems = function() {
+        return Object.keys(self.items).map(id => self.items[id]);
+    };
+
+    /**
+     * Returns how many of an item the player has.
+     * @param {number} itemID - ItemId
+     * @return {number}
+     */
+    this.getItemCount = function(itemID) {
+        return self.items[itemID] ? self.items[itemID].count : 0;
+    };
+
+    /**
+     * Returns the candies of all Pokémon families.
+     * @return {Object[]} - Array of Candy
+     */
+    this.getCandies = function() {
+        return Object.keys(self.candies).map(id => self.candies[id]);
+    };
+
+    /**
+     * Returns how many candies the player has for a Pokémon family.
+     * @param {number} familyID - PokemonFamilyId
+     * @return {number}
+     */
+    this.getCandy = function(familyID) {
+        return self.candies[familyID] ? self.candies[familyID].candy : 0;
+    };
+
+    /**
+     * Returns the player's egg incubators.
+     * @return {Object[]} - Array of EggIncubator
+     */
+    this.getIncubators = function() {
+        return self.incubators;
+    };
+
+    /**
+     * Returns the player's stats.
+     * @return {Object|null} - PlayerStats
+     */
+    this.getPlayer = function() {
+        return self.player;
+    };
+
+    /**
+     * Returns the player's Pokédex entries.
+     * @return {Object[]} - Array of PokedexEntry
+     */
+    this.getPokedex = function() {
+        return Object.keys(self.pokedex).map(id => self.pokedex[id]);
+    };
+
+    /*
+     * INTERNAL STUFF
+     */
+
+    this.client = null;
+    this.reset();
+
+    /**
+     * Adds or updates a Pokémon or egg.
+     * @private
+     * @param {Object} pokemon - PokemonData
+     */
+    this.updatePokemon = function(pokemon) {
+        const key = Utils.idKey(pokemon.id),
+            collection = pokemon.is_egg ? self.eggs : self.pokemon,
+            previous = collection[key];
+
+        collection[key] = pokemon;
+
+        if (pokemon.is_egg) {
+            if (!previous) self.emit('egg-added', pokemon);
+        } else if (previous) {
+            self.emit('pokemon-updated', pokemon, previous);
+        } else {
+            self.emit('pokemon-added', pokemon);
+        }
+    };
+
+    /**
+     * Removes a Pokémon or egg.
+     * @private
+     * @param {number|string|Long} pokemonID - Pokémon ID
+     * @return {boolean} - Whether the Pokémon was in the inventory
+     */
+    this.removePokemon = function(pokemonID) {
+        const key = Utils.idKey(pokemonID);
+
+        if (self.pokemon[key]) {
+            const pokemon = self.pokemon[key];
+            delete self.pokemon[key];
+            self.emit('pokemon-removed', pokemon);
+            return true;
+        }
+
+        if (self.eggs[key]) {
+            const egg = self.eggs[key];
+            delete self.eggs[key];
+            self.emit('egg-removed', egg);
+            return true;
+        }
+
+        return false;
+    };
+
+    /**
+     * Removes the Pokémon, eggs, items, candies and Pokédex entries that are not part of a full
+     * inventory.
+     * @private
+     * @param {Object[]} inventoryItems - InventoryItem messages of the full inventory
+     * @return {boolean} - Whether anything was removed
+     */
+    this.removeMissing = function(inventoryItems) {
+        const present = {
+            pokemon: {},
+            items: {},
+            candies: {},
+            pokedex: {}
+        };
+
+        inventoryItems.forEach(item => {
+            const data = item.inventory_item_data;
+            if (!data) return;
+            if (data.pokemon_data) present.pokemon[Utils.idKey(data.pokemon_data.id)] = true;
+            if (data.item) present.items[data.item.item_id] = true;
+            if (data.candy) present.candies[data.candy.family_id] = true;
+            if (data.pokedex_entry) present.pokedex[data.pokedex_entry.pokemon_id] = true;
+        });
+
+        var changed = false;
+
+        Object.keys(self.pokemon).concat(Object.keys(self.eggs))
+            .filter(key => !present.pokemon[key])
+            .forEach(key => {
+                changed = self.removePokemon(key) || changed;
+            });
+
+        Object.keys(self.items)
+            .filter(itemID => !present.items[itemID])
+            .forEach(itemID => {
+                changed = self.updateItem({ item_id: Number(itemID), count: 0 }) || changed;
+            });
+
+        Object.keys(self.candies)
+            .filter(familyID => !present.candies[familyID])
+            .forEach(familyID => {
+                changed = self.updateCandy({ family_id: Number(familyID), candy: 0 }) || changed;
+                delete self.candies[familyID];
+            });
+
+        Object.keys(self.pokedex)
+            .filter(pokemonID => !present.pokedex[pokemonID])
+            .forEach(pokemonID => {
+                delete self.pokedex[pokemonID];
+                changed = true;
+            });
+
+        return changed;
+    };
+
+    /**
+     * Updates the count of an item.
+     * @private
+     * @param {Object} item - ItemData
+     * @return {boolean} - Whether the count changed
+     */
+    this.updateItem = function(item) {
+        const previousCount = self.getItemCount(item.item_id),
+            count = item.count || 0;
+
+        if (count > 0) {
+            self.items[item.item_id] = item;
+        } else {
+            delete self.items[item.item_id];
+        }
+
+        if (count === previousCount) return false;
+        self.emit('item-changed', item.item_id, count, previousCount);
+        return true;
+    };
+
+    /**
+     * Updates the candies of a Pokémon family.
+     * @private
+     * @param {Object} candy - Candy
+     * @return {boolean} - Whether the candy count changed
+     */
+    this.updateCandy = function(candy) {
+        const previousCount = self.getCandy(candy.family_id),
+            count = candy.candy || 0;
+
+        self.candies[candy.family_id] = candy;
+
+        if (count === previousCount) return false;
+        self.emit('candy-changed', candy.family_id, count, previousCount);
+        return true;
+    };
+
+    if (client) this.attach(client);
+}
+
+InventoryState.prototype = Object.create(EventEmitter.prototype);
+
+module.exports = InventoryState;
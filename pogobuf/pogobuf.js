@@ -6,10 +6,39 @@
  * @namespace
  * @see {@link https://github.com/cyraxx/pogobuf|GitHub repository}
  */
+const errors = require('./pogobuf.errors.js');
+
 module.exports = {
     /* eslint-disable global-require */
     Client: require('./pogobuf.client.js'),
+    AccountPool: require('./pogobuf.accountpool.js'),
+    InventoryState: require('./pogobuf.inventorystate.js'),
+    InventoryCleaner: require('./pogobuf.inventorycleaner.js'),
+    MapCache: require('./pogobuf.mapcache.js'),
+    ScanPlanner: require('./pogobuf.scanplanner.js'),
+    Walker: require('./pogobuf.walker.js'),
+    Catcher: require('./pogobuf.catcher.js'),
+    FortSpinner: require('./pogobuf.fortspinner.js'),
+    PokemonStats: require('./pogobuf.pokemonstats.js'),
+    EvolutionPlanner: require('./pogobuf.evolutionplanner.js'),
+    EggManager: require('./pogobuf.eggmanager.js'),
+    BuddyTracker: require('./pogobuf.buddytracker.js'),
+    GymBattle: require('./pogobuf.gymbattle.js'),
     PTCLogin: require('./pogobuf.ptclogin.js'),
     GoogleLogin: require('./pogobuf.googlelogin.js'),
-    Utils: require('./pogobuf.utils.js')
+    HTTPTransport: require('./pogobuf.httptransport.js'),
+    MockServer: require('./pogobuf.mockserver.js'),
+    Recorder: require('./pogobuf.recorder.js'),
+    ReplayTransport: require('./pogobuf.replaytransport.js'),
+    Utils: require('./pogobuf.utils.js'),
+    PogobufError: errors.PogobufError,
+    RpcStatusError: errors.RpcStatusError,
+    ThrottledError: errors.ThrottledError,
+    AuthError: errors.AuthError,
+    HttpStatusError: errors.HttpStatusError,
+    EnvelopeParseError: errors.EnvelopeParseError,
+    HashingServerError: errors.HashingServerError,
+    ChallengeError: errors.ChallengeError,
+    CooldownError: errors.CooldownError,
+    FortSearchError: errors.FortSearchError
 };
\ No newline at end of file
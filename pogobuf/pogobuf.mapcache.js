@@ -0,0 +1,305 @@
+'use strict';
+
+const POGOProtos = require('node-pogo-protos'),
+    Utils = require('./pogobuf.utils.js');
+
+const FortType = POGOProtos.Map.Fort.FortType;
+
+const defaultOptions = {
+    defaultPokemonLifetime: 15 * 60 * 1000,
+    nearbyPokemonLifetime: 5 * 60 * 1000
+};
+
+/**
+ * Stores the objects returned by getMapObjects() per S2 cell. Keeps track of the timestamp of
+ * each cell so that only changes need to be requested, merges partial responses into the
+ * existing data and drops Pokémon once they have despawned.
+ * @class MapCache
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.defaultPokemonLifetime=900000] - Time in milliseconds a Pokémon is
+ *     kept when the server does not say when it despawns
+ * @param {number} [options.nearbyPokemonLifetime=300000] - Time in milliseconds nearby Pokémon
+ *     are kept
+ * @memberof pogobuf
+ */
+function MapCache(options) {
+    if (!(this instanceof MapCache)) {
+        return new MapCache(options);
+    }
+    const self = this;
+
+    /*
+     * PUBLIC METHODS
+     */
+
+    /**
+     * Returns the since timestamps to pass to getMapObjects() along with the given cell IDs.
+     * Cells that have not been retrieved before get a timestamp of 0.
+     * @param {string[]|number[]|Long[]} cellIDs - S2 cell IDs
+     * @return {number[]}
+     */
+    this.getSinceTimestamps = function(cellIDs) {
+        return cellIDs.map(cellID => {
+            const cell = self.cells[Utils.idKey(cellID)];
+            return cell ? cell.timestamp : 0;
+        });
+    };
+
+    /**
+     * Retrieves the given cells with a client, requesting only changes for known cells, and
+     * applies the response to the cache.
+     * @param {Client} client - pogobuf Client instance
+     * @param {string[]|number[]|Long[]} cellIDs - S2 cell IDs
+     * @return {Promise} - A Promise that will be resolved with the getMapObjects() response
+     */
+    this.refresh = function(client, cellIDs) {
+        return client.getMapObjects(cellIDs, self.getSinceTimestamps(cellIDs))
+            .then(response => {
+                self.apply(response);
+                return response;
+            });
+    };
+
+    /**
+     * Merges a getMapObjects() response into the cache.
+     * @param {Object} response - API response message as returned by getMapObjects()
+     */
+    this.apply = function(response) {
+        if (!response || !response.map_cells) return;
+
+        const now = new Date().getTime();
+
+        response.map_cells.forEach(mapCell => {
+            const key = Utils.idKey(mapCell.s2_cell_id);
+            if (!self.cells[key]) {
+                self.cells[key] = {
+                    id: mapCell.s2_cell_id,
+                    timestamp: 0,
+                    forts: {},
+                    wildPokemon: {},
+                    catchablePokemon: {},
+                    nearbyPokemon: [],
+                    spawnPoints: {}
+                };
+            }
+            const cell = self.cells[key];
+
+            (mapCell.deleted_objects || []).forEach(id => {
+                delete cell.forts[id];
+            });
+
+            (mapCell.forts || []).forEach(fort => {
+                cell.forts[fort.id] = fort;
+            });
+
+            (mapCell.wild_pokemons || []).forEach(pokemon => {
+                cell.wildPokemon[Utils.idKey(pokemon.encounter_id)] = {
+                    data: pokemon,
+                    expires: self.getWildPokemonExpiry(pokemon, now)
+                };
+            });
+
+            (mapCell.catchable_pokemons || []).forEach(pokemon => {
+                const expiration = Utils.toNumber(pokemon.expiration_timestamp_ms);
+                cell.catchablePokemon[Utils.idKey(pokemon.encounter_id)] = {
+                    data: pokemon,
+                    expires: expiration > 0 ? expiration : now + self.options.defaultPokemonLifetime
+                };
+            });
+
+            // Nearby Pokémon are relative to the player's position, so only the latest list counts
+            cell.nearbyPokemon = (mapCell.nearby_pokemons || []).map(pokemon => ({
+                data: pokemon,
+                expires: now + self.options.nearbyPokemonLifetime
+            }));
+
+            (mapCell.spawn_points || []).forEach(spawnPoint => {
+                cell.spawnPoints[`${spawnPoint.latitude},${spawnPoint.longitude}`] = spawnPoint;
+            });
+
+            if (mapCell.current_timestamp_ms) cell.timestamp = Utils.toNumber(mapCell.current_timestamp_ms);
+        });
+
+        self.expire();
+    };
+
+    /**
+     * Drops all Pokémon that have despawned.
+     * @param {number} [now] - Current timestamp in milliseconds
+     */
+    this.expire = function(now) {
+        if (!now) now = new Date().getTime();
+
+        Object.keys(self.cells).forEach(key => {
+            const cell = self.cells[key];
+            [cell.wildPokemon, cell.catchablePokemon].forEach(collection => {
+                Object.keys(collection).forEach(encounterID => {
+                    if (collection[encounterID].expires <= now) delete collection[encounterID];
+                });
+            });
+            cell.nearbyPokemon = cell.nearbyPokemon.filter(pokemon => pokemon.expires > now);
+        });
+    };
+
+    /**
+     * Removes all cached data.
+     */
+    this.clear = function() {
+        self.cells = {};
+    };
+
+    /**
+     * Returns the fort with the given ID.
+     * @param {string} fortID - Fort ID
+     * @return {Object|null} - FortData, or null if not in the cache
+     */
+    this.getFort = function(fortID) {
+        for (var key of Object.keys(self.cells)) {
+            if (self.cells[key].forts[fortID]) return self.cells[key].forts[fortID];
+        }
+        return null;
+    };
+
+    /**
+     * Returns all forts, optionally only those within a radius around a location.
+     * @param {number} [lat] - Latitude of the center
+     * @param {number} [lng] - Longitude of the center
+     * @param {number} [radius] - Radius in meters
+     * @return {Object[]} - Array of FortData
+     */
+    this.getForts = function(lat, lng, radius) {
+        return self.collect(cell => cell.forts, lat, lng, radius);
+    };
+
+    /**
+     * Returns all gyms, optionally only those within a radius around a location.
+     * @param {number} [lat] - Latitude of the center
+     * @param {number} [lng] - Longitude of the center
+     * @param {number} [radius] - Radius in meters
+     * @return {Object[]} - Array of FortData
+     */
+    this.getGyms = function(lat, lng, radius) {
+        return self.getForts(lat, lng, radius).filter(fort => fort.type === FortType.GYM);
+    };
+
+    /**
+     * Returns all PokéStops, optionally only those within a radius around a location.
+     * @param {number} [lat] - Latitude of the center
+     * @param {number} [lng] - Longitude of the center
+     * @param {number} [radius] - Radius in meters
+     * @return {Object[]} - Array of FortData
+     */
+    this.getPokestops = function(lat, lng, radius) {
+        return self.getForts(lat, lng, radius).filter(fort => fort.type === FortType.CHECKPOINT);
+    };
+
+    /**
+     * Returns all wild Pokémon that have not despawned, optionally only those within a radius
+     * around a location.
+     * @param {number} [lat] - Latitude of the center
+     * @param {number} [lng] - Longitude of the center
+     * @param {number} [radius] - Radius in meters
+     * @return {Object[]} - Array of WildPokemon
+     */
+    this.getWildPokemon = function(lat, lng, radius) {
+        self.expire();
+        return self.collect(cell => self.unwrap(cell.wildPokemon), lat, lng, radius);
+    };
+
+    /**
+     * Returns all catchable Pokémon that have not despawned, optionally only those within a
+     * radius around a location.
+     * @param {number} [lat] - Latitude of the center
+     * @param {number} [lng] - Longitude of the center
+     * @param {number} [radius] - Radius in meters
+     * @return {Object[]} - Array of MapPokemon
+     */
+    this.getCatchablePokemon = function(lat, lng, radius) {
+        self.expire();
+        return self.collect(cell => self.unwrap(cell.catchablePokemon), lat, lng, radius);
+    };
+
+    /**
+     * Returns the Pokémon from the most recent nearby lists of all cells.
+     * @return {Object[]} - Array of NearbyPokemon
+     */
+    this.getNearbyPokemon = function() {
+        self.expire();
+        return self.collect(cell => cell.nearbyPokemon.map(pokemon => pokemon.data));
+    };
+
+    /**
+     * Returns all known spawn points, optionally only those within a radius around a location.
+     * @param {number} [lat] - Latitude of the center
+     * @param {number} [lng] - Longitude of the center
+     * @param {number} [radius] - Radius in meters
+     * @return {Object[]} - Array of SpawnPoint
+     */
+    this.getSpawnPoints = function(lat, lng, radius) {
+        return self.collect(cell => cell.spawnPoints, lat, lng, radius);
+    };
+
+    /*
+     * INTERNAL STUFF
+     */
+
+    this.options = Object.assign({}, defaultOptions, options || {});
+    this.cells = {};
+
+    /**
+     * Determines when a wild Pokémon despawns. The time until hidden is only valid if it is
+     * positive and at most one hour.
+     * @private
+     * @param {Object} pokemon - WildPokemon
+     * @param {number} now - Current timestamp in milliseconds
+     * @return {number} - Despawn timestamp in milliseconds
+     */
+    this.getWildPokemonExpiry = function(pokemon, now) {
+        const lastModified = Utils.toNumber(pokemon.last_modified_timestamp_ms) || now,
+            timeTillHidden = pokemon.time_till_hidden_ms;
+
+        if (timeTillHidden > 0 && timeTillHidden <= 60 * 60 * 1000) {
+            return lastModified + timeTillHidden;
+        }
+
+        return lastModified + self.options.defaultPokemonLifetime;
+    };
+
+    /**
+     * Returns the data of a collection of cached Pokémon.
+     * @private
+     * @param {Object} collection - Cached Pokémon by encounter ID
+     * @return {Object[]}
+     */
+    this.unwrap = function(collection) {
+        return Object.keys(collection).map(encounterID => collection[encounterID].data);
+    };
+
+    /**
+     * Collects objects from all cells, optionally only those within a radius around a location.
+     * @private
+     * @param {function} getObjects - Function that returns the objects of a cell as an array or
+     *     an object
+     * @param {number} [lat] - Latitude of the center
+     * @param {number} [lng] - Longitude of the center
+     * @param {number} [radius] - Radius in meters
+     * @return {Object[]}
+     */
+    this.collect = function(getObjects, lat, lng, radius) {
+        var objects = [];
+
+        Object.keys(self.cells).forEach(key => {
+            const cellObjects = getObjects(self.cells[key]);
+            objects = objects.concat(Array.isArray(cellObjects) ? cellObjects
+                : Object.keys(cellObjects).map(k => cellObjects[k]));
+        });
+
+        if (typeof lat === 'undefined' || typeof lng === 'undefined' || typeof radius === 'undefined') {
+            return objects;
+        }
+
+        return objects.filter(o => Utils.getDistance(lat, lng, o.latitude, o.longitude) <= radius);
+    };
+}
+
+module.exports = MapCache;
@@ -0,0 +1,274 @@
+'use strict';
+
+const EventEmitter = require('events').EventEmitter,
+    crypto = require('crypto'),
+    POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird');
+
+const RequestType = POGOProtos.Networking.Requests.RequestType,
+    PlatformRequestType = POGOProtos.Networking.Platform.PlatformRequestType,
+    PlatformResponses = POGOProtos.Networking.Platform.Responses,
+    RequestMessages = POGOProtos.Networking.Requests.Messages,
+    Responses = POGOProtos.Networking.Responses,
+    Envelopes = POGOProtos.Networking.Envelopes;
+
+const defaultOptions = {
+    apiUrl: 'pgorelease.mock/plfe/1',
+    authTicketLifetime: 30 * 60 * 1000,
+    validateToken: null,
+    ptr8: '90f6a704505bccac73cec99b07794993e6fd5a12'
+};
+
+/**
+ * Converts a RequestType enum key (like GET_MAP_OBJECTS) into the name prefix of the
+ * matching request and response messages (like GetMapObjects).
+ * @private
+ * @param {number} requestType
+ * @return {string}
+ */
+function getMessageName(requestType) {
+    for (var key of Object.keys(RequestType)) {
+        if (RequestType[key] === requestType) {
+            return key.toLowerCase().split('_')
+                .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+                .join('');
+        }
+    }
+    return null;
+}
+
+/**
+ * Local stand-in for the Pokémon Go RPC server. Decodes request envelopes, passes each request
+ * to the handler registered for its type and returns an encoded response envelope. Implements
+ * the transport interface, so it can be passed to a client using the transport option.
+ * @class MockServer
+ * @param {Object} [options] - Server options
+ * @param {string} [options.apiUrl=pgorelease.mock/plfe/1] - API URL the client is redirected to
+ * @param {number} [options.authTicketLifetime=1800000] - Lifetime of issued auth tickets in
+ *     milliseconds
+ * @param {function} [options.validateToken] - Function called with the auth provider and token
+ *     that returns whether the token is accepted, by default any non-empty token is
+ * @param {string} [options.ptr8] - Message returned for platform request 8
+ * @memberof pogobuf
+ */
+function MockServer(options) {
+    if (!(this instanceof MockServer)) {
+        return new MockServer(options);
+    }
+    const self = this;
+
+    /*
+     * PUBLIC METHODS
+     */
+
+    /**
+     * Registers a handler for the given request type. The handler is called with the decoded
+     * request message and an object containing the request type and the request envelope, and
+     * should return (or return a Promise for) either a plain object or a response message.
+     * @param {number} requestType - RequestType enum value
+     * @param {function} handler - Handler function
+     * @return {MockServer} this
+     */
+    this.setHandler = function(requestType, handler) {
+        self.handlers[requestType] = handler;
+        return self;
+    };
+
+    /**
+     * Forces the status code of the next response envelope, for example 52 (throttled),
+     * 53 (redirect), 3 (bad request) or 102 (invalid auth token). Can be called multiple times
+     * to queue several status codes.
+     * @param {number} statusCode - Response envelope status code
+     * @return {MockServer} this
+     */
+    this.queueStatus = function(statusCode) {
+        self.statusQueue.push(statusCode);
+        return self;
+    };
+
+    /**
+     * Invalidates all auth tickets issued so far, so that the next request using one of them
+     * is answered with status code 102.
+     */
+    this.expireAuthTickets = function() {
+        self.authTickets = {};
+    };
+
+    /**
+     * Handles an encoded request envelope and returns a Promise that will be resolved with an
+     * object containing the HTTP status code and the encoded response envelope.
+     * @param {Object} req - Request description
+     * @param {string} req.url - RPC endpoint URL
+     * @param {Buffer} req.body - Encoded request envelope
+     * @return {Promise}
+     */
+    this.send = function(req) {
+        var envelope;
+        try {
+            envelope = Envelopes.RequestEnvelope.decode(req.body);
+        } catch (e) {
+            return Promise.resolve({
+                statusCode: 400,
+                body: Buffer.alloc(0)
+            });
+        }
+
+        self.emit('request', envelope);
+
+        return self.buildResponseEnvelope(req.url, envelope)
+            .then(responseEnvelope => {
+                self.emit('response', responseEnvelope);
+                return {
+                    statusCode: 200,
+                    body: responseEnvelope.toBuffer()
+                };
+            });
+    };
+
+    /*
+     * INTERNAL STUFF
+     */
+
+    this.options = Object.assign({}, defaultOptions, options || {});
+    this.handlers = {};
+    this.statusQueue = [];
+    this.authTickets = {};
+
+    /**
+     * Builds the response envelope for a decoded request envelope.
+     * @private
+     * @param {string} url - Endpoint the request was sent to
+     * @param {RequestEnvelope} envelope - Decoded request envelope
+     * @return {Promise} - A Promise that will be resolved with a ResponseEnvelope instance
+     */
+    this.buildResponseEnvelope = function(url, envelope) {
+        var responseData = {
+            status_code: 1,
+            request_id: envelope.request_id
+        };
+
+        if (envelope.auth_ticket) {
+            if (!self.isValidAuthTicket(envelope.auth_ticket)) {
+                responseData.status_code = 102;
+                return Promise.resolve(new Envelopes.ResponseEnvelope(responseData));
+            }
+        } else if (envelope.auth_info && self.isValidToken(envelope.auth_info)) {
+            responseData.auth_ticket = self.issueAuthTicket();
+        } else {
+            responseData.status_code = 102;
+            return Promise.resolve(new Envelopes.ResponseEnvelope(responseData));
+        }
+
+        if (self.statusQueue.length) {
+            responseData.status_code = self.statusQueue.shift();
+            if (responseData.status_code === 53) responseData.api_url = self.options.apiUrl;
+            return Promise.resolve(new Envelopes.ResponseEnvelope(responseData));
+        }
+
+        if (url !== 'https://' + self.options.apiUrl + '/rpc') {
+            responseData.status_code = 53;
+            responseData.api_url = self.options.apiUrl;
+            return Promise.resolve(new Envelopes.ResponseEnvelope(responseData));
+        }
+
+        responseData.platform_returns = envelope.platform_requests
+            .filter(platformRequest => platformRequest.type === PlatformRequestType.UNKNOWN_PTR_8)
+            .map(platformRequest => ({
+                type: platformRequest.type,
+                response: new PlatformResponses.UnknownPtr8Response({
+                    message: self.options.ptr8
+                }).encode()
+            }));
+
+        return Promise.mapSeries(envelope.requests, r => self.handleRequest(r, envelope))
+            .then(returns => {
+                responseData.returns = returns;
+                return new Envelopes.ResponseEnvelope(responseData);
+            });
+    };
+
+    /**
+     * Passes a single request from an envelope to its handler and encodes the result.
+     * Requests without a registered handler are answered with an empty response message.
+     * @private
+     * @param {Object} request - Request from the envelope
+     * @param {RequestEnvelope} envelope - Decoded request envelope
+     * @return {Promise} - A Promise that will be resolved with the encoded response message
+     */
+    this.handleRequest = function(request, envelope) {
+        const name = getMessageName(request.request_type),
+            MessageType = name && RequestMessages[name + 'Message'],
+            ResponseType = name && Responses[name + 'Response'],
+            handler = self.handlers[request.request_type];
+
+        var message = null;
+        if (MessageType) {
+            message = request.request_message ? MessageType.decode(request.request_message) : new MessageType();
+        }
+
+        if (!handler) return Promise.resolve(Buffer.alloc(0));
+
+        return Promise.resolve(handler(message, {
+            requestType: request.request_type,
+            envelope: envelope
+        })).then(response => {
+            if (response && typeof response.encode === 'function') {
+                return response.encode().toBuffer();
+            }
+            if (!ResponseType) {
+                throw Error(`No response message known for request type ${request.request_type}`);
+            }
+            return new ResponseType(response || {}).encode().toBuffer();
+        });
+    };
+
+    /**
+     * Checks whether the auth info token of a request envelope is accepted, using the
+     * validateToken option if given.
+     * @private
+     * @param {Object} authInfo - auth_info from the request envelope
+     * @return {boolean}
+     */
+    this.isValidToken = function(authInfo) {
+        const token = authInfo.token ? authInfo.token.contents : '';
+        if (typeof self.options.validateToken === 'function') {
+            return !!self.options.validateToken(authInfo.provider, token);
+        }
+        return !!token;
+    };
+
+    /**
+     * Creates a new auth ticket and remembers it as valid until it expires.
+     * @private
+     * @return {AuthTicket}
+     */
+    this.issueAuthTicket = function() {
+        const end = crypto.randomBytes(20),
+            expires = Date.now() + self.options.authTicketLifetime;
+
+        self.authTickets[end.toString('hex')] = expires;
+
+        return new Envelopes.AuthTicket({
+            start: crypto.randomBytes(20),
+            expire_timestamp_ms: expires,
+            end: end
+        });
+    };
+
+    /**
+     * Checks whether an auth ticket was issued by this server and has not expired yet.
+     * @private
+     * @param {AuthTicket} authTicket - auth_ticket from the request envelope
+     * @return {boolean}
+     */
+    this.isValidAuthTicket = function(authTicket) {
+        const key = authTicket.end ? authTicket.end.toString('hex') : '',
+            expires = self.authTickets[key];
+
+        return !!expires && expires > Date.now();
+    };
+}
+
+MockServer.prototype = Object.create(EventEmitter.prototype);
+
+module.exports = MockServer;
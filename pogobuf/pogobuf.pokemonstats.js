@@ -0,0 +1,425 @@
+'use strict';
+
+const Utils = require('./pogobuf.utils.js');
+
+/**
+ * Calculates CP, HP and levels of Pokémon from the game master data, and infers the possible
+ * individual values of a Pokémon from its CP and HP. Levels go in steps of 0.5, the CP
+ * multiplier of a half level lies halfway between the squares of its neighbors. Also rates
+ * moves and move sets by damage per second using the move and type effectiveness settings.
+ * @class PokemonStats
+ * @param {Object} templates - downloadItemTemplates() response or splitItemTemplates() result
+ * @memberof pogobuf
+ */
+function PokemonStats(templates) {
+    if (!(this instanceof PokemonStats)) {
+        return new PokemonStats(templates);
+    }
+    const self = this;
+
+    /*
+     * PUBLIC METHODS
+     */
+
+    /**
+     * Returns the game master settings of a Pokémon species.
+     * @param {number} pokemonID - PokemonId
+     * @return {Object|null} - PokemonSettings message
+     */
+    this.getPokemonSettings = function(pokemonID) {
+        return self.pokemonSettings[pokemonID] || null;
+    };
+
+    /**
+     * Returns the base stats of a Pokémon species.
+     * @param {number} pokemonID - PokemonId
+     * @return {Object} - Object with attack, defense and stamina
+     */
+    this.getBaseStats = function(pokemonID) {
+        const settings = self.pokemonSettings[pokemonID];
+        if (!settings || !settings.stats) throw Error(`No base stats for Pokémon ${pokemonID}`);
+
+        return {
+            attack: settings.stats.base_attack,
+            defense: settings.stats.base_defense,
+            stamina: settings.stats.base_stamina
+        };
+    };
+
+    /**
+     * Returns the highest level Pokémon can reach.
+     * @return {number}
+     */
+    this.getMaxLevel = function() {
+        return self.levels[self.levels.length - 1].level;
+    };
+
+    /**
+     * Returns the CP multiplier of a level.
+     * @param {number} level - Level in steps of 0.5
+     * @return {number}
+     */
+    this.getCPMultiplier = function(level) {
+        const entry = self.levels[Math.round((level - 1) * 2)];
+        if (!entry || entry.level !== level) throw Error(`Invalid level ${level}`);
+        return entry.multiplier;
+    };
+
+    /**
+     * Returns the level of a Pokémon, derived from its total CP multiplier.
+     * @param {Object} pokemon - PokemonData message
+     * @return {number}
+     */
+    this.getLevel = function(pokemon) {
+        const multiplier = (pokemon.cp_multiplier || 0) + (pokemon.additional_cp_multiplier || 0);
+
+        return self.levels.reduce((best, entry) =>
+            (Math.abs(entry.multiplier - multiplier) < Math.abs(best.multiplier - multiplier) ? entry : best)
+        ).level;
+    };
+
+    /**
+     * Calculates the CP of a Pokémon species at the given level and individual values.
+     * @param {number} pokemonID - PokemonId
+     * @param {number} level - Level in steps of 0.5
+     * @param {number} attack - Individual attack
+     * @param {number} defense - Individual defense
+     * @param {number} stamina - Individual stamina
+     * @return {number}
+     */
+    this.getCP = function(pokemonID, level, attack, defense, stamina) {
+        const base = self.getBaseStats(pokemonID),
+            multiplier = self.getCPMultiplier(level);
+
+        return Math.max(10, Math.floor((base.attack + attack) * Math.sqrt(base.defense + defense) *
+            Math.sqrt(base.stamina + stamina) * multiplier * multiplier / 10));
+    };
+
+    /**
+     * Calculates the maximum HP of a Pokémon species at the given level and individual stamina.
+     * @param {number} pokemonID - PokemonId
+     * @param {number} level - Level in steps of 0.5
+     * @param {number} stamina - Individual stamina
+     * @return {number}
+     */
+    this.getHP = function(pokemonID, level, stamina) {
+        const base = self.getBaseStats(pokemonID);
+        return Math.max(10, Math.floor((base.stamina + stamina) * self.getCPMultiplier(level)));
+    };
+
+    /**
+     * Calculates the CP of a Pokémon from its species, level and individual values. Useful to
+     * double check the cp field of a PokemonData.
+     * @param {Object} pokemon - PokemonData message
+     * @return {number}
+     */
+    this.getPokemonCP = function(pokemon) {
+        return self.getCP(pokemon.pokemon_id, self.getLevel(pokemon), pokemon.individual_attack || 0,
+            pokemon.individual_defense || 0, pokemon.individual_stamina || 0);
+    };
+
+    /**
+     * Returns the Pokémon species a species can evolve into.
+     * @param {number} pokemonID - PokemonId
+     * @return {number[]} - PokemonIds of the evolutions, empty if there are none
+     */
+    this.getEvolutions = function(pokemonID) {
+        const settings = self.pokemonSettings[pokemonID];
+        if (!settings) return [];
+
+        if (settings.evolution_branch && settings.evolution_branch.length) {
+            return settings.evolution_branch.map(branch => branch.evolution);
+        }
+        return (settings.evolution_ids || []).slice();
+    };
+
+    /**
+     * Calculates the CP a Pokémon would have after evolving, for each species it can evolve into.
+     * Level and individual values stay the same when evolving.
+     * @param {Object} pokemon - PokemonData message
+     * @return {Object[]} - Array of objects with pokemon_id and cp
+     */
+    this.getEvolvedCP = function(pokemon) {
+        const level = self.getLevel(pokemon);
+
+        return self.getEvolutions(pokemon.pokemon_id).map(evolutionID => ({
+            pokemon_id: evolutionID,
+            cp: self.getCP(evolutionID, level, pokemon.individual_attack || 0, pokemon.individual_defense || 0,
+                pokemon.individual_stamina || 0)
+        }));
+    };
+
+    /**
+     * Calculates the CP and HP a Pokémon would have after being powered up. Each power-up raises
+     * the level by 0.5.
+     * @param {Object} pokemon - PokemonData message
+     * @param {number} [powerUps=1] - Number of power-ups
+     * @param {number} [maxLevel] - Highest level to power up to, usually the trainer level plus
+     *     1.5, defaults to the highest level in the game master data
+     * @return {Object} - Object with level, cp and hp
+     */
+    this.getPoweredUpCP = function(pokemon, powerUps, maxLevel) {
+        if (typeof powerUps === 'undefined') powerUps = 1;
+        const current = self.getLevel(pokemon),
+            level = Math.max(current, Math.min(current + powerUps / 2, maxLevel || self.getMaxLevel(),
+                self.getMaxLevel()));
+
+        return {
+            level: level,
+            cp: self.getCP(pokemon.pokemon_id, level, pokemon.individual_attack || 0,
+                pokemon.individual_defense || 0, pokemon.individual_stamina || 0),
+            hp: self.getHP(pokemon.pokemon_id, level, pokemon.individual_stamina || 0)
+        };
+    };
+
+    /**
+     * Lists all combinations of level and individual values that result in the given CP and HP
+     * for a Pokémon species.
+     * @param {number} pokemonID - PokemonId
+     * @param {number} cp - Observed CP
+     * @param {number} hp - Observed maximum HP
+     * @param {number} [level] - Level, if known, to narrow down the results
+     * @return {Object[]} - Array of objects with level, attack, defense, stamina and percent
+     */
+    this.getPossibleIVs = function(pokemonID, cp, hp, level) {
+        const levels = typeof level === 'undefined' ? self.levels.map(entry => entry.level) : [level],
+            results = [];
+
+        levels.forEach(candidateLevel => {
+            for (var stamina = 0; stamina <= 15; stamina++) {
+                if (self.getHP(pokemonID, candidateLevel, stamina) !== hp) continue;
+
+                for (var attack = 0; attack <= 15; attack++) {
+                    for (var defense = 0; defense <= 15; defense++) {
+                        if (self.getCP(pokemonID, candidateLevel, attack, defense, stamina) === cp) {
+                            results.push({
+                                level: candidateLevel,
+                                attack: attack,
+                                defense: defense,
+                                stamina: stamina,
+                                percent: (attack + defense + stamina) / 45 * 100
+                            });
+                        }
+                    }
+                }
+            }
+        });
+
+        return results;
+    };
+
+    /**
+     * Returns the game master settings of a move.
+     * @param {number} moveID - PokemonMove
+     * @return {Object|null} - MoveSettings message
+     */
+    this.getMoveSettings = function(moveID) {
+        return self.moveSettings[moveID] || null;
+    };
+
+    /**
+     * Returns the damage multiplier of an attack type against a defender's types.
+     * @param {number} attackType - PokemonType of the move
+     * @param {number|number[]} defenderTypes - PokemonType or types of the defender
+     * @return {number}
+     */
+    this.getTypeEffectiveness = function(attackType, defenderTypes) {
+        const scalars = self.typeEffectiveness[attackType];
+        if (!scalars) return 1;
+
+        return [].concat(defenderTypes)
+            .filter(type => type)
+            .reduce((multiplier, type) => multiplier * (scalars[type - 1] || 1), 1);
+    };
+
+    /**
+     * Returns the same type attack bonus of a move used by a Pokémon species.
+     * @param {number} moveID - PokemonMove
+     * @param {number} pokemonID - PokemonId of the attacker
+     * @return {number} - Damage multiplier, 1 if the move does not match the attacker's types
+     */
+    this.getSTAB = function(moveID, pokemonID) {
+        const move = self.getMoveSettingsOrThrow(moveID);
+        return self.getPokemonTypes(pokemonID).indexOf(move.pokemon_type) >= 0 ? self.stabMultiplier : 1;
+    };
+
+    /**
+     * Returns the power of a move per second, including the same type attack bonus if the
+     * attacker is given.
+     * @param {number} moveID - PokemonMove
+     * @param {number} [pokemonID] - PokemonId of the attacker
+     * @return {number}
+     */
+    this.getMoveDPS = function(moveID, pokemonID) {
+        const move = self.getMoveSettingsOrThrow(moveID),
+            stab = pokemonID ? self.getSTAB(moveID, pokemonID) : 1;
+
+        return move.duration_ms ? (move.power || 0) * stab / (move.duration_ms / 1000) : 0;
+    };
+
+    /**
+     * Returns the energy a move generates per second. Negative for charged moves.
+     * @param {number} moveID - PokemonMove
+     * @return {number}
+     */
+    this.getMoveEPS = function(moveID) {
+        const move = self.getMoveSettingsOrThrow(moveID);
+        return move.duration_ms ? (move.energy_delta || 0) / (move.duration_ms / 1000) : 0;
+    };
+
+    /**
+     * Calculates the damage a single use of a move by an attacker does to a defender.
+     * @param {number} moveID - PokemonMove
+     * @param {Object} attacker - PokemonData message of the attacker
+     * @param {Object|number} defender - PokemonData message of the defender, or a PokemonId to
+     *     assume a defender of the attacker's level with perfect individual values
+     * @return {number}
+     */
+    this.getMoveDamage = function(moveID, attacker, defender) {
+        const move = self.getMoveSettingsOrThrow(moveID),
+            defenderData = self.getDefenderData(attacker, defender),
+            attack = (self.getBaseStats(attacker.pokemon_id).attack + (attacker.individual_attack || 0)) *
+                self.getCPMultiplier(self.getLevel(attacker)),
+            defense = (self.getBaseStats(defenderData.pokemon_id).defense +
+                (defenderData.individual_defense || 0)) * self.getCPMultiplier(self.getLevel(defenderData));
+
+        return Math.floor(0.5 * (move.power || 0) * attack / defense * self.getSTAB(moveID, attacker.pokemon_id) *
+            self.getTypeEffectiveness(move.pokemon_type, self.getPokemonTypes(defenderData.pokemon_id))) + 1;
+    };
+
+    /**
+     * Rates the combination of a Pokémon's fast move (move_1) and charged move (move_2) against
+     * a defender. The fast move is used until there is enough energy for the charged move, the
+     * rating is the damage per second over such a cycle. If the charged move does not pay off,
+     * only the fast move is used.
+     * @param {Object} pokemon - PokemonData message of the attacker
+     * @param {Object|number} defender - PokemonData message of the defender, or a PokemonId to
+     *     assume a defender of the attacker's level with perfect individual values
+     * @return {Object} - Object with dps, cycle_duration_ms and the damage, duration_ms and
+     *     energy of the fast and charged moves
+     */
+    this.rateMoveset = function(pokemon, defender) {
+        const describe = moveID => {
+            const move = self.getMoveSettingsOrThrow(moveID);
+            return {
+                move: moveID,
+                damage: self.getMoveDamage(moveID, pokemon, defender),
+                duration_ms: move.duration_ms || 0,
+                energy: move.energy_delta || 0
+            };
+        };
+
+        const fast = describe(pokemon.move_1),
+            charged = describe(pokemon.move_2),
+            fastDPS = fast.duration_ms ? fast.damage / (fast.duration_ms / 1000) : 0;
+
+        var dps = fastDPS,
+            cycleDuration = fast.duration_ms;
+
+        if (fast.energy > 0 && charged.energy < 0) {
+            const fastMovesPerCharge = -charged.energy / fast.energy,
+                cycleDamage = fastMovesPerCharge * fast.damage + charged.damage,
+                duration = fastMovesPerCharge * fast.duration_ms + charged.duration_ms;
+
+            if (duration && cycleDamage / (duration / 1000) > dps) {
+                dps = cycleDamage / (duration / 1000);
+                cycleDuration = duration;
+            }
+        }
+
+        return {
+            dps: dps,
+            cycle_duration_ms: cycleDuration,
+            fast: fast,
+            charged: charged
+        };
+    };
+
+    /*
+     * INTERNAL STUFF
+     */
+
+    const settings = templates && templates.pokemon_settings ? templates : Utils.splitItemTemplates(templates);
+    if (!settings.player_level_settings || !settings.player_level_settings.cp_multiplier.length) {
+        throw Error('Item templates do not contain player level settings');
+    }
+
+    this.pokemonSettings = {};
+    settings.pokemon_settings.forEach(pokemonSettings => {
+        self.pokemonSettings[pokemonSettings.pokemon_id] = pokemonSettings;
+    });
+
+    this.moveSettings = {};
+    (settings.move_settings || []).forEach(moveSettings => {
+        self.moveSettings[moveSettings.movement_id] = moveSettings;
+    });
+
+    // Damage multipliers by attack type, indexed by defender type - 1
+    this.typeEffectiveness = {};
+    (settings.type_effective_settings || []).forEach(typeSettings => {
+        self.typeEffectiveness[typeSettings.attack_type] = typeSettings.attack_scalar;
+    });
+
+    this.stabMultiplier = (settings.battle_settings && settings.battle_settings.same_type_attack_bonus_multiplier) ||
+        1.25;
+
+    // Full levels from the game master and half levels between them
+    this.levels = [];
+    settings.player_level_settings.cp_multiplier.forEach((multiplier, index, multipliers) => {
+        self.levels.push({
+            level: index + 1,
+            multiplier: multiplier
+        });
+        if (index + 1 < multipliers.length) {
+            self.levels.push({
+                level: index + 1.5,
+                multiplier: Math.sqrt((multiplier * multiplier + multipliers[index + 1] * multipliers[index + 1]) / 2)
+            });
+        }
+    });
+
+    /**
+     * Returns the settings of a move or throws if the move is unknown.
+     * @private
+     * @param {number} moveID - PokemonMove
+     * @return {Object}
+     */
+    this.getMoveSettingsOrThrow = function(moveID) {
+        const move = self.moveSettings[moveID];
+        if (!move) throw Error(`No settings for move ${moveID}`);
+        return move;
+    };
+
+    /**
+     * Returns the types of a Pokémon species.
+     * @private
+     * @param {number} pokemonID - PokemonId
+     * @return {number[]}
+     */
+    this.getPokemonTypes = function(pokemonID) {
+        const pokemonSettings = self.pokemonSettings[pokemonID];
+        if (!pokemonSettings) return [];
+        return [pokemonSettings.type, pokemonSettings.type_2].filter(type => type);
+    };
+
+    /**
+     * Returns the PokemonData of a defender, making one up if only the species is given.
+     * @private
+     * @param {Object} attacker - PokemonData message of the attacker
+     * @param {Object|number} defender - PokemonData message or PokemonId of the defender
+     * @return {Object}
+     */
+    this.getDefenderData = function(attacker, defender) {
+        if (typeof defender === 'object') return defender;
+
+        return {
+            pokemon_id: defender,
+            cp_multiplier: self.getCPMultiplier(self.getLevel(attacker)),
+            individual_attack: 15,
+            individual_defense: 15,
+            individual_stamina: 15
+        };
+    };
+}
+
+module.exports = PokemonStats;
@@ -0,0 +1,90 @@
+'use strict';
+
+const fs = require('fs'),
+    POGOProtos = require('node-pogo-protos'),
+    Utils = require('./pogobuf.utils.js');
+
+const RequestType = POGOProtos.Networking.Requests.RequestType;
+
+/**
+ * Records the RPC traffic of a client to a file of newline-delimited JSON, one line per
+ * received response envelope. Each line contains the request types and encoded request messages
+ * of the envelope that was sent and the encoded response envelope. Recordings can be played back
+ * with {@link pogobuf.ReplayTransport}.
+ * @class Recorder
+ * @param {string} file - Path of the file to append recorded envelopes to
+ * @memberof pogobuf
+ */
+function Recorder(file) {
+    if (!(this instanceof Recorder)) {
+        return new Recorder(file);
+    }
+    const self = this;
+
+    /**
+     * Starts recording the RPC traffic of the given client.
+     * @param {Client} client - pogobuf Client instance
+     * @return {Recorder} this
+     */
+    this.attach = function(client) {
+        self.detach();
+        self.client = client;
+        client.on('raw-request', self.onRequest);
+        client.on('raw-response', self.onResponse);
+        return self;
+    };
+
+    /**
+     * Stops recording.
+     */
+    this.detach = function() {
+        if (!self.client) return;
+        self.client.removeListener('raw-request', self.onRequest);
+        self.client.removeListener('raw-response', self.onResponse);
+        self.client = null;
+        self.pendingRequests = {};
+    };
+
+    /*
+     * INTERNAL STUFF
+     */
+
+    this.file = file;
+    this.client = null;
+    this.pendingRequests = {};
+
+    /**
+     * Remembers the requests of an envelope until its response arrives.
+     * @private
+     * @param {Object} envelopeData - Request envelope data as emitted by the client
+     */
+    this.onRequest = function(envelopeData) {
+        self.pendingRequests[envelopeData.request_id.toString()] = (envelopeData.requests || []).map(r => ({
+            type: r.request_type,
+            name: Utils.getEnumKeyByValue(RequestType, r.request_type),
+            message: r.request_message ? r.request_message.toString('base64') : null
+        }));
+    };
+
+    /**
+     * Writes a response envelope together with its requests to the recording file.
+     * @private
+     * @param {ResponseEnvelope} responseEnvelope - Response envelope as emitted by the client
+     */
+    this.onResponse = function(responseEnvelope) {
+        const requestID = responseEnvelope.request_id.toString(),
+            statusCode = responseEnvelope.status_code;
+
+        fs.appendFileSync(self.file, JSON.stringify({
+            request_id: requestID,
+            requests: self.pendingRequests[requestID] || [],
+            status_code: statusCode,
+            response: responseEnvelope.toBuffer().toString('base64')
+        }) + '\n');
+
+        // Redirected and throttled envelopes are sent again, so keep their requests around
+        if (statusCode !== 52 && !responseEnvelope.api_url) delete self.pendingRequests[requestID];
+    };
+}
+
+module.exports = Recorder;
@@ -0,0 +1,83 @@
+'use strict';
+
+const fs = require('fs'),
+    POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird');
+
+/**
+ * Transport that serves response envelopes from a recording made with {@link pogobuf.Recorder}
+ * instead of sending requests to the network. Recorded responses are served in order, and each
+ * request envelope must contain the same request types as the recorded one.
+ * @class ReplayTransport
+ * @param {string|Object[]} recording - Path of a recording file, or an array of recorded entries
+ * @memberof pogobuf
+ */
+function ReplayTransport(recording) {
+    if (!(this instanceof ReplayTransport)) {
+        return new ReplayTransport(recording);
+    }
+    const self = this;
+
+    /**
+     * Returns a Promise that will be resolved with the next recorded response envelope, or
+     * rejected if the request does not match the recording.
+     * @param {Object} req - Request description
+     * @param {Buffer} req.body - Encoded request envelope
+     * @return {Promise}
+     */
+    this.send = function(req) {
+        const entry = self.entries[self.position];
+        if (!entry) {
+            return Promise.reject(Error('No more recorded responses to replay'));
+        }
+
+        var envelope;
+        try {
+            envelope = POGOProtos.Networking.Envelopes.RequestEnvelope.decode(req.body);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+
+        const types = envelope.requests.map(r => r.request_type),
+            recordedTypes = entry.requests.map(r => r.type);
+
+        if (types.join(',') !== recordedTypes.join(',')) {
+            return Promise.reject(Error(
+                `Request types [${types}] do not match recorded request types [${recordedTypes}] ` +
+                `at position ${self.position}`
+            ));
+        }
+
+        self.position++;
+
+        return Promise.resolve({
+            statusCode: 200,
+            body: Buffer.from(entry.response, 'base64')
+        });
+    };
+
+    /**
+     * Returns true if all recorded responses have been served.
+     * @return {boolean}
+     */
+    this.isFinished = function() {
+        return self.position >= self.entries.length;
+    };
+
+    /*
+     * INTERNAL STUFF
+     */
+
+    if (Array.isArray(recording)) {
+        this.entries = recording;
+    } else {
+        this.entries = fs.readFileSync(recording, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+    }
+
+    this.position = 0;
+}
+
+module.exports = ReplayTransport;
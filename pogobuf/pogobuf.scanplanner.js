@@ -0,0 +1,318 @@
+'use strict';
+
+const Utils = require('./pogobuf.utils.js'),
+    geometry = require('./pogobuf.geometry.js');
+
+const defaultOptions = {
+    scanRadius: 70,
+    layout: 'hex',
+    ordering: '2opt',
+    hiveSteps: 2,
+    cellLevel: 15,
+    maxOptimizationPasses: 50
+};
+
+/**
+ * Plans routes of scan positions that cover an area. Positions are laid out on a hexagonal grid
+ * whose spacing makes the scan radii around them cover the whole area, then ordered to keep the
+ * distance traveled between them short.
+ * @class ScanPlanner
+ * @param {Object} [options] - Planner options
+ * @param {number} [options.scanRadius=70] - Radius in meters covered by one scan
+ * @param {string} [options.layout=hex] - hex for a single route over a hexagonal grid, or
+ *     beehive to group the grid points into hives, one for each worker
+ * @param {string} [options.ordering=2opt] - How the points of a hex layout are ordered: nearest
+ *     for a nearest neighbor route, 2opt to improve it with 2-opt passes
+ * @param {number} [options.hiveSteps=2] - Number of rings around the center of each hive
+ * @param {number} [options.cellLevel=15] - Level of the S2 cell IDs listed for each waypoint
+ * @param {number} [options.maxOptimizationPasses=50] - Maximum number of 2-opt passes
+ * @memberof pogobuf
+ */
+function ScanPlanner(options) {
+    if (!(this instanceof ScanPlanner)) {
+        return new ScanPlanner(options);
+    }
+    const self = this;
+
+    /*
+     * PUBLIC METHODS
+     */
+
+    /**
+     * Plans a route that covers an area. Each waypoint contains the latitude and longitude to pass
+     * to setPosition() and the IDs of the S2 cells to request at that position. With the beehive
+     * layout, waypoints also contain the index of the hive they belong to.
+     * @param {Object[]|Object} area - Vertices of a polygon as objects with latitude and longitude,
+     *     or a bounding box with north, south, east and west
+     * @param {Object} [start] - Position to start from, with latitude and longitude
+     * @return {Object[]} - Array of waypoints
+     */
+    this.plan = function(area, start) {
+        const polygon = self.toPolygon(area),
+            originLat = polygon.reduce((sum, p) => sum + p.latitude, 0) / polygon.length,
+            originLng = polygon.reduce((sum, p) => sum + p.longitude, 0) / polygon.length,
+            project = geometry.localProjection(originLat, originLng),
+            unproject = geometry.localUnprojection(originLat, originLng),
+            planePolygon = polygon.map(p => project(p.latitude, p.longitude)),
+            startPoint = start ? project(start.latitude, start.longitude) : null;
+
+        const points = self.getGridPoints(planePolygon);
+        var route;
+
+        if (self.options.layout === 'beehive') {
+            route = self.orderHives(points, startPoint);
+        } else if (self.options.layout === 'hex') {
+            route = self.order(points, startPoint);
+        } else {
+            throw Error(`Unknown layout ${self.options.layout}`);
+        }
+
+        return route.map(point => {
+            const position = unproject(point),
+                waypoint = {
+                    latitude: position.latitude,
+                    longitude: position.longitude,
+                    cellIDs: Utils.getCellIDsInRadius(position.latitude, position.longitude,
+                        self.options.scanRadius, self.options.cellLevel)
+                };
+            if (self.options.layout === 'beehive') waypoint.hive = point.hive;
+            return waypoint;
+        });
+    };
+
+    /**
+     * Returns the length of a route in meters.
+     * @param {Object[]} waypoints - Waypoints as returned by {@link #plan}
+     * @return {number}
+     */
+    this.getRouteLength = function(waypoints) {
+        var length = 0;
+        for (var i = 1; i < waypoints.length; i++) {
+            length += Utils.getDistance(waypoints[i - 1].latitude, waypoints[i - 1].longitude,
+                waypoints[i].latitude, waypoints[i].longitude);
+        }
+        return length;
+    };
+
+    /*
+     * INTERNAL STUFF
+     */
+
+    this.options = Object.assign({}, defaultOptions, options || {});
+
+    /**
+     * Converts a bounding box to a polygon.
+     * @private
+     * @param {Object[]|Object} area - Polygon or bounding box
+     * @return {Object[]}
+     */
+    this.toPolygon = function(area) {
+        if (Array.isArray(area)) {
+            if (area.length < 3) throw Error('A polygon needs at least 3 points');
+            return area;
+        }
+
+        return [
+            { latitude: area.north, longitude: area.west },
+            { latitude: area.north, longitude: area.east },
+            { latitude: area.south, longitude: area.east },
+            { latitude: area.south, longitude: area.west }
+        ];
+    };
+
+    /**
+     * Lays out scan positions on a hexagonal grid and returns those whose scan radius touches
+     * the polygon. Positions are spaced so that the scan circles leave no gaps.
+     * @private
+     * @param {Object[]} polygon - Projected polygon
+     * @return {Object[]} - Projected points with axial grid coordinates q and r
+     */
+    this.getGridPoints = function(polygon) {
+        const radius = self.options.scanRadius,
+            columnSpacing = radius * Math.sqrt(3),
+            rowSpacing = radius * 1.5,
+            minX = Math.min.apply(null, polygon.map(p => p.x)) - radius,
+            maxX = Math.max.apply(null, polygon.map(p => p.x)) + radius,
+            minY = Math.min.apply(null, polygon.map(p => p.y)) - radius,
+            maxY = Math.max.apply(null, polygon.map(p => p.y)) + radius;
+
+        var points = [];
+
+        for (var r = Math.floor(minY / rowSpacing); r <= Math.ceil(maxY / rowSpacing); r++) {
+            for (var q = Math.floor(minX / columnSpacing - r / 2); q <= Math.ceil(maxX / columnSpacing - r / 2);
+                q++) {
+                const point = {
+                    x: (q + r / 2) * columnSpacing,
+                    y: r * rowSpacing,
+                    q: q,
+                    r: r
+                };
+
+                if (geometry.planeContains(point, polygon) || polygon.some((p, i) =>
+                    geometry.segmentDistance(point, p, polygon[(i + 1) % polygon.length]) <= radius)) {
+                    points.push(point);
+                }
+            }
+        }
+
+        return points;
+    };
+
+    /**
+     * Orders points with the configured ordering.
+     * @private
+     * @param {Object[]} points - Projected points
+     * @param {Object} [startPoint] - Projected position to start from
+     * @return {Object[]}
+     */
+    this.order = function(points, startPoint) {
+        const route = self.nearestNeighbor(points, startPoint);
+
+        if (self.options.ordering === '2opt') return self.twoOpt(route, startPoint);
+        if (self.options.ordering !== 'nearest') throw Error(`Unknown ordering ${self.options.ordering}`);
+
+        return route;
+    };
+
+    /**
+     * Groups points into hives of hexagonal shape, one hive for each worker, orders the hives and
+     * orders the points within each hive starting from its center.
+     * @private
+     * @param {Object[]} points - Projected points with axial grid coordinates
+     * @param {Object} [startPoint] - Projected position to start from
+     * @return {Object[]}
+     */
+    this.orderHives = function(points, startPoint) {
+        const steps = self.options.hiveSteps,
+            hives = {};
+
+        if (steps < 1) throw Error('hiveSteps must be at least 1');
+
+        points.forEach(point => {
+            const hive = self.findHive(point.q, point.r, steps),
+                key = `${hive.a},${hive.b}`;
+            if (!hives[key]) {
+                const columnSpacing = self.options.scanRadius * Math.sqrt(3),
+                    q = hive.a * (2 * steps + 1) + hive.b * (steps + 1),
+                    r = -hive.a * steps + hive.b * steps;
+                hives[key] = {
+                    x: (q + r / 2) * columnSpacing,
+                    y: r * self.options.scanRadius * 1.5,
+                    points: []
+                };
+            }
+            hives[key].points.push(point);
+        });
+
+        var route = [],
+            position = startPoint;
+
+        self.order(Object.keys(hives).map(key => hives[key]), startPoint).forEach((hive, index) => {
+            const hiveRoute = self.order(hive.points, position || hive);
+            hiveRoute.forEach(point => {
+                point.hive = index;
+            });
+            route = route.concat(hiveRoute);
+            position = hiveRoute[hiveRoute.length - 1];
+        });
+
+        return route;
+    };
+
+    /**
+     * Finds the hive that contains a grid position. Hive centers are placed so that hexagonal
+     * hives with the given number of steps around their center tile the grid.
+     * @private
+     * @param {number} q - Axial grid column
+     * @param {number} r - Axial grid row
+     * @param {number} steps - Number of steps around the hive center
+     * @return {Object} - Hive coordinates a and b
+     */
+    this.findHive = function(q, r, steps) {
+        // Hive centers are at a * (2 * steps + 1, -steps) + b * (steps + 1, steps)
+        const det = (2 * steps + 1) * steps + steps * (steps + 1),
+            a = (q * steps - r * (steps + 1)) / det,
+            b = (r * (2 * steps + 1) + q * steps) / det;
+
+        for (var da = -1; da <= 1; da++) {
+            for (var db = -1; db <= 1; db++) {
+                const ha = Math.round(a) + da,
+                    hb = Math.round(b) + db,
+                    dq = q - (ha * (2 * steps + 1) + hb * (steps + 1)),
+                    dr = r - (-ha * steps + hb * steps);
+                if (Math.max(Math.abs(dq), Math.abs(dr), Math.abs(dq + dr)) <= steps) {
+                    return { a: ha, b: hb };
+                }
+            }
+        }
+
+        throw Error(`No hive found for grid position ${q},${r}`);
+    };
+
+    /**
+     * Orders points by repeatedly going to the closest point not visited yet.
+     * @private
+     * @param {Object[]} points - Projected points
+     * @param {Object} [startPoint] - Projected position to start from
+     * @return {Object[]}
+     */
+    this.nearestNeighbor = function(points, startPoint) {
+        var remaining = points.slice(),
+            route = [],
+            position = startPoint || remaining[0];
+
+        while (remaining.length) {
+            var closest = 0;
+            for (var i = 1; i < remaining.length; i++) {
+                if (geometry.planeDistance(position, remaining[i]) <
+                    geometry.planeDistance(position, remaining[closest])) {
+                    closest = i;
+                }
+            }
+            position = remaining.splice(closest, 1)[0];
+            route.push(position);
+        }
+
+        return route;
+    };
+
+    /**
+     * Shortens a route by reversing parts of it for as long as that removes crossings.
+     * @private
+     * @param {Object[]} route - Projected points in visiting order
+     * @param {Object} [startPoint] - Projected position the route starts from
+     * @return {Object[]}
+     */
+    this.twoOpt = function(route, startPoint) {
+        // With a fixed start position, include it so the first waypoint may change too
+        var path = startPoint ? [startPoint].concat(route) : route.slice(),
+            first = startPoint ? 1 : 0,
+            improved = true,
+            passes = 0;
+
+        const dist = geometry.planeDistance;
+
+        while (improved && passes < self.options.maxOptimizationPasses) {
+            improved = false;
+            passes++;
+
+            for (var i = Math.max(first, 1); i < path.length - 1; i++) {
+                for (var j = i + 1; j < path.length; j++) {
+                    const before = dist(path[i - 1], path[i]) +
+                            (j + 1 < path.length ? dist(path[j], path[j + 1]) : 0),
+                        after = dist(path[i - 1], path[j]) +
+                            (j + 1 < path.length ? dist(path[i], path[j + 1]) : 0);
+
+                    if (after < before - 1e-9) {
+                        path = path.slice(0, i).concat(path.slice(i, j + 1).reverse(), path.slice(j + 1));
+                        improved = true;
+                    }
+                }
+            }
+        }
+
+        return startPoint ? path.slice(1) : path;
+    };
+}
+
+module.exports = ScanPlanner;
@@ -2,7 +2,65 @@
 
 var s2 = require('s2-geometry').S2,
     Long = require('long'),
-    ByteBuffer = require('bytebuffer');
+    ByteBuffer = require('bytebuffer'),
+    geometry = require('./pogobuf.geometry.js');
+
+// Maximum number of cells the server accepts in one getMapObjects() call
+const MAX_CELLS = 100;
+
+// Soft ban cooldowns as collected by the community: [minimum distance in km, cooldown in minutes]
+const COOLDOWNS = [
+    [1, 1], [5, 2], [10, 6], [25, 11], [30, 14], [65, 22], [81, 25], [100, 35],
+    [250, 45], [500, 60], [750, 75], [1000, 90], [1500, 120]
+];
+
+/**
+ * Walks from the seed cells to their neighbors for as long as the given test accepts them and
+ * returns the IDs of all accepted cells, closest to the center first and capped at the number
+ * of cells the server accepts per request.
+ * @private
+ * @param {object[]} seeds - S2 cells to start from
+ * @param {function} accepts - Function that takes the projected corners of a cell
+ * @param {function} project - Projection around the center
+ * @returns {string[]}
+ */
+function coverCells(seeds, accepts, project) {
+    var visited = {},
+        queue = [],
+        found = [];
+
+    seeds.forEach(cell => {
+        const key = cell.toHilbertQuadkey();
+        if (visited[key]) return;
+        visited[key] = true;
+        queue.push(cell);
+    });
+
+    while (queue.length) {
+        const cell = queue.shift(),
+            corners = cell.getCornerLatLngs().map(c => project(c.lat, c.lng));
+
+        if (!accepts(corners)) continue;
+
+        const center = cell.getLatLng(),
+            p = project(center.lat, center.lng);
+        found.push({
+            key: cell.toHilbertQuadkey(),
+            distance: Math.sqrt(p.x * p.x + p.y * p.y)
+        });
+
+        cell.getNeighbors().forEach(neighbor => {
+            const key = neighbor.toHilbertQuadkey();
+            if (visited[key]) return;
+            visited[key] = true;
+            queue.push(neighbor);
+        });
+    }
+
+    return found.sort((a, b) => a.distance - b.distance)
+        .slice(0, MAX_CELLS)
+        .map(cell => s2.toId(cell.key));
+}
 
 /**
  * Various utilities for dealing with Pokémon Go API requests.
@@ -60,6 +118,77 @@ module.exports = {
         return cells.map(s2.toId);
     },
 
+    /**
+     * Provides the IDs of all cells that touch a circle around the given coords, closest to the
+     * center first and capped at the number of cells the server accepts per request
+     * @param {number} lat
+     * @param {number} lng
+     * @param {number} meters - Radius of the circle in meters
+     * @param {number} [level=15]
+     * @returns {string[]}
+     * @static
+     */
+    getCellIDsInRadius: function(lat, lng, meters, level) {
+        if (typeof level === 'undefined') level = 15;
+
+        const project = geometry.localProjection(lat, lng),
+            center = project(lat, lng);
+
+        /* eslint-disable new-cap */
+        return coverCells([s2.S2Cell.FromLatLng({
+            lat: lat,
+            lng: lng
+        }, level)], corners => geometry.planeContains(center, corners) ||
+            corners.some((c, i) => geometry.segmentDistance(center, c, corners[(i + 1) % 4]) <= meters),
+        project);
+        /* eslint-enable new-cap */
+    },
+
+    /**
+     * Provides the IDs of all cells that touch a polygon, closest to the polygon's center first
+     * and capped at the number of cells the server accepts per request
+     * @param {object[]} points - Vertices of the polygon as objects with latitude and longitude
+     * @param {number} [level=15]
+     * @returns {string[]}
+     * @static
+     */
+    getCellIDsInPolygon: function(points, level) {
+        if (typeof level === 'undefined') level = 15;
+        if (!points || points.length < 3) throw Error('A polygon needs at least 3 points');
+
+        const lat = points.reduce((sum, p) => sum + p.latitude, 0) / points.length,
+            lng = points.reduce((sum, p) => sum + p.longitude, 0) / points.length,
+            project = geometry.localProjection(lat, lng),
+            polygon = points.map(p => project(p.latitude, p.longitude));
+
+        /* eslint-disable new-cap */
+        const seeds = points.map(p => s2.S2Cell.FromLatLng({
+            lat: p.latitude,
+            lng: p.longitude
+        }, level));
+        /* eslint-enable new-cap */
+
+        return coverCells(seeds, corners => corners.some(c => geometry.planeContains(c, polygon)) ||
+            polygon.some(p => geometry.planeContains(p, corners)) ||
+            corners.some((c, i) => polygon.some((p, j) => geometry.segmentsIntersect(
+                c, corners[(i + 1) % 4], p, polygon[(j + 1) % polygon.length]
+            ))),
+        project);
+    },
+
+    /**
+     * Checks whether the given coords lie within a polygon
+     * @param {number} lat
+     * @param {number} lng
+     * @param {object[]} points - Vertices of the polygon as objects with latitude and longitude
+     * @returns {boolean}
+     * @static
+     */
+    isPointInPolygon: function(lat, lng, points) {
+        const project = geometry.localProjection(lat, lng);
+        return geometry.planeContains(project(lat, lng), points.map(p => project(p.latitude, p.longitude)));
+    },
+
     /**
      * Takes a getInventory() response and separates it into pokemon, items, candies, player data,
      * eggs, quests, and pokedex.
@@ -259,6 +388,66 @@ module.exports = {
         };
     },
 
+    /**
+     * Calculates the distance between two coordinates in meters using the haversine formula
+     * @param {number} lat1
+     * @param {number} lng1
+     * @param {number} lat2
+     * @param {number} lng2
+     * @returns {number}
+     * @static
+     */
+    getDistance: function(lat1, lng1, lat2, lng2) {
+        const earthRadius = 6371008.8,
+            toRadians = deg => deg * Math.PI / 180;
+
+        var dLat = toRadians(lat2 - lat1),
+            dLng = toRadians(lng2 - lng1);
+
+        var a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+            Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+        return earthRadius * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    },
+
+    /**
+     * Provides the time to wait after an action before performing another one at the given
+     * distance without getting soft banned, based on the community cooldown table
+     * @param {number} distance - Distance between the two actions in meters
+     * @returns {number} - Cooldown in milliseconds
+     * @static
+     */
+    getCooldown: function(distance) {
+        var minutes = 0;
+        COOLDOWNS.forEach(entry => {
+            if (distance >= entry[0] * 1000) minutes = entry[1];
+        });
+        return minutes * 60 * 1000;
+    },
+
+    /**
+     * Returns a string key for a 64 bit ID that may be a Long, a number or a string, to use IDs
+     * as object keys or compare them
+     * @param {number|string|Long} id - ID
+     * @returns {string}
+     * @static
+     */
+    idKey: function(id) {
+        return Long.isLong(id) ? id.toString() : String(id);
+    },
+
+    /**
+     * Converts a 64 bit value such as a timestamp that may be a Long, a number or a string to
+     * a number
+     * @param {number|string|Long} value - Value
+     * @returns {number}
+     * @static
+     */
+    toNumber: function(value) {
+        return Long.isLong(value) ? value.toNumber() : Number(value || 0);
+    },
+
     /**
      * Utility method to convert all Long.js objects to integers or strings
      * @param {object} object – An object
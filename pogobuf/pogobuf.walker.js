@@ -0,0 +1,203 @@
+'use strict';
+
+const EventEmitter = require('events').EventEmitter,
+    Promise = require('bluebird'),
+    Utils = require('./pogobuf.utils.js'),
+    geometry = require('./pogobuf.geometry.js');
+
+const defaultOptions = {
+    speed: 1.4,
+    speedVariance: 0.1,
+    interval: 1000,
+    jitter: 3,
+    altitudeJitter: 1,
+    accuracy: [5, 5, 5, 10, 10, 10, 30]
+};
+
+/**
+ * Moves a client's position towards targets at walking speed instead of teleporting it. The
+ * position is updated on a timer with some GPS noise, and progress is reported in events so that
+ * walked distance can be accounted for.
+ * @class Walker
+ * @param {Client} client - pogobuf Client instance
+ * @param {Object} [options] - Walker options
+ * @param {number} [options.speed=1.4] - Walking speed in meters per second
+ * @param {number} [options.speedVariance=0.1] - Maximum random deviation of each step's speed,
+ *     as a fraction of the speed
+ * @param {number} [options.interval=1000] - Time between steps in milliseconds
+ * @param {number} [options.jitter=3] - Maximum random offset in meters of the reported positions
+ * @param {number} [options.altitudeJitter=1] - Maximum random offset in meters of the reported
+ *     altitude
+ * @param {number|number[]} [options.accuracy] - Accuracy reported with each position, or a list
+ *     of accuracies to pick from at random
+ * @memberof pogobuf
+ */
+function Walker(client, options) {
+    if (!(this instanceof Walker)) {
+        return new Walker(client, options);
+    }
+    const self = this;
+
+    /*
+     * PUBLIC METHODS
+     */
+
+    /**
+     * Walks to the given coordinates. Stops any walk in progress.
+     * @param {number|Object} latitude - Target latitude, or an object with latitude and longitude
+     * @param {number} [longitude] - Target longitude
+     * @return {Promise} - A Promise that will be resolved once the target has been reached, or
+     *     rejected if the walk is stopped
+     */
+    this.walkTo = function(latitude, longitude) {
+        if (typeof latitude === 'object') {
+            longitude = latitude.longitude;
+            latitude = latitude.latitude;
+        }
+
+        self.stop();
+
+        // Start from the client's position unless it is still the one reported by the last step
+        if (!self.reported || client.playerLatitude !== self.reported.latitude ||
+            client.playerLongitude !== self.reported.longitude) {
+            if (!client.playerLatitude && !client.playerLongitude) {
+                return Promise.reject(Error('Player position must be set before walking'));
+            }
+            self.position = {
+                latitude: client.playerLatitude,
+                longitude: client.playerLongitude,
+                altitude: client.playerAltitude
+            };
+        }
+
+        return new Promise((resolve, reject) => {
+            self.walk = {
+                target: {
+                    latitude: latitude,
+                    longitude: longitude
+                },
+                distance: 0,
+                resolve: resolve,
+                reject: reject,
+                timer: null
+            };
+            self.step();
+        });
+    };
+
+    /**
+     * Walks along a list of waypoints, emitting a waypoint event for each one reached.
+     * @param {Object[]} waypoints - Array of objects with latitude and longitude
+     * @return {Promise} - A Promise that will be resolved once the last waypoint has been
+     *     reached, or rejected if the walk is stopped
+     */
+    this.walkRoute = function(waypoints) {
+        return Promise.each(waypoints, (waypoint, index) => self.walkTo(waypoint)
+            .then(() => self.emit('waypoint', waypoint, index)));
+    };
+
+    /**
+     * Stops the walk in progress, rejecting its Promise. The player stays at the current position.
+     */
+    this.stop = function() {
+        if (!self.walk) return;
+
+        const walk = self.walk;
+        self.walk = null;
+        clearTimeout(walk.timer);
+        walk.reject(Error('Walk stopped'));
+    };
+
+    /**
+     * Returns whether a walk is in progress.
+     * @return {boolean}
+     */
+    this.isWalking = function() {
+        return !!self.walk;
+    };
+
+    /**
+     * Returns the total distance walked in meters.
+     * @return {number}
+     */
+    this.getDistanceWalked = function() {
+        return self.distanceWalked;
+    };
+
+    /*
+     * INTERNAL STUFF
+     */
+
+    this.options = Object.assign({}, defaultOptions, options || {});
+    this.position = null;
+    this.reported = null;
+    this.walk = null;
+    this.distanceWalked = 0;
+
+    /**
+     * Moves one interval's distance towards the target and schedules the next step.
+     * @private
+     */
+    this.step = function() {
+        const walk = self.walk,
+            position = self.position,
+            remaining = Utils.getDistance(position.latitude, position.longitude,
+                walk.target.latitude, walk.target.longitude),
+            variance = 1 + (Math.random() * 2 - 1) * self.options.speedVariance,
+            stepDistance = Math.min(remaining, self.options.speed * variance * self.options.interval / 1000),
+            fraction = remaining > 0 ? stepDistance / remaining : 1;
+
+        position.latitude += (walk.target.latitude - position.latitude) * fraction;
+        position.longitude += (walk.target.longitude - position.longitude) * fraction;
+        walk.distance += stepDistance;
+        self.distanceWalked += stepDistance;
+
+        self.updateClientPosition();
+
+        self.emit('progress', {
+            latitude: position.latitude,
+            longitude: position.longitude,
+            distance: walk.distance,
+            remaining: remaining - stepDistance,
+            totalDistance: self.distanceWalked
+        });
+
+        if (stepDistance >= remaining) {
+            self.walk = null;
+            self.emit('arrived', walk.target);
+            walk.resolve();
+            return;
+        }
+
+        walk.timer = setTimeout(self.step, self.options.interval);
+    };
+
+    /**
+     * Passes the current position to the client as a new location fix with some GPS noise.
+     * @private
+     */
+    this.updateClientPosition = function() {
+        const position = self.position,
+            angle = Math.random() * 2 * Math.PI,
+            offset = Math.random() * self.options.jitter,
+            reported = geometry.localUnprojection(position.latitude, position.longitude)({
+                x: Math.cos(angle) * offset,
+                y: Math.sin(angle) * offset
+            }),
+            accuracies = self.options.accuracy;
+
+        client.setPosition({
+            latitude: reported.latitude,
+            longitude: reported.longitude,
+            accuracy: Array.isArray(accuracies) ? accuracies[Math.floor(Math.random() * accuracies.length)]
+                : accuracies,
+            altitude: position.altitude ? position.altitude + (Math.random() * 2 - 1) * self.options.altitudeJitter
+                : 0
+        });
+        self.reported = reported;
+    };
+}
+
+Walker.prototype = Object.create(EventEmitter.prototype);
+
+module.exports = Walker;
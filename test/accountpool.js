@@ -0,0 +1,48 @@
+'use strict';
+
+const assert = require('assert'),
+    AccountPool = require('../pogobuf/pogobuf.accountpool.js');
+
+function createPool() {
+    return new AccountPool([
+        { username: 'ash', password: 'pikachu' },
+        { username: 'misty', password: 'staryu', authType: 'google' }
+    ]);
+}
+
+describe('AccountPool', () => {
+    it('reports the health of its accounts', () => {
+        const health = createPool().getHealth();
+
+        assert.deepEqual(health.map(a => [a.username, a.authType, a.status, a.inUse, a.loggedIn]), [
+            ['ash', 'ptc', 'ready', false, false],
+            ['misty', 'google', 'ready', false, false]
+        ]);
+    });
+
+    it('takes accounts out of rotation and puts them back', () => {
+        const pool = createPool(),
+            events = [];
+        pool.on('account-status', event => events.push(event));
+
+        pool.disable('ash', 'banned');
+        pool.enable('ash');
+
+        assert.deepEqual(events, [
+            { username: 'ash', status: 'banned', detail: null },
+            { username: 'ash', status: 'ready', detail: null }
+        ]);
+        assert.strictEqual(pool.getHealth()[0].status, 'ready');
+    });
+
+    it('rejects acquire() when no account is left in rotation', () => {
+        const pool = createPool();
+        pool.disable('ash');
+        pool.disable('misty');
+
+        return pool.acquire()
+            .then(() => assert.fail('acquire() should have failed'), err => {
+                assert.strictEqual(err.message, 'No accounts left in rotation');
+            });
+    });
+});
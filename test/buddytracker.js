@@ -0,0 +1,83 @@
+'use strict';
+
+const assert = require('assert'),
+    EventEmitter = require('events').EventEmitter,
+    POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird'),
+    BuddyTracker = require('../pogobuf/pogobuf.buddytracker.js');
+
+const SetBuddyResult = POGOProtos.Networking.Responses.SetBuddyPokemonResponse.Result;
+
+const TEMPLATES = {
+    pokemon_settings: [
+        { pokemon_id: 1, family_id: 1, km_buddy_distance: 3 },
+        { pokemon_id: 4, family_id: 4, km_buddy_distance: 3 }
+    ],
+    player_level_settings: { cp_multiplier: [0.094] }
+};
+
+const BULBASAUR = { id: 'b1', pokemon_id: 1 },
+    CHARMANDER = { id: 'b2', pokemon_id: 4 };
+
+function createClient() {
+    const client = new EventEmitter();
+    client.calls = [];
+    client.getBuddyWalked = () => {
+        client.calls.push('getBuddyWalked');
+        return Promise.resolve({ success: true, family_candy_id: 1, candy_earned_count: 1 });
+    };
+    client.setBuddyPokemon = id => {
+        client.calls.push(['setBuddyPokemon', id]);
+        return Promise.resolve({
+            result: SetBuddyResult.SUCCESS,
+            updated_buddy: { id: id, start_km_walked: 13, last_km_awarded: 13 }
+        });
+    };
+    return client;
+}
+
+describe('BuddyTracker', () => {
+    it('tracks the distance to the next candy and checks once it is due', () => {
+        const client = createClient(),
+            tracker = new BuddyTracker(client, TEMPLATES);
+
+        tracker.setKmWalked(12);
+        tracker.update({ id: 'b1', start_km_walked: 10, last_km_awarded: 10 }, BULBASAUR);
+
+        const status = tracker.getStatus();
+        assert.deepEqual([status.km_walked, status.km_to_next_candy, status.candy_earned], [2, 1, 0]);
+        assert(Math.abs(status.progress - 2 / 3) < 1e-9);
+        assert.deepEqual(client.calls, []);
+
+        const candy = new Promise(resolve => tracker.once('candy', resolve));
+        tracker.setKmWalked(13);
+
+        return candy.then(event => {
+            assert.deepEqual(client.calls, ['getBuddyWalked']);
+            assert.strictEqual(event.family_candy_id, 1);
+            assert.strictEqual(tracker.getStatus().candy_earned, 1);
+            assert.strictEqual(tracker.getStatus().km_to_next_candy, 3);
+        });
+    });
+
+    it('rotates buddies round-robin after earning candy', () => {
+        const client = createClient(),
+            tracker = new BuddyTracker(client, TEMPLATES, {
+                rotation: 'round-robin',
+                rotationList: [BULBASAUR, CHARMANDER]
+            });
+
+        tracker.update({ id: 'b1' }, BULBASAUR);
+
+        const changed = new Promise(resolve => tracker.once('buddy-changed', resolve));
+        client.emit('buddy-walked', { success: true, family_candy_id: 1, candy_earned_count: 1 });
+
+        return changed.then(buddy => {
+            assert.deepEqual(client.calls, [['setBuddyPokemon', 'b2']]);
+            assert.strictEqual(buddy.pokemon_id, 4);
+            assert.strictEqual(tracker.getStatus().candy_earned, 0);
+            tracker.detach();
+            assert.strictEqual(client.listenerCount('buddy-walked'), 0);
+        });
+    });
+});
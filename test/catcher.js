@@ -0,0 +1,114 @@
+'use strict';
+
+const assert = require('assert'),
+    POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird'),
+    Catcher = require('../pogobuf/pogobuf.catcher.js');
+
+const Responses = POGOProtos.Networking.Responses,
+    ItemId = POGOProtos.Inventory.Item.ItemId,
+    CatchStatus = Responses.CatchPokemonResponse.CatchStatus;
+
+const TARGET = { encounter_id: '1234', spawn_point_id: '89c25a', pokemon_id: 16 };
+
+function createInventory(counts) {
+    return { getItemCount: itemID => counts[itemID] || 0 };
+}
+
+function createClient(catchStatuses) {
+    const calls = [];
+    return {
+        calls: calls,
+        encounter: (encounterID, spawnPointID) => {
+            calls.push(['encounter', encounterID, spawnPointID]);
+            return Promise.resolve({
+                status: Responses.EncounterResponse.Status.ENCOUNTER_SUCCESS,
+                wild_pokemon: { pokemon_data: { pokemon_id: 16 } },
+                capture_probability: {
+                    pokeball_type: [ItemId.ITEM_POKE_BALL, ItemId.ITEM_GREAT_BALL, ItemId.ITEM_ULTRA_BALL],
+                    capture_probability: [0.2, 0.3, 0.4]
+                }
+            });
+        },
+        useItemEncounter: (itemID, encounterID) => {
+            calls.push(['useItemEncounter', itemID, encounterID]);
+            return Promise.resolve({
+                status: Responses.UseItemEncounterResponse.Status.SUCCESS,
+                capture_probability: {
+                    pokeball_type: [ItemId.ITEM_POKE_BALL, ItemId.ITEM_GREAT_BALL, ItemId.ITEM_ULTRA_BALL],
+                    capture_probability: [0.3, 0.45, 0.6]
+                }
+            });
+        },
+        catchPokemon: (encounterID, ball) => {
+            calls.push(['catchPokemon', ball]);
+            const status = catchStatuses.shift();
+            return Promise.resolve({
+                status: status,
+                captured_pokemon_id: status === CatchStatus.CATCH_SUCCESS ? '5678' : 0,
+                capture_award: status === CatchStatus.CATCH_SUCCESS ? {
+                    xp: [100, 10],
+                    candy: [3],
+                    stardust: [100]
+                } : null
+            });
+        }
+    };
+}
+
+describe('Catcher', () => {
+    it('feeds a berry at low capture probabilities and throws until caught', () => {
+        const client = createClient([CatchStatus.CATCH_ESCAPE, CatchStatus.CATCH_SUCCESS]),
+            catcher = new Catcher(client, {
+                inventory: createInventory({
+                    [ItemId.ITEM_POKE_BALL]: 10,
+                    [ItemId.ITEM_RAZZ_BERRY]: 1
+                })
+            });
+
+        return catcher.catchEncounter(TARGET).then(outcome => {
+            assert.deepEqual(client.calls, [
+                ['encounter', '1234', '89c25a'],
+                ['useItemEncounter', ItemId.ITEM_RAZZ_BERRY, '1234'],
+                ['catchPokemon', ItemId.ITEM_POKE_BALL],
+                ['catchPokemon', ItemId.ITEM_POKE_BALL]
+            ]);
+            assert.strictEqual(outcome.result, 'caught');
+            assert.strictEqual(outcome.attempts, 2);
+            assert.strictEqual(outcome.captured_pokemon_id, '5678');
+            assert.deepEqual(outcome.items_used, {
+                [ItemId.ITEM_POKE_BALL]: 2,
+                [ItemId.ITEM_RAZZ_BERRY]: 1
+            });
+            assert.deepEqual([outcome.xp, outcome.candy, outcome.stardust], [110, 3, 100]);
+        });
+    });
+
+    it('prefers the first ball that reaches the minimum capture probability', () => {
+        const client = createClient([CatchStatus.CATCH_FLEE]),
+            catcher = new Catcher(client, {
+                minCaptureProbability: 0.35,
+                berry: null,
+                inventory: createInventory({
+                    [ItemId.ITEM_POKE_BALL]: 10,
+                    [ItemId.ITEM_GREAT_BALL]: 10,
+                    [ItemId.ITEM_ULTRA_BALL]: 10
+                })
+            });
+
+        return catcher.catchEncounter(TARGET).then(outcome => {
+            assert.deepEqual(client.calls.slice(1), [['catchPokemon', ItemId.ITEM_ULTRA_BALL]]);
+            assert.strictEqual(outcome.result, 'fled');
+        });
+    });
+
+    it('stops when there are no balls left', () => {
+        const client = createClient([]),
+            catcher = new Catcher(client, { inventory: createInventory({}) });
+
+        return catcher.catchEncounter(TARGET).then(outcome => {
+            assert.strictEqual(outcome.result, 'no-balls');
+            assert.strictEqual(outcome.attempts, 0);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const assert = require('assert'),
+    POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird'),
+    Catcher = require('../pogobuf/pogobuf.catcher.js');
+
+const Responses = POGOProtos.Networking.Responses,
+    ItemId = POGOProtos.Inventory.Item.ItemId;
+
+function createClient() {
+    const calls = [];
+    return {
+        calls: calls,
+        diskEncounter: (encounterID, fortID) => {
+            calls.push(['diskEncounter', encounterID, fortID]);
+            return Promise.resolve({
+                result: Responses.DiskEncounterResponse.Result.SUCCESS,
+                pokemon_data: { pokemon_id: 129 },
+                capture_probability: { pokeball_type: [ItemId.ITEM_POKE_BALL], capture_probability: [0.9] }
+            });
+        },
+        incenseEncounter: (encounterID, encounterLocation) => {
+            calls.push(['incenseEncounter', encounterID, encounterLocation]);
+            return Promise.resolve({
+                result: Responses.IncenseEncounterResponse.Result.POKEMON_INVENTORY_FULL
+            });
+        },
+        catchPokemon: (encounterID, ball, reticleSize, spawnPointID) => {
+            calls.push(['catchPokemon', encounterID, spawnPointID]);
+            return Promise.resolve({
+                status: Responses.CatchPokemonResponse.CatchStatus.CATCH_SUCCESS,
+                captured_pokemon_id: '42'
+            });
+        }
+    };
+}
+
+describe('Catcher encounter targets', () => {
+    it('encounters lure Pokémon at their fort', () => {
+        const client = createClient(),
+            catcher = new Catcher(client, {
+                berry: null,
+                inventory: { getItemCount: () => 5 }
+            });
+
+        return catcher.catchEncounter({
+            id: 'fort1',
+            lure_info: { fort_id: 'fort1', encounter_id: '77', active_pokemon_id: 129 }
+        }).then(outcome => {
+            assert.deepEqual(client.calls, [
+                ['diskEncounter', '77', 'fort1'],
+                ['catchPokemon', '77', 'fort1']
+            ]);
+            assert.strictEqual(outcome.encounter.type, 'lure');
+            assert.strictEqual(outcome.pokemon_id, 129);
+            assert.strictEqual(outcome.result, 'caught');
+        });
+    });
+
+    it('encounters incense Pokémon at their encounter location and reports failures', () => {
+        const client = createClient(),
+            catcher = new Catcher(client);
+
+        return catcher.catchEncounter({
+            encounter_id: '88',
+            encounter_location: '89c25b',
+            pokemon_id: 19
+        }).then(outcome => {
+            assert.deepEqual(client.calls, [['incenseEncounter', '88', '89c25b']]);
+            assert.strictEqual(outcome.encounter.type, 'incense');
+            assert.strictEqual(outcome.encounter.spawn_point_id, '89c25b');
+            assert.strictEqual(outcome.pokemon_id, 19);
+            assert.strictEqual(outcome.result, 'encounter-failed');
+        });
+    });
+});
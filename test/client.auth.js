@@ -0,0 +1,71 @@
+'use strict';
+
+const assert = require('assert'),
+    POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird'),
+    Client = require('../pogobuf/pogobuf.client.js'),
+    MockServer = require('../pogobuf/pogobuf.mockserver.js');
+
+const RequestType = POGOProtos.Networking.Requests.RequestType;
+
+function createClient(server, options) {
+    const client = new Client(Object.assign({
+        authType: 'ptc',
+        authToken: 'token',
+        downloadSettings: false,
+        maxTries: 1,
+        transport: server
+    }, options));
+    client.setPosition(40.7, -74);
+    return client;
+}
+
+describe('Client authProvider option', () => {
+    it('gets a new token from a function when the auth ticket is rejected', () => {
+        const server = new MockServer(),
+            providerCalls = [];
+        var refreshed = 0;
+
+        const client = createClient(server, {
+            authProvider: c => {
+                providerCalls.push(c);
+                return Promise.resolve('new-token');
+            }
+        });
+        client.on('auth-refreshed', () => refreshed++);
+        server.setHandler(RequestType.GET_PLAYER, () => ({ success: true }));
+
+        return client.init()
+            .then(() => client.getPlayer('US', 'en', 'Europe/Paris'))
+            .then(() => {
+                server.expireAuthTickets();
+                return client.getPlayer('US', 'en', 'Europe/Paris');
+            })
+            .then(response => {
+                assert.strictEqual(response.success, true);
+                assert.deepEqual(providerCalls, [client]);
+                assert.strictEqual(refreshed, 1);
+                assert.strictEqual(client.options.authToken, 'new-token');
+            });
+    });
+
+    it('logs in again with the credentials option', () => {
+        const server = new MockServer({ validateToken: (provider, token) => token === 'valid' }),
+            logins = [];
+
+        const client = createClient(server, {
+            authToken: 'expired',
+            authProvider: {
+                login: (username, password) => {
+                    logins.push([username, password]);
+                    return 'valid';
+                }
+            },
+            credentials: { username: 'ash', password: 'pikachu' }
+        });
+
+        return client.init()
+            .then(() => client.getPlayer('US', 'en', 'Europe/Paris'))
+            .then(() => assert.deepEqual(logins, [['ash', 'pikachu']]));
+    });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const assert = require('assert'),
+    POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird'),
+    Client = require('../pogobuf/pogobuf.client.js'),
+    MockServer = require('../pogobuf/pogobuf.mockserver.js');
+
+const RequestType = POGOProtos.Networking.Requests.RequestType;
+
+const CHALLENGE_URL = 'https://example.com/captcha';
+
+function createClient(server, options) {
+    const client = new Client(Object.assign({
+        authType: 'ptc',
+        authToken: 'token',
+        downloadSettings: false,
+        maxTries: 1,
+        checkChallenges: true,
+        transport: server
+    }, options));
+    client.setPosition(40.7, -74);
+    return client;
+}
+
+function createServer(state) {
+    const server = new MockServer();
+
+    server.on('request', envelope => state.requestTypes.push(envelope.requests.map(r => r.request_type)));
+    server.setHandler(RequestType.GET_PLAYER, () => ({ success: true }));
+    server.setHandler(RequestType.CHECK_CHALLENGE, () => ({
+        show_challenge: !state.solved,
+        challenge_url: state.solved ? '' : CHALLENGE_URL
+    }));
+    server.setHandler(RequestType.VERIFY_CHALLENGE, message => {
+        state.solved = message.token === 'solved';
+        return { success: state.solved };
+    });
+    return server;
+}
+
+describe('Client challenge detection', () => {
+    it('adds checkChallenge to calls and emits a challenge event', () => {
+        const state = { solved: false, requestTypes: [] },
+            client = createClient(createServer(state)),
+            challenges = [];
+        client.on('challenge', event => challenges.push(event));
+
+        return client.init()
+            .then(() => client.getPlayer('US', 'en', 'Europe/Paris'))
+            .then(response => {
+                assert.strictEqual(response.success, true);
+                assert.deepEqual(state.requestTypes.pop(), [RequestType.GET_PLAYER, RequestType.CHECK_CHALLENGE]);
+                assert.deepEqual(challenges, [{ challenge_url: CHALLENGE_URL }]);
+            });
+    });
+
+    it('solves challenges with the challengeSolver option', () => {
+        const state = { solved: false, requestTypes: [] },
+            solverCalls = [];
+
+        const client = createClient(createServer(state), {
+            challengeSolver: (url, c) => {
+                solverCalls.push([url, c]);
+                return Promise.resolve('solved');
+            }
+        });
+        const solved = new Promise(resolve => client.once('challenge-solved', resolve));
+
+        return client.init()
+            .then(() => client.getPlayer('US', 'en', 'Europe/Paris'))
+            .then(() => solved)
+            .then(() => {
+                assert.deepEqual(solverCalls, [[CHALLENGE_URL, client]]);
+                assert(state.solved);
+            });
+    });
+});
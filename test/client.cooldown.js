@@ -0,0 +1,50 @@
+'use strict';
+
+const assert = require('assert'),
+    POGOProtos = require('node-pogo-protos'),
+    Client = require('../pogobuf/pogobuf.client.js'),
+    MockServer = require('../pogobuf/pogobuf.mockserver.js'),
+    errors = require('../pogobuf/pogobuf.errors.js'),
+    Utils = require('../pogobuf/pogobuf.utils.js');
+
+const RequestType = POGOProtos.Networking.Requests.RequestType;
+
+describe('Soft ban cooldown', () => {
+    it('Utils.getCooldown() follows the cooldown table', () => {
+        assert.strictEqual(Utils.getCooldown(0), 0);
+        assert.strictEqual(Utils.getCooldown(999), 0);
+        assert.strictEqual(Utils.getCooldown(1000), 60 * 1000);
+        assert.strictEqual(Utils.getCooldown(30000), 14 * 60 * 1000);
+        assert.strictEqual(Utils.getCooldown(2000000), 120 * 60 * 1000);
+    });
+
+    it('rejects actions during the cooldown with the reject cooldownGuard', () => {
+        const server = new MockServer();
+        server.setHandler(RequestType.FORT_SEARCH, () => ({ result: 1 }));
+
+        const client = new Client({
+            authType: 'ptc',
+            authToken: 'token',
+            downloadSettings: false,
+            maxTries: 1,
+            cooldownGuard: 'reject',
+            transport: server
+        });
+        client.setPosition(40.7, -74);
+
+        return client.init()
+            .then(() => client.fortSearch('fort', 40.7, -74))
+            .then(() => {
+                assert.strictEqual(client.getCooldown(), 0);
+
+                client.setPosition(40.8, -74);
+                assert(client.getCooldown() > 5 * 60 * 1000);
+                return client.fortSearch('fort', 40.8, -74);
+            })
+            .then(() => assert.fail('fortSearch() should have failed'), err => {
+                assert(err instanceof errors.CooldownError);
+                assert(Math.abs(err.distance - 11119) < 10);
+                assert.deepEqual(err.requestTypes, [RequestType.FORT_SEARCH]);
+            });
+    });
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const assert = require('assert'),
+    POGOProtos = require('node-pogo-protos'),
+    Client = require('../pogobuf/pogobuf.client.js'),
+    MockServer = require('../pogobuf/pogobuf.mockserver.js'),
+    errors = require('../pogobuf/pogobuf.errors.js');
+
+const RequestType = POGOProtos.Networking.Requests.RequestType;
+
+function createClient(server, options) {
+    const client = new Client(Object.assign({
+        authType: 'ptc',
+        authToken: 'token',
+        downloadSettings: false,
+        maxTries: 1,
+        transport: server
+    }, options));
+    client.setPosition(40.7, -74);
+    return client;
+}
+
+describe('Client errors', () => {
+    it('rejects failed calls with an RpcStatusError', () => {
+        const server = new MockServer().queueStatus(3),
+            client = createClient(server);
+
+        return client.init()
+            .then(() => client.getPlayer('US', 'en', 'Europe/Paris'))
+            .then(() => assert.fail('getPlayer() should have failed'), err => {
+                assert(err instanceof errors.RpcStatusError);
+                assert(err instanceof errors.PogobufError);
+                assert.strictEqual(err.statusCode, 3);
+                assert.deepEqual(err.requestTypes, [RequestType.GET_PLAYER]);
+            });
+    });
+
+    it('resends throttled calls without using up a try', function() {
+        this.timeout(5000);
+
+        const server = new MockServer().queueStatus(52),
+            client = createClient(server);
+        server.setHandler(RequestType.GET_PLAYER, () => ({ success: true }));
+
+        return client.init()
+            .then(() => client.getPlayer('US', 'en', 'Europe/Paris'))
+            .then(response => assert.strictEqual(response.success, true));
+    });
+
+    it('rejects calls throttled more than maxThrottleRetries times with a ThrottledError', () => {
+        const server = new MockServer().queueStatus(52),
+            client = createClient(server, { maxThrottleRetries: 0 });
+
+        return client.init()
+            .then(() => client.getPlayer('US', 'en', 'Europe/Paris'))
+            .then(() => assert.fail('getPlayer() should have failed'), err => {
+                assert(err instanceof errors.ThrottledError);
+                assert.strictEqual(err.statusCode, 52);
+            });
+    });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const assert = require('assert'),
+    POGOProtos = require('node-pogo-protos'),
+    Client = require('../pogobuf/pogobuf.client.js'),
+    MockServer = require('../pogobuf/pogobuf.mockserver.js');
+
+const RequestType = POGOProtos.Networking.Requests.RequestType;
+
+function createClient(server, options) {
+    const client = new Client(Object.assign({
+        authType: 'ptc',
+        authToken: 'token',
+        downloadSettings: false,
+        maxTries: 1,
+        transport: server
+    }, options));
+    client.setPosition(40.7, -74);
+    return client;
+}
+
+describe('Client sessions', () => {
+    it('resumes a saved session without logging in again', () => {
+        const server = new MockServer(),
+            client = createClient(server);
+        server.setHandler(RequestType.GET_PLAYER, () => ({ success: true }));
+
+        return client.init()
+            .then(() => client.getPlayer('US', 'en', 'Europe/Paris'))
+            .then(() => {
+                const session = JSON.parse(JSON.stringify(client.getSession())),
+                    restored = createClient(server, { authToken: '' }),
+                    envelopes = [];
+
+                server.on('request', envelope => envelopes.push(envelope));
+                restored.restoreSession(session);
+                assert.strictEqual(restored.endpoint, client.endpoint);
+
+                return restored.init()
+                    .then(() => restored.getPlayer('US', 'en', 'Europe/Paris'))
+                    .then(response => {
+                        assert.strictEqual(response.success, true);
+                        assert.strictEqual(envelopes.length, 1);
+                        assert(envelopes[0].auth_ticket);
+                        assert.strictEqual(envelopes[0].auth_info, null);
+                    });
+            });
+    });
+
+    it('emits auth-expiring before the auth ticket expires', () => {
+        const server = new MockServer({ authTicketLifetime: 1100 }),
+            client = createClient(server, { authExpiryWarning: 1000 });
+
+        const expiring = new Promise(resolve => client.once('auth-expiring', resolve));
+
+        return client.init()
+            .then(() => client.getPlayer('US', 'en', 'Europe/Paris'))
+            .then(() => expiring)
+            .then(event => {
+                assert.strictEqual(event.expire_timestamp_ms, client.getSession().authTicket.expire_timestamp_ms);
+            });
+    });
+});
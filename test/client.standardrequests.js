@@ -0,0 +1,58 @@
+'use strict';
+
+const assert = require('assert'),
+    POGOProtos = require('node-pogo-protos'),
+    Client = require('../pogobuf/pogobuf.client.js'),
+    MockServer = require('../pogobuf/pogobuf.mockserver.js');
+
+const RequestType = POGOProtos.Networking.Requests.RequestType;
+
+describe('Client includeStandardRequests option', () => {
+    it('adds the standard requests to calls and emits their responses as events', () => {
+        const server = new MockServer(),
+            requestTypes = [],
+            inventoryTimestamps = [],
+            events = [];
+
+        server.on('request', envelope => requestTypes.push(envelope.requests.map(r => r.request_type)));
+        server.setHandler(RequestType.GET_PLAYER, () => ({ success: true }));
+        server.setHandler(RequestType.GET_INVENTORY, message => {
+            inventoryTimestamps.push(message.last_timestamp_ms.toNumber());
+            return {
+                success: true,
+                inventory_delta: { new_timestamp_ms: 1500000000000 }
+            };
+        });
+
+        const client = new Client({
+            authType: 'ptc',
+            authToken: 'token',
+            downloadSettings: false,
+            maxTries: 1,
+            includeStandardRequests: true,
+            transport: server
+        });
+        client.setPosition(40.7, -74);
+        ['hatched-eggs', 'inventory', 'awarded-badges', 'settings', 'buddy-walked']
+            .forEach(event => client.on(event, () => events.push(event)));
+
+        return client.init()
+            .then(() => client.getPlayer('US', 'en', 'Europe/Paris'))
+            .then(response => {
+                assert.strictEqual(response.success, true);
+                assert.deepEqual(requestTypes.pop(), [
+                    RequestType.GET_PLAYER,
+                    RequestType.CHECK_CHALLENGE,
+                    RequestType.GET_HATCHED_EGGS,
+                    RequestType.GET_INVENTORY,
+                    RequestType.CHECK_AWARDED_BADGES,
+                    RequestType.DOWNLOAD_SETTINGS,
+                    RequestType.GET_BUDDY_WALKED
+                ]);
+                assert.deepEqual(events, ['hatched-eggs', 'inventory', 'awarded-badges', 'settings', 'buddy-walked']);
+
+                return client.getPlayer('US', 'en', 'Europe/Paris');
+            })
+            .then(() => assert.deepEqual(inventoryTimestamps.slice(-2), [0, 1500000000000]));
+    });
+});
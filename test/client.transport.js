@@ -0,0 +1,38 @@
+'use strict';
+
+const assert = require('assert'),
+    POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird'),
+    Client = require('../pogobuf/pogobuf.client.js');
+
+const RequestType = POGOProtos.Networking.Requests.RequestType;
+
+describe('Client transport option', () => {
+    it('sends the request envelopes through the given transport', () => {
+        const sent = [];
+        const client = new Client({
+            authType: 'ptc',
+            authToken: 'token',
+            downloadSettings: false,
+            maxTries: 1,
+            transport: {
+                send: req => {
+                    sent.push(req);
+                    return Promise.resolve({ statusCode: 500, body: Buffer.alloc(0) });
+                }
+            }
+        });
+        client.setPosition(40.7, -74);
+
+        return client.init()
+            .then(() => client.getPlayer('US', 'en', 'Europe/Paris'))
+            .then(() => assert.fail('getPlayer() should have failed'), err => {
+                assert(/Status code 500/.test(err.message));
+                assert.strictEqual(sent.length, 1);
+                assert.strictEqual(sent[0].url, 'https://pgorelease.nianticlabs.com/plfe/rpc');
+
+                const envelope = POGOProtos.Networking.Envelopes.RequestEnvelope.decode(sent[0].body);
+                assert.deepEqual(envelope.requests.map(r => r.request_type), [RequestType.GET_PLAYER]);
+            });
+    });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const assert = require('assert'),
+    EventEmitter = require('events').EventEmitter,
+    POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird'),
+    EggManager = require('../pogobuf/pogobuf.eggmanager.js');
+
+const ItemId = POGOProtos.Inventory.Item.ItemId,
+    IncubatorResult = POGOProtos.Networking.Responses.UseItemEggIncubatorResponse.Result;
+
+const INVENTORY = {
+    pokemon: [
+        { id: 'egg2', is_egg: true, egg_km_walked_target: 2 },
+        { id: 'egg5', is_egg: true, egg_km_walked_target: 5 },
+        { id: 'egg10', is_egg: true, egg_km_walked_target: 10 },
+        { id: 'egg10b', is_egg: true, egg_km_walked_target: 10, egg_incubator_id: 'busy' },
+        { id: 'pidgey', pokemon_id: 16 }
+    ],
+    egg_incubators: [
+        { id: 'unlimited', item_id: ItemId.ITEM_INCUBATOR_BASIC_UNLIMITED },
+        { id: 'limited', item_id: ItemId.ITEM_INCUBATOR_BASIC },
+        {
+            id: 'busy',
+            item_id: ItemId.ITEM_INCUBATOR_BASIC,
+            pokemon_id: 'egg10b',
+            start_km_walked: 100,
+            target_km_walked: 110
+        }
+    ],
+    player: { km_walked: 104 }
+};
+
+function createClient() {
+    const client = new EventEmitter();
+    client.calls = [];
+    client.useItemEggIncubator = (incubatorID, eggID) => {
+        client.calls.push([incubatorID, eggID]);
+        return Promise.resolve({ result: IncubatorResult.SUCCESS });
+    };
+    return client;
+}
+
+describe('EggManager', () => {
+    it('gives limited incubators the longest eggs and the unlimited one the shortest', () => {
+        const manager = new EggManager(createClient());
+
+        assert.deepEqual(manager.plan(INVENTORY).map(a => [a.incubator_id, a.egg_id]), [
+            ['limited', 'egg10'],
+            ['unlimited', 'egg2']
+        ]);
+
+        manager.options.policy = 'shortest-first';
+        assert.deepEqual(manager.plan(INVENTORY).map(a => [a.incubator_id, a.egg_id]), [
+            ['unlimited', 'egg2'],
+            ['limited', 'egg5']
+        ]);
+    });
+
+    it('incubates the planned eggs and reports the progress of incubating ones', () => {
+        const client = createClient(),
+            manager = new EggManager(client, { inventory: INVENTORY, delay: 0 });
+
+        assert.deepEqual(manager.getProgress(), [{
+            incubator_id: 'busy',
+            egg_id: 'egg10b',
+            km_walked: 4,
+            km_target: 10,
+            km_remaining: 6,
+            progress: 0.4
+        }]);
+
+        return manager.incubate().then(results => {
+            assert.deepEqual(client.calls, [['limited', 'egg10'], ['unlimited', 'egg2']]);
+            assert(results.every(result => result.success));
+        });
+    });
+
+    it('emits hatched events for the client\'s hatched-eggs events', done => {
+        const client = createClient(),
+            manager = new EggManager(client, {
+                inventory: { getPokemonById: id => (id === '42' ? { id: '42', pokemon_id: 1 } : null) }
+            });
+
+        manager.on('hatched', hatched => {
+            assert.strictEqual(hatched.pokemon.pokemon_id, 1);
+            assert.strictEqual(hatched.stardust_awarded, 800);
+            manager.detach();
+            assert.strictEqual(client.listenerCount('hatched-eggs'), 0);
+            done();
+        });
+
+        client.emit('hatched-eggs', { success: true, pokemon_id: ['42'], stardust_awarded: [800] });
+    });
+});
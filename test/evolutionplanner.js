@@ -0,0 +1,111 @@
+'use strict';
+
+const assert = require('assert'),
+    POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird'),
+    EvolutionPlanner = require('../pogobuf/pogobuf.evolutionplanner.js');
+
+const ItemId = POGOProtos.Inventory.Item.ItemId,
+    Responses = POGOProtos.Networking.Responses;
+
+const TEMPLATES = {
+    pokemon_settings: [
+        {
+            pokemon_id: 16,
+            family_id: 16,
+            candy_to_evolve: 12,
+            evolution_ids: [17],
+            stats: { base_attack: 94, base_defense: 90, base_stamina: 80 }
+        },
+        {
+            pokemon_id: 17,
+            family_id: 16,
+            candy_to_evolve: 50,
+            evolution_ids: [18],
+            stats: { base_attack: 126, base_defense: 122, base_stamina: 126 }
+        },
+        {
+            pokemon_id: 18,
+            family_id: 16,
+            stats: { base_attack: 170, base_defense: 166, base_stamina: 166 }
+        }
+    ],
+    player_level_settings: {
+        cp_multiplier: [0.094, 0.16639787, 0.21573247, 0.25572005, 0.29024988]
+    },
+    pokemon_upgrade_settings: {
+        allowed_levels_above_player: 2,
+        candy_cost: [1, 1, 1, 1, 1],
+        stardust_cost: [200, 200, 200, 200, 200]
+    }
+};
+
+const INVENTORY = {
+    pokemon: [
+        { id: '1', pokemon_id: 16, cp_multiplier: 0.094 },
+        { id: '2', pokemon_id: 16, cp_multiplier: 0.094 },
+        { id: '3', pokemon_id: 16, cp_multiplier: 0.094 },
+        { id: '4', pokemon_id: 17, cp_multiplier: 0.21573247, cp: 100 }
+    ],
+    candies: [{ family_id: 16, candy: 30 }],
+    items: [{ item_id: ItemId.ITEM_LUCKY_EGG, count: 1 }],
+    pokedex: [{ pokemon_id: 16, times_captured: 10 }],
+    player: { level: 3 }
+};
+
+const PLAYER_DATA = { currencies: [{ name: 'STARDUST', amount: 500 }] };
+
+describe('EvolutionPlanner', () => {
+    it('plans evolutions by XP per candy and puts a Lucky Egg in front', () => {
+        const planner = new EvolutionPlanner({}, TEMPLATES, { luckyEggMinEvolutions: 2 }),
+            plan = planner.plan(INVENTORY, PLAYER_DATA);
+
+        assert.deepEqual(plan.actions.map(action => [action.type, action.id, action.xp]), [
+            ['lucky-egg', undefined, undefined],
+            ['evolve', '1', 3000],
+            ['evolve', '2', 1000]
+        ]);
+        assert.strictEqual(plan.xp, 4000);
+        assert.deepEqual(plan.candy_used, { 16: 24 });
+        assert.strictEqual(plan.stardust_used, 0);
+    });
+
+    it('plans power-ups up to the level cap with the remaining candy and stardust', () => {
+        const planner = new EvolutionPlanner({}, TEMPLATES, {
+                luckyEgg: false,
+                powerUpFilter: pokemon => pokemon.pokemon_id === 17
+            }),
+            plan = planner.plan(INVENTORY, PLAYER_DATA);
+
+        assert.deepEqual(plan.actions.filter(action => action.type === 'upgrade')
+            .map(action => [action.id, action.level]), [['4', 3.5], ['4', 4]]);
+        assert.strictEqual(plan.stardust_used, 400);
+        assert.deepEqual(plan.candy_used, { 16: 26 });
+    });
+
+    it('executes the actions and reports failures', () => {
+        const calls = [],
+            client = {
+                useItemXPBoost: itemID => {
+                    calls.push(['useItemXPBoost', itemID]);
+                    return Promise.resolve({ result: Responses.UseItemXpBoostResponse.Result.SUCCESS });
+                },
+                evolvePokemon: id => {
+                    calls.push(['evolvePokemon', id]);
+                    if (id === '2') return Promise.reject(Error('Network error'));
+                    return Promise.resolve({ result: Responses.EvolvePokemonResponse.Result.SUCCESS });
+                }
+            },
+            planner = new EvolutionPlanner(client, TEMPLATES, { luckyEggMinEvolutions: 2, delay: 0 });
+
+        return planner.execute(planner.plan(INVENTORY, PLAYER_DATA)).then(report => {
+            assert.deepEqual(calls, [
+                ['useItemXPBoost', ItemId.ITEM_LUCKY_EGG],
+                ['evolvePokemon', '1'],
+                ['evolvePokemon', '2']
+            ]);
+            assert.deepEqual(report.map(result => result.success), [true, true, false]);
+            assert.strictEqual(report[2].error.message, 'Network error');
+        });
+    });
+});
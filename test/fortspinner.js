@@ -0,0 +1,92 @@
+'use strict';
+
+const assert = require('assert'),
+    POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird'),
+    FortSpinner = require('../pogobuf/pogobuf.fortspinner.js'),
+    errors = require('../pogobuf/pogobuf.errors.js');
+
+const FortSearchResult = POGOProtos.Networking.Responses.FortSearchResponse.Result,
+    ItemId = POGOProtos.Inventory.Item.ItemId;
+
+const FORT = { id: 'stop1', latitude: 40.7, longitude: -74 };
+
+function createClient() {
+    const client = {
+        playerLatitude: 40.7,
+        playerLongitude: -74,
+        searches: [],
+        fortSearch: fortID => {
+            client.searches.push(fortID);
+            return Promise.resolve({
+                result: FortSearchResult.SUCCESS,
+                experience_awarded: 50,
+                items_awarded: [
+                    { item_id: ItemId.ITEM_POKE_BALL, item_count: 2 },
+                    { item_id: ItemId.ITEM_POKE_BALL, item_count: 1, bonus_count: 1 }
+                ]
+            });
+        }
+    };
+    return client;
+}
+
+describe('FortSpinner', () => {
+    it('searches PokéStops in range and adds up the rewards', () => {
+        const client = createClient(),
+            spinner = new FortSpinner(client);
+
+        return spinner.spin(FORT).then(() => {
+            assert.deepEqual(client.searches, ['stop1']);
+            assert.deepEqual(spinner.getRewards(), {
+                spins: 1,
+                xp: 50,
+                gems: 0,
+                eggs: 0,
+                items: { [ItemId.ITEM_POKE_BALL]: 4 }
+            });
+            assert.strictEqual(spinner.check('stop1'), FortSearchResult.IN_COOLDOWN_PERIOD);
+            return spinner.spin('stop1');
+        }).then(() => assert.fail('Expected the search to be refused'), err => {
+            assert(err instanceof errors.FortSearchError);
+            assert.strictEqual(err.result, FortSearchResult.IN_COOLDOWN_PERIOD);
+            assert.deepEqual(client.searches, ['stop1']);
+        });
+    });
+
+    it('refuses PokéStops that are out of range or unknown', () => {
+        const client = createClient(),
+            spinner = new FortSpinner(client);
+
+        client.playerLatitude = 40.71;
+
+        return spinner.spin(FORT).then(() => assert.fail('Expected the search to be refused'), err => {
+            assert(err instanceof errors.FortSearchError);
+            assert.strictEqual(err.result, FortSearchResult.OUT_OF_RANGE);
+            assert.strictEqual(spinner.check('unknown'), FortSearchResult.OUT_OF_RANGE);
+            return spinner.spin('unknown');
+        }).then(() => assert.fail('Expected the search to be refused'), err => {
+            assert.strictEqual(err.result, FortSearchResult.OUT_OF_RANGE);
+            assert.deepEqual(client.searches, []);
+        });
+    });
+
+    it('sends queued searches once the player is in range', () => {
+        const client = createClient(),
+            spinner = new FortSpinner(client, { queue: true, queueInterval: 10 });
+
+        client.playerLatitude = 40.71;
+
+        const spin = spinner.spin(FORT);
+        assert.strictEqual(spinner.getQueueLength(), 1);
+
+        return Promise.delay(30).then(() => {
+            assert.deepEqual(client.searches, []);
+            client.playerLatitude = 40.7;
+            return spin;
+        }).then(response => {
+            assert.strictEqual(response.result, FortSearchResult.SUCCESS);
+            assert.strictEqual(spinner.getQueueLength(), 0);
+        });
+    });
+});
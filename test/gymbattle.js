@@ -0,0 +1,92 @@
+'use strict';
+
+const assert = require('assert'),
+    POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird'),
+    GymBattle = require('../pogobuf/pogobuf.gymbattle.js');
+
+const BattleState = POGOProtos.Data.Battle.BattleState,
+    StartResult = POGOProtos.Networking.Responses.StartGymBattleResponse.Result;
+
+const TEMPLATES = {
+    pokemon_settings: [
+        { pokemon_id: 16, type: 1, stats: { base_attack: 94, base_defense: 90, base_stamina: 80 } },
+        { pokemon_id: 18, type: 1, stats: { base_attack: 170, base_defense: 166, base_stamina: 166 } }
+    ],
+    move_settings: [
+        { movement_id: 219, pokemon_type: 1, power: 8, duration_ms: 800, energy_delta: 10 },
+        { movement_id: 80, pokemon_type: 1, power: 40, duration_ms: 2000, energy_delta: -33 }
+    ],
+    player_level_settings: {
+        cp_multiplier: [0.094, 0.16639787, 0.21573247, 0.25572005, 0.29024988]
+    }
+};
+
+const PIDGEY = { id: 'p1', pokemon_id: 16, cp_multiplier: 0.094, move_1: 219, move_2: 80 },
+    PIDGEOT = {
+        id: 'p2',
+        pokemon_id: 18,
+        cp_multiplier: 0.29024988,
+        individual_attack: 15,
+        individual_defense: 15,
+        individual_stamina: 15,
+        move_1: 219,
+        move_2: 80
+    };
+
+function createGym(defender) {
+    return {
+        fort_data: { id: 'gym1' },
+        memberships: [{ pokemon_data: defender }]
+    };
+}
+
+describe('GymBattle', () => {
+    it('simulates battles until one side is out of Pokémon', () => {
+        const battle = new GymBattle({}, TEMPLATES),
+            victory = battle.simulate(createGym(PIDGEY), [PIDGEOT]),
+            defeat = battle.simulate(createGym(PIDGEOT), [PIDGEY]);
+
+        assert.strictEqual(victory.result, 'victory');
+        assert.deepEqual([victory.defenders_defeated, victory.attackers_fainted], [1, 0]);
+        assert.strictEqual(victory.log[victory.log.length - 1].side, 'attacker');
+        assert.strictEqual(defeat.result, 'defeated');
+        assert.deepEqual([defeat.defenders_defeated, defeat.attackers_fainted], [0, 1]);
+    });
+
+    it('ends a battle when the start response reports its outcome', () => {
+        const client = {
+                startGymBattle: (gymID, attackerIDs, defenderID) => {
+                    assert.deepEqual([gymID, attackerIDs, defenderID], ['gym1', ['p2'], 'p1']);
+                    return Promise.resolve({
+                        result: StartResult.SUCCESS,
+                        battle_id: 'battle1',
+                        battle_log: { state: BattleState.VICTORY, server_ms: Date.now() }
+                    });
+                }
+            },
+            battle = new GymBattle(client, TEMPLATES);
+
+        return battle.battle({ gym_state: createGym(PIDGEY) }, [PIDGEOT]).then(outcome => {
+            assert.strictEqual(outcome.result, 'victory');
+            assert.strictEqual(outcome.battle_id, 'battle1');
+            assert.strictEqual(outcome.rounds, 0);
+        });
+    });
+
+    it('reports failed starts and rejects starts without a battle log', () => {
+        var response = { result: StartResult.ERROR_GYM_NOT_FOUND };
+        const client = { startGymBattle: () => Promise.resolve(response) },
+            battle = new GymBattle(client, TEMPLATES);
+
+        return battle.battle(createGym(PIDGEY), [PIDGEOT]).then(outcome => {
+            assert.strictEqual(outcome.result, 'start-failed');
+            assert.strictEqual(outcome.status, StartResult.ERROR_GYM_NOT_FOUND);
+
+            response = { result: StartResult.SUCCESS, battle_id: 'battle1' };
+            return battle.battle(createGym(PIDGEY), [PIDGEOT]);
+        }).then(() => assert.fail('Expected the battle to be rejected'), err => {
+            assert.strictEqual(err.message, 'Battle started without a battle log');
+        });
+    });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const assert = require('assert'),
+    POGOProtos = require('node-pogo-protos'),
+    Promise = require('bluebird'),
+    InventoryCleaner = require('../pogobuf/pogobuf.inventorycleaner.js');
+
+const ItemId = POGOProtos.Inventory.Item.ItemId,
+    Responses = POGOProtos.Networking.Responses;
+
+const INVENTORY = {
+    items: [
+        { item_id: ItemId.ITEM_POKE_BALL, count: 120 },
+        { item_id: ItemId.ITEM_POTION, count: 10 }
+    ],
+    pokemon: [
+        { id: '1', pokemon_id: 16, cp: 100, individual_attack: 15, individual_defense: 15, individual_stamina: 15 },
+        { id: '2', pokemon_id: 16, cp: 200, individual_attack: 1, individual_defense: 1, individual_stamina: 1 },
+        { id: '3', pokemon_id: 16, cp: 150, individual_attack: 5, individual_defense: 5, individual_stamina: 5 },
+        { id: '4', pokemon_id: 16, cp: 50, favorite: 1 },
+        { id: '5', is_egg: true }
+    ]
+};
+
+describe('InventoryCleaner', () => {
+    it('plans item recycling and releases by rank within a species', () => {
+        const cleaner = new InventoryCleaner({}, {
+            itemCaps: { [ItemId.ITEM_POKE_BALL]: 100, [ItemId.ITEM_POTION]: 20 },
+            keepPerSpecies: 1
+        });
+
+        const plan = cleaner.plan(INVENTORY, { buddy_pokemon: { id: '3' } });
+
+        assert.deepEqual(plan.items, [{ item_id: ItemId.ITEM_POKE_BALL, count: 20, current: 120, cap: 100 }]);
+        assert.deepEqual(plan.pokemon.map(pokemon => [pokemon.id, pokemon.rank]), [['2', 3]]);
+    });
+
+    it('requires playerData to protect the buddy', () => {
+        const cleaner = new InventoryCleaner({}, { keepPerSpecies: 1 });
+
+        assert.throws(() => cleaner.plan(INVENTORY), /playerData is required to protect the buddy/);
+        assert.strictEqual(new InventoryCleaner({}, { keepPerSpecies: 1, protectBuddy: false })
+            .plan(INVENTORY).pokemon.length, 2);
+        return cleaner.clean(INVENTORY)
+            .then(() => assert.fail('Expected the cleanup to be rejected'), err => {
+                assert(/playerData is required/.test(err.message));
+            });
+    });
+
+    it('executes a plan in steps and reports the results', () => {
+        const calls = [],
+            client = {
+                recycleInventoryItem: (itemID, count) => {
+                    calls.push(['recycle', itemID, count]);
+                    return Promise.resolve({ result: Responses.RecycleInventoryItemResponse.Result.SUCCESS });
+                },
+                releasePokemon: ids => {
+                    calls.push(['release', ids]);
+                    return Promise.resolve({
+                        result: Responses.ReleasePokemonResponse.Result.SUCCESS,
+                        candy_awarded: ids.length
+                    });
+                }
+            },
+            cleaner = new InventoryCleaner(client, {
+                itemCaps: { [ItemId.ITEM_POKE_BALL]: 100 },
+                keepPerSpecies: 0,
+                protectFavorites: false,
+                releaseBatchSize: 3,
+                delay: 0
+            });
+
+        return cleaner.clean(INVENTORY, {}).then(report => {
+            assert.deepEqual(calls, [
+                ['recycle', ItemId.ITEM_POKE_BALL, 20],
+                ['release', ['1', '3', '2']],
+                ['release', ['4']]
+            ]);
+            assert.strictEqual(report.candy, 4);
+            assert.strictEqual(report.pokemon.length, 4);
+            assert(report.items[0].success && report.pokemon.every(pokemon => pokemon.success));
+        });
+    });
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const assert = require('assert'),
+    Long = require('long'),
+    InventoryState = require('../pogobuf/pogobuf.inventorystate.js');
+
+function pokemon(id, pokemonID) {
+    return { inventory_item_data: { pokemon_data: { id: id, pokemon_id: pokemonID } } };
+}
+
+function item(itemID, count) {
+    return { inventory_item_data: { item: { item_id: itemID, count: count } } };
+}
+
+function response(items, originalTimestamp, newTimestamp) {
+    return {
+        success: true,
+        inventory_delta: {
+            original_timestamp_ms: originalTimestamp,
+            new_timestamp_ms: newTimestamp,
+            inventory_items: items
+        }
+    };
+}
+
+describe('InventoryState', () => {
+    it('applies a full inventory and following deltas', () => {
+        const state = new InventoryState(),
+            events = [];
+        state.on('pokemon-added', p => events.push(['pokemon-added', p.id]));
+        state.on('pokemon-removed', p => events.push(['pokemon-removed', p.id]));
+        state.on('item-changed', (itemID, count, previous) => events.push(['item-changed', itemID, count, previous]));
+
+        state.apply(response([pokemon('1', 16), pokemon('2', 19), item(1, 20)], 0, 1000));
+        state.apply(response([
+            { deleted_item: { pokemon_id: '1' } },
+            pokemon('3', 25),
+            item(1, 15)
+        ], 1000, 2000));
+
+        assert.deepEqual(state.getPokemon().map(p => p.id), ['2', '3']);
+        assert.strictEqual(state.getItemCount(1), 15);
+        assert.strictEqual(state.getLastTimestamp(), 2000);
+        assert.deepEqual(events, [
+            ['pokemon-added', '1'],
+            ['pokemon-added', '2'],
+            ['item-changed', 1, 20, 0],
+            ['pokemon-removed', '1'],
+            ['pokemon-added', '3'],
+            ['item-changed', 1, 15, 20]
+        ]);
+    });
+
+    it('removes what is missing from a full inventory', () => {
+        const state = new InventoryState();
+
+        state.apply(response([pokemon('1', 16), pokemon('2', 19), item(1, 20), item(2, 5)], 0, 1000));
+        state.apply(response([pokemon('2', 19), item(1, 20)], 0, 2000));
+
+        assert.deepEqual(state.getPokemon().map(p => p.id), ['2']);
+        assert.strictEqual(state.getItemCount(1), 20);
+        assert.strictEqual(state.getItemCount(2), 0);
+    });
+
+    it('finds Pokémon by Long, number or string ID', () => {
+        const state = new InventoryState(),
+            id = Long.fromString('9007199254740993', true);
+
+        state.apply(response([pokemon(id, 25)], 0, 1000));
+
+        assert.strictEqual(state.getPokemonById('9007199254740993').pokemon_id, 25);
+        assert.strictEqual(state.getPokemonById(Long.fromString('9007199254740993', true)).pokemon_id, 25);
+        assert.strictEqual(state.getPokemonById(42), null);
+    });
+});
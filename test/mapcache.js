@@ -0,0 +1,65 @@
+'use strict';
+
+const assert = require('assert'),
+    POGOProtos = require('node-pogo-protos'),
+    MapCache = require('../pogobuf/pogobuf.mapcache.js');
+
+const FortType = POGOProtos.Map.Fort.FortType;
+
+const CELL_ID = '9926595610352287744';
+
+function mapObjects(cell) {
+    return {
+        status: 1,
+        map_cells: [Object.assign({ s2_cell_id: CELL_ID }, cell)]
+    };
+}
+
+describe('MapCache', () => {
+    it('merges partial responses and tracks the cell timestamps', () => {
+        const cache = new MapCache();
+
+        cache.apply(mapObjects({
+            current_timestamp_ms: 1000,
+            forts: [
+                { id: 'stop', type: FortType.CHECKPOINT, latitude: 40.7, longitude: -74 },
+                { id: 'gym', type: FortType.GYM, latitude: 40.8, longitude: -74 }
+            ]
+        }));
+        cache.apply(mapObjects({
+            current_timestamp_ms: 2000,
+            deleted_objects: ['gym']
+        }));
+
+        assert.deepEqual(cache.getSinceTimestamps([CELL_ID, '1']), [2000, 0]);
+        assert.deepEqual(cache.getForts().map(fort => fort.id), ['stop']);
+        assert.deepEqual(cache.getPokestops(40.7, -74, 100).map(fort => fort.id), ['stop']);
+        assert.deepEqual(cache.getGyms(), []);
+    });
+
+    it('drops Pokémon once they have despawned', () => {
+        const cache = new MapCache(),
+            now = Date.now();
+
+        cache.apply(mapObjects({
+            catchable_pokemons: [
+                { encounter_id: '1', pokemon_id: 16, expiration_timestamp_ms: now + 60000 },
+                { encounter_id: '2', pokemon_id: 19, expiration_timestamp_ms: now + 120000 }
+            ]
+        }));
+        cache.expire(now + 90000);
+
+        assert.deepEqual(cache.getCatchablePokemon().map(pokemon => pokemon.encounter_id), ['2']);
+    });
+
+    it('replaces the nearby Pokémon of a cell with the latest list', () => {
+        const cache = new MapCache();
+
+        cache.apply(mapObjects({ nearby_pokemons: [{ pokemon_id: 16 }, { pokemon_id: 19 }] }));
+        cache.apply(mapObjects({ nearby_pokemons: [{ pokemon_id: 25 }] }));
+        assert.deepEqual(cache.getNearbyPokemon().map(pokemon => pokemon.pokemon_id), [25]);
+
+        cache.apply(mapObjects({}));
+        assert.deepEqual(cache.getNearbyPokemon(), []);
+    });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const assert = require('assert'),
+    POGOProtos = require('node-pogo-protos'),
+    Client = require('../pogobuf/pogobuf.client.js'),
+    MockServer = require('../pogobuf/pogobuf.mockserver.js');
+
+const RequestType = POGOProtos.Networking.Requests.RequestType;
+
+function createClient(server) {
+    const client = new Client({
+        authType: 'ptc',
+        authToken: 'token',
+        downloadSettings: false,
+        maxTries: 1,
+        transport: server
+    });
+    client.setPosition(40.7, -74);
+    return client;
+}
+
+describe('MockServer', () => {
+    it('answers requests with the registered handlers', () => {
+        const server = new MockServer(),
+            client = createClient(server);
+
+        var received = null;
+        server.setHandler(RequestType.GET_PLAYER, message => {
+            received = message;
+            return {
+                success: true,
+                player_data: { username: 'Ash' }
+            };
+        });
+
+        return client.init()
+            .then(() => client.getPlayer('US', 'en', 'Europe/Paris'))
+            .then(response => {
+                assert.strictEqual(response.player_data.username, 'Ash');
+                assert.strictEqual(received.player_locale.country, 'US');
+                assert.strictEqual(client.endpoint, 'https://pgorelease.mock/plfe/1/rpc');
+            });
+    });
+
+    it('answers requests without a handler with an empty response', () => {
+        const client = createClient(new MockServer());
+
+        return client.init()
+            .then(() => client.getPlayer('US', 'en', 'Europe/Paris'))
+            .then(response => {
+                assert.strictEqual(response.success, false);
+                assert.strictEqual(response.player_data, null);
+            });
+    });
+
+    it('rejects auth tokens refused by validateToken', () => {
+        const client = createClient(new MockServer({ validateToken: (provider, token) => token === 'valid' }));
+
+        return client.init()
+            .then(() => client.getPlayer('US', 'en', 'Europe/Paris'))
+            .then(() => assert.fail('getPlayer() should have failed'), err => {
+                assert(/102/.test(err.message));
+            });
+    });
+});
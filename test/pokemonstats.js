@@ -0,0 +1,67 @@
+'use strict';
+
+const assert = require('assert'),
+    PokemonStats = require('../pogobuf/pogobuf.pokemonstats.js');
+
+const TEMPLATES = {
+    pokemon_settings: [
+        {
+            pokemon_id: 16,
+            stats: { base_attack: 94, base_defense: 90, base_stamina: 80 },
+            evolution_ids: [17]
+        },
+        {
+            pokemon_id: 17,
+            stats: { base_attack: 126, base_defense: 122, base_stamina: 126 }
+        }
+    ],
+    player_level_settings: {
+        cp_multiplier: [0.094, 0.16639787, 0.21573247, 0.25572005, 0.29024988]
+    }
+};
+
+describe('PokemonStats', () => {
+    const stats = new PokemonStats(TEMPLATES);
+
+    it('calculates CP and HP from base stats, level and individual values', () => {
+        assert.strictEqual(stats.getCP(16, 5, 15, 15, 15), 91);
+        assert.strictEqual(stats.getHP(16, 5, 15), 27);
+        assert.strictEqual(stats.getCP(16, 1, 0, 0, 0), 10);
+        assert.throws(() => stats.getCP(16, 5.5, 0, 0, 0), /Invalid level/);
+        assert.throws(() => stats.getCP(1, 5, 0, 0, 0), /No base stats/);
+    });
+
+    it('interpolates half levels and derives levels from CP multipliers', () => {
+        assert.strictEqual(stats.getMaxLevel(), 5);
+        assert(Math.abs(stats.getCPMultiplier(1.5) - Math.sqrt((0.094 * 0.094 + 0.16639787 * 0.16639787) / 2)) < 1e-9);
+        assert.strictEqual(stats.getLevel({ cp_multiplier: 0.25572005 }), 4);
+        assert.strictEqual(stats.getLevel({ cp_multiplier: 0.2, additional_cp_multiplier: 0.035 }), 3.5);
+    });
+
+    it('predicts CP after evolving and powering up', () => {
+        const pokemon = {
+            pokemon_id: 16,
+            cp_multiplier: 0.25572005,
+            individual_attack: 15,
+            individual_defense: 15,
+            individual_stamina: 15
+        };
+
+        assert.deepEqual(stats.getEvolvedCP(pokemon), [{ pokemon_id: 17, cp: stats.getCP(17, 4, 15, 15, 15) }]);
+        assert.deepEqual(stats.getPoweredUpCP(pokemon, 5), { level: 5, cp: 91, hp: 27 });
+    });
+
+    it('lists the individual values matching a CP and HP', () => {
+        const cp = stats.getCP(16, 4.5, 10, 5, 12),
+            hp = stats.getHP(16, 4.5, 12),
+            possible = stats.getPossibleIVs(16, cp, hp, 4.5);
+
+        assert(possible.length > 0);
+        possible.forEach(ivs => {
+            assert.strictEqual(ivs.level, 4.5);
+            assert.strictEqual(stats.getCP(16, 4.5, ivs.attack, ivs.defense, ivs.stamina), cp);
+        });
+        assert(possible.some(ivs => ivs.attack === 10 && ivs.defense === 5 && ivs.stamina === 12));
+        assert(stats.getPossibleIVs(16, cp, hp).length >= possible.length);
+    });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const assert = require('assert'),
+    PokemonStats = require('../pogobuf/pogobuf.pokemonstats.js');
+
+const TEMPLATES = {
+    pokemon_settings: [
+        {
+            pokemon_id: 16,
+            type: 1,
+            type_2: 3,
+            stats: { base_attack: 94, base_defense: 90, base_stamina: 80 }
+        },
+        {
+            pokemon_id: 25,
+            type: 13,
+            stats: { base_attack: 112, base_defense: 101, base_stamina: 70 }
+        }
+    ],
+    move_settings: [
+        { movement_id: 219, pokemon_type: 1, power: 8, duration_ms: 800, energy_delta: 10 },
+        { movement_id: 80, pokemon_type: 3, power: 40, duration_ms: 2000, energy_delta: -33 },
+        { movement_id: 14, pokemon_type: 13, power: 25, duration_ms: 2500, energy_delta: -50 }
+    ],
+    type_effective_settings: [
+        { attack_type: 13, attack_scalar: [1, 1, 1.4, 1] }
+    ],
+    battle_settings: { same_type_attack_bonus_multiplier: 1.2 },
+    player_level_settings: {
+        cp_multiplier: [0.094, 0.16639787, 0.21573247, 0.25572005, 0.29024988]
+    }
+};
+
+describe('PokemonStats moves', () => {
+    const stats = new PokemonStats(TEMPLATES);
+
+    it('applies type effectiveness and the same type attack bonus', () => {
+        assert.strictEqual(stats.getTypeEffectiveness(13, [1, 3]), 1.4);
+        assert.strictEqual(stats.getTypeEffectiveness(1, 13), 1);
+        assert.strictEqual(stats.getSTAB(219, 16), 1.2);
+        assert.strictEqual(stats.getSTAB(14, 16), 1);
+        assert.throws(() => stats.getSTAB(1, 16), /No settings for move 1/);
+    });
+
+    it('calculates power and energy per second', () => {
+        assert.strictEqual(stats.getMoveDPS(219), 10);
+        assert(Math.abs(stats.getMoveDPS(219, 16) - 12) < 1e-9);
+        assert.strictEqual(stats.getMoveEPS(219), 12.5);
+        assert.strictEqual(stats.getMoveEPS(80), -16.5);
+    });
+
+    it('rates a moveset by the damage per second of a fast and charged move cycle', () => {
+        const pokemon = {
+            pokemon_id: 16,
+            cp_multiplier: 0.29024988,
+            individual_attack: 15,
+            move_1: 219,
+            move_2: 80
+        };
+
+        assert.strictEqual(stats.getMoveDamage(219, pokemon, 25), 5);
+
+        const rating = stats.rateMoveset(pokemon, 25);
+        assert.strictEqual(rating.fast.damage, 5);
+        assert.strictEqual(rating.charged.damage, 23);
+        assert.strictEqual(rating.cycle_duration_ms, 3.3 * 800 + 2000);
+        assert(Math.abs(rating.dps - (3.3 * 5 + 23) / 4.64) < 1e-9);
+    });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const assert = require('assert'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    POGOProtos = require('node-pogo-protos'),
+    Client = require('../pogobuf/pogobuf.client.js'),
+    MockServer = require('../pogobuf/pogobuf.mockserver.js'),
+    Recorder = require('../pogobuf/pogobuf.recorder.js'),
+    ReplayTransport = require('../pogobuf/pogobuf.replaytransport.js');
+
+const RequestType = POGOProtos.Networking.Requests.RequestType;
+
+function createClient(transport) {
+    const client = new Client({
+        authType: 'ptc',
+        authToken: 'token',
+        downloadSettings: false,
+        maxTries: 1,
+        transport: transport
+    });
+    client.setPosition(40.7, -74);
+    return client;
+}
+
+describe('Recorder and ReplayTransport', () => {
+    const file = path.join(os.tmpdir(), `pogobuf-recording-${process.pid}.jsonl`);
+
+    before(() => {
+        const server = new MockServer(),
+            client = createClient(server),
+            recorder = new Recorder(file).attach(client);
+
+        server.setHandler(RequestType.GET_PLAYER, () => ({
+            success: true,
+            player_data: { username: 'Ash' }
+        }));
+
+        return client.init()
+            .then(() => client.getPlayer('US', 'en', 'Europe/Paris'))
+            .then(() => recorder.detach());
+    });
+
+    after(() => fs.unlinkSync(file));
+
+    it('replays a recorded session', () => {
+        const transport = new ReplayTransport(file),
+            client = createClient(transport);
+
+        return client.init()
+            .then(() => client.getPlayer('US', 'en', 'Europe/Paris'))
+            .then(response => {
+                assert.strictEqual(response.player_data.username, 'Ash');
+                assert(transport.isFinished());
+            });
+    });
+
+    it('rejects requests that do not match the recording', () => {
+        const client = createClient(new ReplayTransport(file));
+
+        return client.init()
+            .then(() => client.getInventory(0))
+            .then(() => assert.fail('getInventory() should have failed'), err => {
+                assert(/do not match recorded request types/.test(err.message));
+            });
+    });
+});
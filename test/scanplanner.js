@@ -0,0 +1,45 @@
+'use strict';
+
+const assert = require('assert'),
+    ScanPlanner = require('../pogobuf/pogobuf.scanplanner.js'),
+    Utils = require('../pogobuf/pogobuf.utils.js');
+
+const BOX = { north: 40.715, south: 40.71, east: -74.0, west: -74.005 };
+
+function assertCovers(waypoints, radius) {
+    for (var i = 0; i <= 20; i++) {
+        for (var j = 0; j <= 20; j++) {
+            const lat = BOX.south + (BOX.north - BOX.south) * i / 20,
+                lng = BOX.west + (BOX.east - BOX.west) * j / 20;
+            assert(waypoints.some(w => Utils.getDistance(lat, lng, w.latitude, w.longitude) <= radius),
+                `${lat},${lng} is not covered`);
+        }
+    }
+}
+
+describe('ScanPlanner', () => {
+    it('covers the whole area with the scan radius', () => {
+        const waypoints = new ScanPlanner().plan(BOX);
+
+        assertCovers(waypoints, 70);
+        waypoints.forEach(waypoint => {
+            const cellID = Utils.getCellIDs(waypoint.latitude, waypoint.longitude, 1, 15)[0];
+            assert(waypoint.cellIDs.indexOf(cellID) >= 0);
+        });
+    });
+
+    it('improves the nearest neighbor route with 2-opt', () => {
+        const nearest = new ScanPlanner({ ordering: 'nearest' }),
+            twoOpt = new ScanPlanner({ ordering: '2opt' });
+
+        assert(twoOpt.getRouteLength(twoOpt.plan(BOX)) <= nearest.getRouteLength(nearest.plan(BOX)));
+    });
+
+    it('groups the waypoints into hives with the beehive layout', () => {
+        const waypoints = new ScanPlanner({ layout: 'beehive', hiveSteps: 1 }).plan(BOX);
+
+        assertCovers(waypoints, 70);
+        assert(waypoints.every(waypoint => typeof waypoint.hive === 'number'));
+        assert(new Set(waypoints.map(waypoint => waypoint.hive)).size > 1);
+    });
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const assert = require('assert'),
+    Utils = require('../pogobuf/pogobuf.utils.js');
+
+const SQUARE = [
+    { latitude: 40.71, longitude: -74.01 },
+    { latitude: 40.72, longitude: -74.01 },
+    { latitude: 40.72, longitude: -74.0 },
+    { latitude: 40.71, longitude: -74.0 }
+];
+
+function cellAt(lat, lng) {
+    return Utils.getCellIDs(lat, lng, 1, 15)[0];
+}
+
+describe('Utils', () => {
+    describe('getCellIDsInRadius()', () => {
+        it('returns only the center cell for a radius of 0', () => {
+            assert.deepEqual(Utils.getCellIDsInRadius(40.7128, -74.006, 0), [cellAt(40.7128, -74.006)]);
+        });
+
+        it('returns the cells touching the circle', () => {
+            const small = Utils.getCellIDsInRadius(40.7128, -74.006, 200),
+                large = Utils.getCellIDsInRadius(40.7128, -74.006, 1000);
+
+            assert(large.indexOf(cellAt(40.7128, -74.006)) >= 0);
+            assert.strictEqual(new Set(large).size, large.length);
+            assert(large.length > small.length);
+            small.forEach(cellID => assert(large.indexOf(cellID) >= 0));
+            assert(large.indexOf(cellAt(40.7128, -73.996)) >= 0);
+            assert(large.indexOf(cellAt(40.7128, -73.98)) < 0);
+        });
+    });
+
+    describe('getCellIDsInPolygon()', () => {
+        it('returns the cells touching the polygon', () => {
+            const cellIDs = Utils.getCellIDsInPolygon(SQUARE);
+
+            assert(cellIDs.indexOf(cellAt(40.715, -74.005)) >= 0);
+            assert(cellIDs.indexOf(cellAt(40.711, -74.009)) >= 0);
+            assert(cellIDs.indexOf(cellAt(40.74, -74.005)) < 0);
+        });
+    });
+
+    describe('isPointInPolygon()', () => {
+        it('checks whether a point lies within a polygon', () => {
+            assert(Utils.isPointInPolygon(40.715, -74.005, SQUARE));
+            assert(!Utils.isPointInPolygon(40.73, -74.005, SQUARE));
+        });
+    });
+});
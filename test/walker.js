@@ -0,0 +1,67 @@
+'use strict';
+
+const assert = require('assert'),
+    Utils = require('../pogobuf/pogobuf.utils.js'),
+    Walker = require('../pogobuf/pogobuf.walker.js');
+
+function createClient(latitude, longitude) {
+    const client = {
+        playerLatitude: latitude,
+        playerLongitude: longitude,
+        playerAltitude: 0,
+        setPosition: function(position) {
+            client.playerLatitude = position.latitude;
+            client.playerLongitude = position.longitude;
+            client.playerAltitude = position.altitude;
+        }
+    };
+    return client;
+}
+
+function createWalker(client) {
+    return new Walker(client, {
+        speed: 10000,
+        speedVariance: 0,
+        interval: 10,
+        jitter: 0
+    });
+}
+
+describe('Walker', () => {
+    it('moves the client to the target at the configured speed', () => {
+        const client = createClient(40.7, -74),
+            walker = createWalker(client),
+            target = { latitude: 40.7045, longitude: -74 },
+            distance = Utils.getDistance(40.7, -74, target.latitude, target.longitude),
+            steps = [];
+        walker.on('progress', progress => steps.push(progress));
+
+        return walker.walkTo(target).then(() => {
+            assert.strictEqual(steps.length, Math.ceil(distance / 100));
+            assert(Math.abs(walker.getDistanceWalked() - distance) < 0.01);
+            assert(Utils.getDistance(client.playerLatitude, client.playerLongitude,
+                target.latitude, target.longitude) < 0.01);
+            assert(!walker.isWalking());
+        });
+    });
+
+    it('rejects the walk in progress when stopped', () => {
+        const walker = createWalker(createClient(40.7, -74)),
+            walk = walker.walkTo(40.8, -74);
+
+        walker.stop();
+
+        return walk.then(() => assert.fail('walk should have been stopped'), err => {
+            assert.strictEqual(err.message, 'Walk stopped');
+            assert(!walker.isWalking());
+        });
+    });
+
+    it('refuses to walk before the player position is set', () => {
+        const walker = createWalker(createClient(0, 0));
+
+        return walker.walkTo(40.8, -74).then(() => assert.fail('walkTo() should have failed'), err => {
+            assert.strictEqual(err.message, 'Player position must be set before walking');
+        });
+    });
+});